@@ -24,19 +24,99 @@
  *    - exp (expiration timestamp)
  * 
  * 4. ERROR HANDLING:
- *    - 401: No token provided
- *    - 403: Invalid/expired token
+ *    - 401: No token provided, the account no longer exists, or the password changed after the
+ *      token was issued
+ *    - 403: Invalid/expired token, or the account is suspended
  *    - Include appropriate error messages
  * 
+ *    Tokens stay valid for 24 hours, so authenticateToken and optionalAuth look the account up
+ *    on every request - suspensions, forced password resets and role changes (routes/admin.js)
+ *    take effect straight away. optionalAuth treats a refused account as anonymous.
+ * 
  * 5. TOKEN GENERATION:
  *    When generating tokens, include:
  *    - User ID for database queries
  *    - User email for profile updates
  *    - User role for authorization checks
  *    - 24 hour expiration time
+ * 
+ * 6. IMPERSONATION:
+ *    Admins can get a short-lived token for another user (read_only and impersonated_by claims)
+ *    to see the app as they do. Those tokens are refused for anything but GET/HEAD/OPTIONS.
  */
 
 const jwt = require('jsonwebtoken');
+const { executeQuery } = require('../config/database');
+const { issuedBeforePasswordChange } = require('../utils/passwords');
+
+// Methods an impersonation token may use
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Check the account behind a verified token
+ * Tokens outlive suspensions, deletions, forced resets and role changes, so the database decides
+ * @param {Object} user - decoded token payload
+ * @param {string} method - request method
+ * @returns {Promise<{ user: Object|null, refusal: Object|null }>} the req.user to attach, or a
+ *   refusal ({ status, error, code }) when the token may not be used for this request
+ */
+const checkAccount = async (user, method) => {
+  // Impersonation tokens (POST /api/admin/users/:id/impersonate) can only read
+  if (user.read_only && !READ_ONLY_METHODS.includes(method)) {
+    return {
+      user: null,
+      refusal: { status: 403, error: 'Impersonation sessions are read-only', code: 'READ_ONLY_SESSION' }
+    };
+  }
+
+  const result = await executeQuery(
+    'SELECT role, suspended_at, password_reset_required, password_changed_at FROM users WHERE id = $1',
+    [user.id]
+  );
+  const account = result.rows[0];
+
+  if (!account) {
+    return {
+      user: null,
+      refusal: { status: 401, error: 'Account no longer exists', code: 'ACCOUNT_NOT_FOUND' }
+    };
+  }
+
+  // Changing the password signs out every session started before it
+  if (issuedBeforePasswordChange(user.iat, account.password_changed_at)) {
+    return {
+      user: null,
+      refusal: { status: 401, error: 'Token was revoked by a password change', code: 'TOKEN_REVOKED' }
+    };
+  }
+
+  if (account.suspended_at) {
+    return {
+      user: null,
+      refusal: { status: 403, error: 'Account suspended', code: 'ACCOUNT_SUSPENDED' }
+    };
+  }
+
+  // An admin forced a reset - the user has to redeem the reset token (POST /api/auth/reset-password)
+  if (account.password_reset_required && !user.read_only) {
+    return {
+      user: null,
+      refusal: { status: 403, error: 'Password reset required', code: 'PASSWORD_RESET_REQUIRED' }
+    };
+  }
+
+  // The role comes from the database so role changes apply at once
+  const requestUser = {
+    id: user.id,
+    email: user.email,
+    role: account.role
+  };
+  if (user.impersonated_by) {
+    requestUser.impersonatedBy = user.impersonated_by;
+  }
+
+  return { user: requestUser, refusal: null };
+};
 
 /**
  * Middleware to authenticate JWT tokens
@@ -59,7 +139,7 @@ const authenticateToken = (req, res, next) => {
   }
 
   // Verify token
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) {
       // Handle different types of token errors
       if (err.name === 'TokenExpiredError') {
@@ -83,17 +163,38 @@ const authenticateToken = (req, res, next) => {
       }
     }
 
-    // Token is valid, attach user info to request
-    req.user = {
-      id: user.id,
-      email: user.email,
-      role: user.role
-    };
+    // Token is valid, but the account may have been deleted, suspended or changed since it was issued
+    let checked;
+    try {
+      checked = await checkAccount(user, req.method);
+    } catch (error) {
+      console.error('Authentication lookup error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Authentication failed',
+        message: 'An error occurred while checking your account'
+      });
+    }
+
+    if (checked.refusal) {
+      const { status, error, code } = checked.refusal;
+      return res.status(status).json({ success: false, error, code });
+    }
+
+    // Attach user info to request
+    req.user = checked.user;
 
     next();
   });
 };
 
+/**
+ * Check if a request user is an admin, for handlers that decide for themselves what to send
+ * @param {Object|undefined} user - req.user
+ * @returns {boolean}
+ */
+const isAdmin = (user) => Boolean(user && user.role === 'admin');
+
 /**
  * Middleware to check if user is admin
  * @param {Object} req - Express request object
@@ -109,7 +210,7 @@ const requireAdmin = (req, res, next) => {
     });
   }
 
-  if (req.user.role !== 'admin') {
+  if (!isAdmin(req.user)) {
     return res.status(403).json({
       success: false,
       error: 'Admin privileges required',
@@ -155,7 +256,7 @@ const requireOwnership = (userIdField = 'user_id') => {
  * Optional authentication middleware
  * Allows requests with or without valid tokens
  * If token is provided and valid, sets req.user
- * If token is invalid/missing, continues without user
+ * If token is invalid/missing, or its account is refused (see checkAccount), continues without user
  */
 const optionalAuth = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -165,13 +266,16 @@ const optionalAuth = (req, res, next) => {
     return next();
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (!err) {
-      req.user = {
-        id: user.id,
-        email: user.email,
-        role: user.role
-      };
+      try {
+        const checked = await checkAccount(user, req.method);
+        if (checked.user) {
+          req.user = checked.user;
+        }
+      } catch (error) {
+        console.error('Authentication lookup error:', error);
+      }
     }
     next();
   });
@@ -179,6 +283,7 @@ const optionalAuth = (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  isAdmin,
   requireAdmin,
   requireOwnership,
   optionalAuth
@@ -0,0 +1,2361 @@
+/**
+ * ADMIN ROUTES - Admin-only Moderation Endpoints
+ *
+ * This file contains routes only admins can use:
+ * - Merge duplicate gigs into one surviving gig
+ * - Pin featured gigs for a date range
+ * - Work through the queue of reported content
+ * - Read the admin action log
+ * - Manage users: search, roles, suspensions, password resets and read-only impersonation
+ * - Site-wide stats
+ * - Add, edit and delete genres
+ *
+ * IMPLEMENTATION REQUIREMENTS:
+ *
+ * 1. ACCESS:
+ *    - Every route uses authenticateToken followed by requireAdmin (middleware/auth.js)
+ *
+ * 2. MERGING GIGS:
+ *    - survivor_id: the gig that stays; duplicate_ids: the gigs merged into it
+ *    - fields: optional per-field picks { field: source gig ID } - unpicked fields keep the
+ *      survivor's value. "pricing" covers price, currency and ticket tiers together so tiers
+ *      never end up in a different currency from the gig
+ *    - Collections containing any duplicate end up containing the survivor (once), and so do
+ *      users' "not interested" dismissals and RSVPs; comments and reviews on duplicates move to the
+ *      survivor (one review per user - the survivor's, otherwise their earliest)
+ *    - Duplicate IDs become redirects, so GET /api/gigs/:oldId answers 301 with the survivor
+ *    - A draft or scheduled survivor is published if any duplicate was
+ *    - The whole merge runs in one transaction
+ * 
+ * 3. FEATURED GIGS:
+ *    - A pin shows a gig in GET /api/gigs/featured from starts_at until ends_at
+ *    - starts_at defaults to now; ends_at must be later and no more than MAX_FEATURED_DAYS away
+ *    - Pins for gigs that have finished simply stop appearing; DELETE removes a pin early
+ *    - Scheduled gigs can be pinned ahead of time - the pin only shows once the gig is published
+ * 
+ * 4. REPORTS AND MODERATION (see utils/moderation.js):
+ *    - Users report content with POST /api/reports (routes/reports.js)
+ *    - GET /reports is the queue, oldest first; claim, resolve and dismiss act on every pending
+ *      report about the same content, and a report claimed by one admin can't be closed by another
+ *    - Resolving can hide the content, suspend its author or delete it (MODERATION_ACTIONS)
+ * 
+ * 5. ACTION LOG:
+ *    - Every moderation step is written to admin_actions
+ *    - GET /actions lists it, newest first, filtered by admin or target
+ * 
+ * 6. USERS:
+ *    - GET /users searches by name or email, filtered by role and status
+ *    - Role changes, suspensions and forced password resets apply on the user's next request -
+ *      authenticateToken checks the account every time (middleware/auth.js)
+ *    - Impersonation hands out a read-only token for IMPERSONATION_TOKEN_TTL; admins can't be
+ *      impersonated
+ *    - Admins can't use these tools on their own account
+ * 
+ * 7. STATS:
+ *    - GET /stats counts users, gigs, collections and pending reports, and signups per day, week
+ *      or month
+ * 
+ * 8. GENRES (see utils/genres.js):
+ *    - POST/PUT/DELETE /genres edit the genres table; GET /api/genres (routes/genres.js) lists it
+ *    - Subgenres sit one level under a top-level genre
+ *    - Renames carry over to gigs.genre and artists.genres, which store names
+ *    - Deleting a genre with gigs needs replace_with, a genre to move them to
+ * 
+ * Everything here is logged to admin_actions with the acting admin's ID - merges and featured
+ * pins included.
+ */
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { fetchGigSnapshot, recordRevision } = require('../utils/revisions');
+const { publishedSql } = require('../utils/publishing');
+const { whenSql } = require('../utils/archiving');
+const { REPORT_TARGET_TYPES } = require('../utils/reports');
+const { slugifyGenre, copyGigGenres } = require('../utils/genres');
+const { issueResetToken } = require('../utils/passwords');
+const {
+  REPORT_STATUSES,
+  PENDING_REPORT_STATUSES,
+  MODERATION_ACTIONS,
+  TARGET_PREVIEW_SQL,
+  logAdminAction,
+  findTargetOwner,
+  applyModerationAction
+} = require('../utils/moderation');
+
+const router = express.Router();
+
+const MAX_MERGE_DUPLICATES = 20;
+const MAX_FEATURED_DAYS = 90;
+
+const USER_ROLES = ['member', 'admin'];
+const STATS_INTERVALS = ['day', 'week', 'month'];
+const IMPERSONATION_TOKEN_TTL = '1h';
+
+// ?status= filters for GET /users
+const USER_STATUS_CONDITIONS = {
+  active: 'u.suspended_at IS NULL',
+  suspended: 'u.suspended_at IS NOT NULL',
+  reset_required: 'u.password_reset_required = TRUE'
+};
+
+const RESOLUTION_MESSAGES = {
+  hide: 'content hidden',
+  suspend: 'user suspended',
+  delete: 'content deleted'
+};
+
+// Fields an admin can take from any of the merged gigs, and the gigs columns each one covers
+// event_date brings its doors/end times and timezone along; genre, lineup and pricing copy rows
+// from gig_genres / gig_artists / gig_ticket_tiers
+const MERGEABLE_FIELDS = {
+  title: ['title'],
+  description: ['description'],
+  venue_id: ['venue_id'],
+  event_date: ['event_date', 'doors_at', 'ends_at', 'timezone'],
+  genre: [],
+  image_url: ['image_url'],
+  ticket_url: ['ticket_url'],
+  pricing: ['price', 'currency'],
+  lineup: []
+};
+
+const mergeValidation = [
+  body('survivor_id')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('survivor_id must be a gig ID'),
+  body('duplicate_ids')
+    .isArray({ min: 1, max: MAX_MERGE_DUPLICATES })
+    .withMessage(`duplicate_ids must be an array of 1 to ${MAX_MERGE_DUPLICATES} gig IDs`),
+  body('duplicate_ids.*')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Each duplicate ID must be a gig ID'),
+  body('duplicate_ids')
+    .custom((ids, { req }) => {
+      if (ids.includes(req.body.survivor_id)) {
+        throw new Error('The surviving gig cannot also be a duplicate');
+      }
+      if (new Set(ids).size !== ids.length) {
+        throw new Error('duplicate_ids must not repeat a gig');
+      }
+      return true;
+    }),
+  body('fields')
+    .optional()
+    .isObject()
+    .withMessage('fields must be an object of { field: source gig ID }')
+    .bail()
+    .custom((fields, { req }) => {
+      const sources = [req.body.survivor_id, ...(req.body.duplicate_ids || [])];
+      for (const [field, sourceId] of Object.entries(fields)) {
+        if (!Object.keys(MERGEABLE_FIELDS).includes(field)) {
+          throw new Error(`Unknown field "${field}" - pick from ${Object.keys(MERGEABLE_FIELDS).join(', ')}`);
+        }
+        if (!sources.includes(parseInt(sourceId))) {
+          throw new Error(`The source for ${field} must be the survivor or one of the duplicates`);
+        }
+      }
+      return true;
+    })
+];
+
+const featuredValidation = [
+  body('gig_id')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('gig_id must be a gig ID'),
+  body('starts_at')
+    .optional()
+    .isISO8601()
+    .withMessage('starts_at must be a valid date'),
+  body('ends_at')
+    .isISO8601()
+    .withMessage('ends_at must be a valid date')
+    .bail()
+    .custom((value, { req }) => {
+      const startsAt = req.body.starts_at ? new Date(req.body.starts_at) : new Date();
+      const endsAt = new Date(value);
+      if (endsAt <= startsAt) {
+        throw new Error('ends_at must be after starts_at');
+      }
+      if (endsAt - startsAt > MAX_FEATURED_DAYS * 24 * 60 * 60 * 1000) {
+        throw new Error(`A gig can be featured for at most ${MAX_FEATURED_DAYS} days at a time`);
+      }
+      return true;
+    }),
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Note must be at most 255 characters')
+];
+
+// Shared by creating and editing genres (name is required only when creating)
+const genreValidation = [
+  body('slug')
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .isLength({ max: 50 })
+    .withMessage('Slug must be lowercase letters, numbers and hyphens, at most 50 characters'),
+  body('parent_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('parent_id must be a genre ID')
+];
+
+// Check a genre can be filed under parentId - genres nest one level deep
+// genre is the genre being moved, when editing. Sends the error response and returns false if not
+const checkGenreParent = async (res, parentId, genre = null) => {
+  const parent = await executeQuery('SELECT id, parent_id FROM genres WHERE id = $1', [parentId]);
+  let message = null;
+
+  if (parent.rows.length === 0) {
+    message = 'Parent genre not found';
+  } else if (genre && parent.rows[0].id === genre.id) {
+    message = 'A genre can\'t be its own parent';
+  } else if (parent.rows[0].parent_id !== null) {
+    message = 'Subgenres can\'t have subgenres of their own';
+  } else if (genre) {
+    const children = await executeQuery('SELECT 1 FROM genres WHERE parent_id = $1 LIMIT 1', [genre.id]);
+    if (children.rows.length) {
+      message = 'Genres with subgenres can\'t become subgenres';
+    }
+  }
+
+  if (message) {
+    res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message
+    });
+    return false;
+  }
+  return true;
+};
+
+// Genre names (any case) and slugs are unique; sends a 409 and returns true on a clash
+const rejectDuplicateGenre = async (res, name, slug, excludeId = null) => {
+  const result = await executeQuery(
+    `SELECT id FROM genres
+     WHERE (LOWER(name) = LOWER($1) OR slug = $2) AND ($3::int IS NULL OR id <> $3)
+     LIMIT 1`,
+    [name, slug, excludeId]
+  );
+
+  if (result.rows.length) {
+    res.status(409).json({
+      success: false,
+      error: 'A genre with this name or slug already exists',
+      data: { genre_id: result.rows[0].id }
+    });
+    return true;
+  }
+  return false;
+};
+
+// Fetch the user an admin is managing; admins can't use these tools on their own account
+// Returns the user row, or sends the error response and returns null
+const findManagedUser = async (req, res, verb) => {
+  const result = await executeQuery(
+    `SELECT id, name, email, role, suspended_at, suspension_reason, password_reset_required
+     FROM users WHERE id = $1`,
+    [req.params.id]
+  );
+
+  if (result.rows.length === 0) {
+    res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+    return null;
+  }
+
+  if (result.rows[0].id === req.user.id) {
+    res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: `You can't ${verb} your own account`
+    });
+    return null;
+  }
+
+  return result.rows[0];
+};
+
+// Lock a pending report so an admin can act on it
+// Returns { report }, or { status, body } - the response explaining why it can't be acted on
+const lockPendingReport = async (client, reportId, adminId) => {
+  const result = await client.query('SELECT * FROM reports WHERE id = $1 FOR UPDATE', [reportId]);
+  const report = result.rows[0];
+
+  if (!report) {
+    return { status: 404, body: { success: false, error: 'Report not found' } };
+  }
+  if (!PENDING_REPORT_STATUSES.includes(report.status)) {
+    return {
+      status: 409,
+      body: { success: false, error: 'Report already closed', message: `This report was ${report.status}` }
+    };
+  }
+  if (report.status === 'claimed' && report.claimed_by !== adminId) {
+    return {
+      status: 409,
+      body: { success: false, error: 'Report claimed by another admin', code: 'REPORT_CLAIMED' }
+    };
+  }
+
+  return { report };
+};
+
+// Copy the picked fields from their source gigs onto the survivor
+// lineup goes last so set times can follow a picked event_date
+const applyFieldPicks = async (client, survivorId, fields = {}) => {
+  const picks = Object.entries(fields)
+    .map(([field, sourceId]) => [field, parseInt(sourceId)])
+    .filter(([, sourceId]) => sourceId !== survivorId)
+    .sort(([a], [b]) => (a === 'lineup') - (b === 'lineup'));
+
+  for (const [field, sourceId] of picks) {
+    const columns = MERGEABLE_FIELDS[field];
+
+    if (columns.length) {
+      await client.query(
+        `UPDATE gigs
+         SET ${columns.map((column) => `${column} = src.${column}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+         FROM gigs src
+         WHERE gigs.id = $1 AND src.id = $2`,
+        [survivorId, sourceId]
+      );
+    }
+
+    if (field === 'genre') {
+      await copyGigGenres(client, sourceId, survivorId);
+    }
+
+    if (field === 'pricing') {
+      await client.query('DELETE FROM gig_ticket_tiers WHERE gig_id = $1', [survivorId]);
+      await client.query(
+        `INSERT INTO gig_ticket_tiers (gig_id, name, price, currency, pay_what_you_can,
+                                       available_from, available_until, sold_out, sort_order)
+         SELECT $1, name, price, currency, pay_what_you_can, available_from, available_until, sold_out, sort_order
+         FROM gig_ticket_tiers
+         WHERE gig_id = $2`,
+        [survivorId, sourceId]
+      );
+    }
+
+    if (field === 'lineup') {
+      await client.query('DELETE FROM gig_artists WHERE gig_id = $1', [survivorId]);
+      await client.query(
+        `INSERT INTO gig_artists (gig_id, artist_id, billing_order, set_start, set_end)
+         SELECT $1, ga.artist_id, ga.billing_order,
+                ga.set_start + (t.event_date - f.event_date), ga.set_end + (t.event_date - f.event_date)
+         FROM gig_artists ga
+         JOIN gigs f ON f.id = ga.gig_id
+         JOIN gigs t ON t.id = $1
+         WHERE ga.gig_id = $2`,
+        [survivorId, sourceId]
+      );
+    }
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/gigs/merge:
+ *   post:
+ *     summary: Merge duplicate gigs into a surviving gig (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [survivor_id, duplicate_ids]
+ *             properties:
+ *               survivor_id:
+ *                 type: integer
+ *               duplicate_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               fields:
+ *                 type: object
+ *                 description: Per-field source gig IDs (title, description, venue_id, event_date, genre, image_url, ticket_url, pricing, lineup)
+ *                 example: { "title": 12, "pricing": 15 }
+ *     responses:
+ *       200:
+ *         description: Gigs merged; duplicate IDs now redirect to the survivor
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Admin privileges required
+ *       404:
+ *         description: One or more gigs not found
+ */
+router.post('/gigs/merge', authenticateToken, requireAdmin, mergeValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { survivor_id: survivorId, duplicate_ids: duplicateIds, fields } = req.body;
+
+  try {
+    const existing = await executeQuery(
+      'SELECT id FROM gigs WHERE id = ANY($1::int[])',
+      [[survivorId, ...duplicateIds]]
+    );
+    const found = new Set(existing.rows.map((row) => row.id));
+    const missing = [survivorId, ...duplicateIds].filter((id) => !found.has(id));
+
+    if (missing.length) {
+      return res.status(404).json({
+        success: false,
+        error: 'Gig not found',
+        message: `No gig with ID ${missing.join(', ')}`
+      });
+    }
+
+    const collectionRowsMoved = await executeTransaction(async (client) => {
+      await client.query('SELECT id FROM gigs WHERE id = ANY($1::int[]) FOR UPDATE', [[survivorId, ...duplicateIds]]);
+
+      const before = await fetchGigSnapshot(client, survivorId);
+      await applyFieldPicks(client, survivorId, fields);
+
+      // A draft survivor takes over its duplicates' public links, saves and pins, so it is
+      // published if any of them was
+      await client.query(
+        `UPDATE gigs
+         SET visibility = 'published', publish_at = NULL, published_at = COALESCE(published_at, CURRENT_TIMESTAMP)
+         WHERE id = $1 AND visibility <> 'published'
+           AND EXISTS (SELECT 1 FROM gigs d WHERE d.id = ANY($2::int[]) AND ${publishedSql('d')})`,
+        [survivorId, duplicateIds]
+      );
+
+      // One row per collection, keeping the earliest added_at; collections that already
+      // contain the survivor keep their existing row
+      const moved = await client.query(
+        `INSERT INTO collection_gigs (collection_id, gig_id, added_at)
+         SELECT collection_id, $1, MIN(added_at)
+         FROM collection_gigs
+         WHERE gig_id = ANY($2::int[])
+         GROUP BY collection_id
+         ON CONFLICT (collection_id, gig_id) DO NOTHING`,
+        [survivorId, duplicateIds]
+      );
+
+      // Views and pins carry over; trending scores catch up on the next recalculation
+      await client.query('UPDATE gig_views SET gig_id = $1 WHERE gig_id = ANY($2::int[])', [survivorId, duplicateIds]);
+      await client.query('UPDATE featured_gigs SET gig_id = $1 WHERE gig_id = ANY($2::int[])', [survivorId, duplicateIds]);
+
+      // Comment threads move across whole, replies included
+      await client.query('UPDATE comments SET gig_id = $1 WHERE gig_id = ANY($2::int[])', [survivorId, duplicateIds]);
+
+      // One review per user: the survivor's if they wrote one, otherwise their earliest
+      const droppedReviews = await client.query(
+        `DELETE FROM gig_reviews r
+         USING gig_reviews k
+         WHERE r.gig_id = ANY($2::int[]) AND k.user_id = r.user_id AND k.id <> r.id
+           AND (k.gig_id = $1
+                OR (k.gig_id = ANY($2::int[]) AND (k.created_at, k.id) < (r.created_at, r.id)))
+         RETURNING r.id`,
+        [survivorId, duplicateIds]
+      );
+      await client.query(
+        `DELETE FROM reports WHERE target_type = 'review' AND target_id = ANY($1::int[])`,
+        [droppedReviews.rows.map((row) => row.id)]
+      );
+      await client.query('UPDATE gig_reviews SET gig_id = $1 WHERE gig_id = ANY($2::int[])', [survivorId, duplicateIds]);
+
+      // A user's RSVPs collapse into one, "going" winning over "interested"
+      await client.query(
+        `INSERT INTO gig_rsvps (user_id, gig_id, status, created_at)
+         SELECT user_id, $1, CASE WHEN bool_or(status = 'going') THEN 'going' ELSE 'interested' END, MIN(created_at)
+         FROM gig_rsvps
+         WHERE gig_id = ANY($2::int[])
+         GROUP BY user_id
+         ON CONFLICT (user_id, gig_id) DO UPDATE
+         SET status = CASE WHEN EXCLUDED.status = 'going' THEN 'going' ELSE gig_rsvps.status END`,
+        [survivorId, duplicateIds]
+      );
+
+      await client.query(
+        `INSERT INTO gig_dismissals (user_id, gig_id, created_at)
+         SELECT user_id, $1, MIN(created_at)
+         FROM gig_dismissals
+         WHERE gig_id = ANY($2::int[])
+         GROUP BY user_id
+         ON CONFLICT (user_id, gig_id) DO NOTHING`,
+        [survivorId, duplicateIds]
+      );
+
+      // Anything pointing at a duplicate now points at the survivor (never at itself)
+      await client.query(
+        `UPDATE gigs SET rescheduled_from = CASE WHEN id = $1 THEN NULL ELSE $1 END
+         WHERE rescheduled_from = ANY($2::int[])`,
+        [survivorId, duplicateIds]
+      );
+      await client.query(
+        `UPDATE gigs SET series_parent_id = CASE WHEN id = $1 THEN NULL ELSE $1 END
+         WHERE series_parent_id = ANY($2::int[])`,
+        [survivorId, duplicateIds]
+      );
+      await client.query(
+        'UPDATE gig_status_changes SET rescheduled_gig_id = $1 WHERE rescheduled_gig_id = ANY($2::int[])',
+        [survivorId, duplicateIds]
+      );
+
+      // Earlier merges into a duplicate are re-pointed so redirects never chain
+      await client.query(
+        'UPDATE gig_redirects SET gig_id = $1 WHERE gig_id = ANY($2::int[])',
+        [survivorId, duplicateIds]
+      );
+      await client.query(
+        `INSERT INTO gig_redirects (old_gig_id, gig_id, merged_by)
+         SELECT old_gig_id, $1, $3 FROM unnest($2::int[]) AS old_gig_id`,
+        [survivorId, duplicateIds, req.user.id]
+      );
+
+      // Their collection rows, lineups, tiers and history go with them
+      await client.query('DELETE FROM gigs WHERE id = ANY($1::int[])', [duplicateIds]);
+
+      await recordRevision(client, survivorId, {
+        action: 'merge',
+        userId: req.user.id,
+        before,
+        extraChanges: { merged_gig_ids: { from: null, to: duplicateIds } }
+      });
+      await logAdminAction(client, {
+        adminId: req.user.id,
+        action: 'merge',
+        target: { type: 'gig', id: survivorId },
+        details: { merged_gig_ids: duplicateIds }
+      });
+
+      return moved.rowCount;
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Merged ${duplicateIds.length} gig(s) into gig ${survivorId}`,
+      data: {
+        gig_id: survivorId,
+        merged_gig_ids: duplicateIds,
+        collection_rows_moved: collectionRowsMoved
+      }
+    });
+
+  } catch (error) {
+    console.error('Merge gigs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to merge gigs',
+      message: 'An error occurred while merging gigs - nothing was changed'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/featured:
+ *   get:
+ *     summary: List featured gig pins (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *           enum: [live, scheduled, ended, all]
+ *           default: all
+ *     responses:
+ *       200:
+ *         description: Pins with their gig, newest first
+ *       403:
+ *         description: Admin privileges required
+ */
+router.get('/featured', authenticateToken, requireAdmin, [
+  query('state').optional().isIn(['live', 'scheduled', 'ended', 'all'])
+    .withMessage('State must be one of live, scheduled, ended, all')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const conditions = {
+      live: 'WHERE f.starts_at <= NOW() AND f.ends_at > NOW()',
+      scheduled: 'WHERE f.starts_at > NOW()',
+      ended: 'WHERE f.ends_at <= NOW()',
+      all: ''
+    };
+
+    const result = await executeQuery(
+      `SELECT f.id, f.gig_id, g.title AS gig_title, g.event_date, f.starts_at, f.ends_at, f.note,
+              f.created_by, u.name AS created_by_name, f.created_at,
+              (f.starts_at <= NOW() AND f.ends_at > NOW()) AS is_live
+       FROM featured_gigs f
+       JOIN gigs g ON g.id = f.gig_id
+       LEFT JOIN users u ON u.id = f.created_by
+       ${conditions[req.query.state || 'all']}
+       ORDER BY f.starts_at DESC`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { featured: result.rows }
+    });
+
+  } catch (error) {
+    console.error('Get featured pins error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch featured gigs',
+      message: 'An error occurred while fetching featured gigs'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/featured:
+ *   post:
+ *     summary: Pin a gig as featured between two dates (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [gig_id, ends_at]
+ *             properties:
+ *               gig_id:
+ *                 type: integer
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Pin created
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Gig not found
+ */
+router.post('/featured', authenticateToken, requireAdmin, featuredValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const gig = await executeQuery('SELECT id FROM gigs WHERE id = $1', [req.body.gig_id]);
+    if (gig.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Gig not found'
+      });
+    }
+
+    const result = await executeQuery(
+      `INSERT INTO featured_gigs (gig_id, starts_at, ends_at, note, created_by)
+       VALUES ($1, COALESCE($2::timestamptz, NOW()), $3, $4, $5)
+       RETURNING *`,
+      [req.body.gig_id, req.body.starts_at || null, req.body.ends_at, req.body.note || null, req.user.id]
+    );
+    await logAdminAction(null, {
+      adminId: req.user.id,
+      action: 'feature',
+      target: { type: 'gig', id: req.body.gig_id },
+      details: { featured_id: result.rows[0].id, starts_at: result.rows[0].starts_at, ends_at: result.rows[0].ends_at }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Gig featured',
+      data: { featured: result.rows[0] }
+    });
+
+  } catch (error) {
+    console.error('Create featured pin error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to feature gig',
+      message: 'An error occurred while featuring the gig'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/featured/{id}:
+ *   delete:
+ *     summary: Remove a featured pin (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Pin removed
+ *       404:
+ *         description: Pin not found
+ */
+router.delete('/featured/:id', authenticateToken, requireAdmin, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid featured pin ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid featured pin ID',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const result = await executeQuery('DELETE FROM featured_gigs WHERE id = $1 RETURNING id, gig_id', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Featured pin not found'
+      });
+    }
+    await logAdminAction(null, {
+      adminId: req.user.id,
+      action: 'unfeature',
+      target: { type: 'gig', id: result.rows[0].gig_id },
+      details: { featured_id: result.rows[0].id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Featured pin removed'
+    });
+
+  } catch (error) {
+    console.error('Delete featured pin error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove featured pin',
+      message: 'An error occurred while removing the featured pin'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/reports:
+ *   get:
+ *     summary: The moderation queue (admin only)
+ *     description: Oldest first. Each report shows a preview of its target (null once the content is gone) and how many reports the same content has.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, open, claimed, resolved, dismissed]
+ *           default: pending
+ *         description: pending covers open and claimed reports
+ *       - in: query
+ *         name: target_type
+ *         schema:
+ *           type: string
+ *           enum: [gig, collection, user, comment, review]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: One page of reports
+ *       403:
+ *         description: Admin privileges required
+ */
+router.get('/reports', authenticateToken, requireAdmin, [
+  query('status').optional().isIn(['pending', ...REPORT_STATUSES])
+    .withMessage(`Status must be one of pending, ${REPORT_STATUSES.join(', ')}`),
+  query('target_type').optional().isIn(REPORT_TARGET_TYPES)
+    .withMessage(`target_type must be one of ${REPORT_TARGET_TYPES.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const offset = (page - 1) * limit;
+    const status = req.query.status || 'pending';
+    const statuses = status === 'pending' ? PENDING_REPORT_STATUSES : [status];
+    const targetType = req.query.target_type || null;
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) FROM reports r
+       WHERE r.status = ANY($1::text[]) AND ($2::text IS NULL OR r.target_type = $2)`,
+      [statuses, targetType]
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await executeQuery(
+      `SELECT r.id, r.target_type, r.target_id, r.reason, r.details, r.status,
+              r.reporter_id, ru.name AS reporter_name,
+              r.claimed_by, cu.name AS claimed_by_name, r.claimed_at,
+              r.resolved_by, r.resolved_at, r.resolution, r.resolution_note, r.created_at,
+              ${TARGET_PREVIEW_SQL} AS target_preview,
+              (SELECT COUNT(*)::int FROM reports s
+               WHERE s.target_type = r.target_type AND s.target_id = r.target_id) AS target_report_count
+       FROM reports r
+       LEFT JOIN users ru ON ru.id = r.reporter_id
+       LEFT JOIN users cu ON cu.id = r.claimed_by
+       WHERE r.status = ANY($1::text[]) AND ($2::text IS NULL OR r.target_type = $2)
+       ORDER BY r.created_at ASC, r.id ASC
+       LIMIT $3 OFFSET $4`,
+      [statuses, targetType, limit, offset]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reports: result.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reports',
+      message: 'An error occurred while fetching the moderation queue'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/reports/{id}/claim:
+ *   post:
+ *     summary: Claim a report to work on it (admin only)
+ *     description: Claims every open report about the same content
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Report claimed
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Already closed, or claimed by another admin
+ */
+router.post('/reports/:id/claim', authenticateToken, requireAdmin, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid report ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid report ID',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const outcome = await executeTransaction(async (client) => {
+      const locked = await lockPendingReport(client, req.params.id, req.user.id);
+      if (!locked.report) return locked;
+
+      const { report } = locked;
+      const target = { type: report.target_type, id: report.target_id };
+
+      const claimed = await client.query(
+        `UPDATE reports
+         SET status = 'claimed', claimed_by = $1, claimed_at = CURRENT_TIMESTAMP
+         WHERE target_type = $2 AND target_id = $3 AND status = 'open'
+         RETURNING id`,
+        [req.user.id, target.type, target.id]
+      );
+      const reportIds = claimed.rows.map((row) => row.id);
+
+      if (reportIds.length) {
+        await logAdminAction(client, {
+          adminId: req.user.id,
+          action: 'claim',
+          target,
+          reportId: report.id,
+          details: { report_ids: reportIds }
+        });
+      }
+
+      return {
+        status: 200,
+        body: {
+          success: true,
+          message: 'Report claimed',
+          data: { report_ids: reportIds.length ? reportIds : [report.id], claimed_by: req.user.id }
+        }
+      };
+    });
+
+    res.status(outcome.status).json(outcome.body);
+
+  } catch (error) {
+    console.error('Claim report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to claim report',
+      message: 'An error occurred while claiming the report'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/reports/{id}/resolve:
+ *   post:
+ *     summary: Resolve a report, optionally acting on the content (admin only)
+ *     description: Resolves every pending report about the same content. hide and delete act on the content; suspend suspends its author (or the reported user).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [hide, suspend, delete]
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Report resolved
+ *       400:
+ *         description: Validation failed or the action doesn't apply to this content
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Already closed, claimed by another admin, or the content is gone
+ */
+router.post('/reports/:id/resolve', authenticateToken, requireAdmin, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid report ID'),
+  body('action')
+    .optional({ nullable: true })
+    .isIn(['hide', 'suspend', 'delete'])
+    .withMessage('Action must be one of hide, suspend, delete'),
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note must be at most 1000 characters')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const action = req.body.action || null;
+  const note = req.body.note || null;
+
+  try {
+    const outcome = await executeTransaction(async (client) => {
+      const locked = await lockPendingReport(client, req.params.id, req.user.id);
+      if (!locked.report) return locked;
+
+      const { report } = locked;
+      const target = { type: report.target_type, id: report.target_id };
+
+      if (action && !MODERATION_ACTIONS[target.type].includes(action)) {
+        return {
+          status: 400,
+          body: {
+            success: false,
+            error: 'Validation failed',
+            message: `A reported ${target.type} can be resolved with ${MODERATION_ACTIONS[target.type].join(', ')}`
+          }
+        };
+      }
+
+      let ownerId = null;
+      if (action === 'suspend' || (action === 'delete' && target.type === 'user')) {
+        ownerId = await findTargetOwner(target);
+        if (ownerId === req.user.id) {
+          return {
+            status: 400,
+            body: {
+              success: false,
+              error: 'Validation failed',
+              message: `You can't ${action} your own account`
+            }
+          };
+        }
+      }
+
+      if (action) {
+        // Suspending needs someone to suspend - the author may have deleted their account
+        const applied = (action !== 'suspend' || ownerId !== null)
+          && await applyModerationAction(client, action, target, {
+            adminId: req.user.id,
+            reportId: report.id,
+            ownerId,
+            reason: note || `Report #${report.id}: ${report.reason}`
+          });
+
+        if (!applied) {
+          return {
+            status: 409,
+            body: {
+              success: false,
+              error: 'Nothing to act on',
+              message: action === 'suspend'
+                ? 'The user is already suspended or no longer exists - dismiss or resolve without an action'
+                : 'The content is already hidden or no longer exists - dismiss or resolve without an action'
+            }
+          };
+        }
+      }
+
+      const resolved = await client.query(
+        `UPDATE reports
+         SET status = 'resolved', resolved_by = $1, resolved_at = CURRENT_TIMESTAMP,
+             resolution = $2, resolution_note = $3
+         WHERE target_type = $4 AND target_id = $5 AND status = ANY($6::text[])
+         RETURNING id`,
+        [req.user.id, action, note, target.type, target.id, PENDING_REPORT_STATUSES]
+      );
+      const reportIds = resolved.rows.map((row) => row.id);
+
+      await logAdminAction(client, {
+        adminId: req.user.id,
+        action: 'resolve',
+        target,
+        reportId: report.id,
+        details: { resolution: action, note, report_ids: reportIds }
+      });
+
+      return {
+        status: 200,
+        body: {
+          success: true,
+          message: action ? `Report resolved - ${RESOLUTION_MESSAGES[action]}` : 'Report resolved',
+          data: { report_ids: reportIds, resolution: action }
+        }
+      };
+    });
+
+    res.status(outcome.status).json(outcome.body);
+
+  } catch (error) {
+    console.error('Resolve report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve report',
+      message: 'An error occurred while resolving the report - nothing was changed'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/reports/{id}/dismiss:
+ *   post:
+ *     summary: Dismiss a report without action (admin only)
+ *     description: Dismisses every pending report about the same content
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Report dismissed
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Already closed, or claimed by another admin
+ */
+router.post('/reports/:id/dismiss', authenticateToken, requireAdmin, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid report ID'),
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note must be at most 1000 characters')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const note = req.body.note || null;
+
+  try {
+    const outcome = await executeTransaction(async (client) => {
+      const locked = await lockPendingReport(client, req.params.id, req.user.id);
+      if (!locked.report) return locked;
+
+      const { report } = locked;
+      const target = { type: report.target_type, id: report.target_id };
+
+      const dismissed = await client.query(
+        `UPDATE reports
+         SET status = 'dismissed', resolved_by = $1, resolved_at = CURRENT_TIMESTAMP, resolution_note = $2
+         WHERE target_type = $3 AND target_id = $4 AND status = ANY($5::text[])
+         RETURNING id`,
+        [req.user.id, note, target.type, target.id, PENDING_REPORT_STATUSES]
+      );
+      const reportIds = dismissed.rows.map((row) => row.id);
+
+      await logAdminAction(client, {
+        adminId: req.user.id,
+        action: 'dismiss',
+        target,
+        reportId: report.id,
+        details: { note, report_ids: reportIds }
+      });
+
+      return {
+        status: 200,
+        body: {
+          success: true,
+          message: 'Report dismissed',
+          data: { report_ids: reportIds }
+        }
+      };
+    });
+
+    res.status(outcome.status).json(outcome.body);
+
+  } catch (error) {
+    console.error('Dismiss report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to dismiss report',
+      message: 'An error occurred while dismissing the report'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/actions:
+ *   get:
+ *     summary: The admin action log (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: admin_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: target_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: target_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Logged actions, newest first, with the acting admin
+ *       403:
+ *         description: Admin privileges required
+ */
+router.get('/actions', authenticateToken, requireAdmin, [
+  query('admin_id').optional().isInt({ min: 1 }).withMessage('admin_id must be a user ID'),
+  query('target_type').optional().isString().trim().isLength({ max: 20 }).withMessage('Invalid target_type'),
+  query('target_id').optional().isInt({ min: 1 }).withMessage('target_id must be a positive integer'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const offset = (page - 1) * limit;
+    const filters = [
+      req.query.admin_id ? parseInt(req.query.admin_id) : null,
+      req.query.target_type || null,
+      req.query.target_id ? parseInt(req.query.target_id) : null
+    ];
+    const where = `
+      WHERE ($1::int IS NULL OR a.admin_id = $1)
+        AND ($2::text IS NULL OR a.target_type = $2)
+        AND ($3::int IS NULL OR a.target_id = $3)`;
+
+    const countResult = await executeQuery(`SELECT COUNT(*) FROM admin_actions a ${where}`, filters);
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await executeQuery(
+      `SELECT a.id, a.action, a.target_type, a.target_id, a.report_id, a.details, a.created_at,
+              a.admin_id, u.name AS admin_name
+       FROM admin_actions a
+       LEFT JOIN users u ON u.id = a.admin_id
+       ${where}
+       ORDER BY a.created_at DESC, a.id DESC
+       LIMIT $4 OFFSET $5`,
+      [...filters, limit, offset]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        actions: result.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get admin actions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch admin actions',
+      message: 'An error occurred while fetching the action log'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: Search users (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Matches name or email
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [member, admin]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended, reset_required]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Users, newest first, with their gig/collection counts and pending reports against them
+ *       403:
+ *         description: Admin privileges required
+ */
+router.get('/users', authenticateToken, requireAdmin, [
+  query('q').optional().isString().trim().isLength({ max: 100 }).withMessage('Search must be at most 100 characters'),
+  query('role').optional().isIn(USER_ROLES).withMessage(`Role must be one of ${USER_ROLES.join(', ')}`),
+  query('status').optional().isIn(Object.keys(USER_STATUS_CONDITIONS))
+    .withMessage(`Status must be one of ${Object.keys(USER_STATUS_CONDITIONS).join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (req.query.q) {
+      params.push(`%${req.query.q}%`);
+      conditions.push(`(u.name ILIKE $${params.length} OR u.email ILIKE $${params.length})`);
+    }
+    if (req.query.role) {
+      params.push(req.query.role);
+      conditions.push(`u.role = $${params.length}`);
+    }
+    if (req.query.status) {
+      conditions.push(USER_STATUS_CONDITIONS[req.query.status]);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await executeQuery(`SELECT COUNT(*) FROM users u ${where}`, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await executeQuery(
+      `SELECT u.id, u.name, u.email, u.role, u.created_at, u.updated_at,
+              u.suspended_at, u.suspension_reason, u.password_reset_required,
+              (SELECT COUNT(*)::int FROM gigs g WHERE g.user_id = u.id) AS gig_count,
+              (SELECT COUNT(*)::int FROM collections c WHERE c.user_id = u.id) AS collection_count,
+              (SELECT COUNT(*)::int FROM reports r
+               WHERE r.target_type = 'user' AND r.target_id = u.id
+                 AND r.status = ANY($${params.length + 1}::text[])) AS pending_report_count
+       FROM users u
+       ${where}
+       ORDER BY u.created_at DESC, u.id DESC
+       LIMIT $${params.length + 2} OFFSET $${params.length + 3}`,
+      [...params, PENDING_REPORT_STATUSES, limit, offset]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        users: result.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin search users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch users',
+      message: 'An error occurred while searching users'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   put:
+ *     summary: Change a user's role (admin only)
+ *     description: Takes effect on the user's next request - authenticateToken reads the role from the database
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [member, admin]
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *       400:
+ *         description: Validation failed, or the admin's own account
+ *       404:
+ *         description: User not found
+ */
+router.put('/users/:id/role', authenticateToken, requireAdmin, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid user ID'),
+  body('role').isIn(USER_ROLES).withMessage(`Role must be one of ${USER_ROLES.join(', ')}`)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const user = await findManagedUser(req, res, 'change the role of');
+    if (!user) return;
+
+    if (user.role === req.body.role) {
+      return res.status(200).json({
+        success: true,
+        message: `User is already ${req.body.role === 'admin' ? 'an admin' : 'a member'}`,
+        data: { id: user.id, role: user.role }
+      });
+    }
+
+    await executeTransaction(async (client) => {
+      await client.query(
+        'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [req.body.role, user.id]
+      );
+      await logAdminAction(client, {
+        adminId: req.user.id,
+        action: 'role_change',
+        target: { type: 'user', id: user.id },
+        details: { from: user.role, to: req.body.role }
+      });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role changed',
+      data: { id: user.id, role: req.body.role }
+    });
+
+  } catch (error) {
+    console.error('Change user role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change role',
+      message: 'An error occurred while changing the user\'s role'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/suspend:
+ *   post:
+ *     summary: Suspend a user (admin only)
+ *     description: Suspended users can't sign in and their existing tokens stop working
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: User suspended
+ *       400:
+ *         description: Validation failed, or the admin's own account
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Already suspended
+ */
+router.post('/users/:id/suspend', authenticateToken, requireAdmin, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid user ID'),
+  body('reason')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Reason must be at most 1000 characters')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const user = await findManagedUser(req, res, 'suspend');
+    if (!user) return;
+
+    if (user.suspended_at) {
+      return res.status(409).json({
+        success: false,
+        error: 'User is already suspended'
+      });
+    }
+
+    const reason = req.body.reason || null;
+    await executeTransaction(async (client) => {
+      await client.query(
+        `UPDATE users
+         SET suspended_at = CURRENT_TIMESTAMP, suspended_by = $1, suspension_reason = $2
+         WHERE id = $3`,
+        [req.user.id, reason, user.id]
+      );
+      await logAdminAction(client, {
+        adminId: req.user.id,
+        action: 'suspend',
+        target: { type: 'user', id: user.id },
+        details: reason ? { reason } : null
+      });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User suspended'
+    });
+
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to suspend user',
+      message: 'An error occurred while suspending the user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/unsuspend:
+ *   post:
+ *     summary: Lift a user's suspension (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Suspension lifted
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User isn't suspended
+ */
+router.post('/users/:id/unsuspend', authenticateToken, requireAdmin, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid user ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid user ID',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const user = await findManagedUser(req, res, 'unsuspend');
+    if (!user) return;
+
+    if (!user.suspended_at) {
+      return res.status(409).json({
+        success: false,
+        error: 'User is not suspended'
+      });
+    }
+
+    await executeTransaction(async (client) => {
+      await client.query(
+        `UPDATE users
+         SET suspended_at = NULL, suspended_by = NULL, suspension_reason = NULL
+         WHERE id = $1`,
+        [user.id]
+      );
+      await logAdminAction(client, {
+        adminId: req.user.id,
+        action: 'unsuspend',
+        target: { type: 'user', id: user.id },
+        details: { suspended_at: user.suspended_at, reason: user.suspension_reason }
+      });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Suspension lifted'
+    });
+
+  } catch (error) {
+    console.error('Unsuspend user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to lift suspension',
+      message: 'An error occurred while lifting the suspension'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/force-password-reset:
+ *   post:
+ *     summary: Make a user choose a new password (admin only)
+ *     description: The user's tokens stop working and they can't sign in until they redeem the returned single-use reset token with a new password at POST /api/auth/reset-password. Pass the token to the user; a new forced reset replaces it
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Password reset required, with reset_token and its expires_at
+ *       400:
+ *         description: The admin's own account
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/force-password-reset', authenticateToken, requireAdmin, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid user ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid user ID',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const user = await findManagedUser(req, res, 'force a password reset on');
+    if (!user) return;
+
+    const reset = await executeTransaction(async (client) => {
+      const issued = await issueResetToken(client, user.id);
+      await logAdminAction(client, {
+        adminId: req.user.id,
+        action: 'force_password_reset',
+        target: { type: 'user', id: user.id }
+      });
+      return issued;
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'The user must choose a new password with this reset token before signing in again',
+      data: {
+        reset_token: reset.token,
+        expires_at: reset.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Force password reset error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to force password reset',
+      message: 'An error occurred while forcing a password reset'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/impersonate:
+ *   post:
+ *     summary: Get a read-only token to see the app as a user (admin only)
+ *     description: The token expires after IMPERSONATION_TOKEN_TTL and is refused for anything but GET requests. Admin accounts can't be impersonated.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Impersonation token
+ *       400:
+ *         description: The admin's own account, or another admin
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User is suspended
+ */
+router.post('/users/:id/impersonate', authenticateToken, requireAdmin, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid user ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid user ID',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const user = await findManagedUser(req, res, 'impersonate');
+    if (!user) return;
+
+    if (user.role === 'admin') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: 'Admin accounts can\'t be impersonated'
+      });
+    }
+
+    if (user.suspended_at) {
+      return res.status(409).json({
+        success: false,
+        error: 'User is suspended',
+        message: 'Suspended accounts can\'t be used, even read-only'
+      });
+    }
+
+    const token = jwt.sign(
+      {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        impersonated_by: req.user.id,
+        read_only: true
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: IMPERSONATION_TOKEN_TTL }
+    );
+
+    await logAdminAction(null, {
+      adminId: req.user.id,
+      action: 'impersonate',
+      target: { type: 'user', id: user.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Read-only token for ${user.name}`,
+      data: {
+        token,
+        expires_in: IMPERSONATION_TOKEN_TTL,
+        read_only: true,
+        user: { id: user.id, name: user.name, email: user.email, role: user.role }
+      }
+    });
+
+  } catch (error) {
+    console.error('Impersonate user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to impersonate user',
+      message: 'An error occurred while creating the impersonation token'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/stats:
+ *   get:
+ *     summary: Site-wide counts and signups over time (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *       - in: query
+ *         name: periods
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 366
+ *         description: How many intervals of signups to return, ending with the current one (default 30)
+ *     responses:
+ *       200:
+ *         description: Counts of users, gigs, collections and pending reports, plus signups per interval
+ *       403:
+ *         description: Admin privileges required
+ */
+router.get('/stats', authenticateToken, requireAdmin, [
+  query('interval').optional().isIn(STATS_INTERVALS).withMessage(`Interval must be one of ${STATS_INTERVALS.join(', ')}`),
+  query('periods').optional().isInt({ min: 1, max: 366 }).withMessage('Periods must be between 1 and 366')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const interval = req.query.interval || 'day';
+    const periods = parseInt(req.query.periods) || 30;
+
+    const counts = await executeQuery(
+      `SELECT
+         (SELECT COUNT(*)::int FROM users) AS users,
+         (SELECT COUNT(*)::int FROM users WHERE role = 'admin') AS admins,
+         (SELECT COUNT(*)::int FROM users WHERE suspended_at IS NOT NULL) AS suspended_users,
+         (SELECT COUNT(*)::int FROM gigs) AS gigs,
+         (SELECT COUNT(*)::int FROM gigs g WHERE ${publishedSql('g')}) AS published_gigs,
+         (SELECT COUNT(DISTINCT g.id)::int FROM gig_occurrences g
+          WHERE ${publishedSql('g')} AND ${whenSql('g', 'upcoming')}) AS upcoming_gigs,
+         (SELECT COUNT(*)::int FROM gigs WHERE hidden_at IS NOT NULL) AS hidden_gigs,
+         (SELECT COUNT(*)::int FROM collections) AS collections,
+         (SELECT COUNT(*)::int FROM collections WHERE is_public = TRUE) AS public_collections,
+         (SELECT COUNT(*)::int FROM reports WHERE status = ANY($1::text[])) AS pending_reports`,
+      [PENDING_REPORT_STATUSES]
+    );
+
+    // One row per interval, including the ones nobody signed up in
+    const signups = await executeQuery(
+      `SELECT period.starts_at AS period_start, COUNT(u.id)::int AS signups
+       FROM generate_series(
+              date_trunc($1, NOW()) - ($2::int - 1) * ('1 ' || $1)::interval,
+              date_trunc($1, NOW()),
+              ('1 ' || $1)::interval
+            ) AS period(starts_at)
+       LEFT JOIN users u ON date_trunc($1, u.created_at) = period.starts_at
+       GROUP BY period.starts_at
+       ORDER BY period.starts_at ASC`,
+      [interval, periods]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        counts: counts.rows[0],
+        signups: {
+          interval,
+          periods: signups.rows
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stats',
+      message: 'An error occurred while fetching site statistics'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/genres:
+ *   post:
+ *     summary: Add a genre or subgenre (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *               slug:
+ *                 type: string
+ *                 description: Defaults to one made from the name
+ *               parent_id:
+ *                 type: integer
+ *                 description: Top-level genre to file this under as a subgenre
+ *     responses:
+ *       201:
+ *         description: Genre created
+ *       400:
+ *         description: Validation failed, or the parent is itself a subgenre
+ *       409:
+ *         description: A genre with this name or slug already exists
+ */
+router.post('/genres', authenticateToken, requireAdmin, [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Genre name must be between 1 and 50 characters'),
+  ...genreValidation
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const name = req.body.name;
+    const slug = req.body.slug || slugifyGenre(name);
+    const parentId = req.body.parent_id ?? null;
+
+    if (!slug) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: 'This name doesn\'t make a slug - provide one'
+      });
+    }
+
+    if (parentId !== null && !(await checkGenreParent(res, parentId))) return;
+    if (await rejectDuplicateGenre(res, name, slug)) return;
+
+    const genre = await executeTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO genres (name, slug, parent_id)
+         VALUES ($1, $2, $3)
+         RETURNING id, name, slug, parent_id, created_at, updated_at`,
+        [name, slug, parentId]
+      );
+      await logAdminAction(client, {
+        adminId: req.user.id,
+        action: 'genre_create',
+        target: { type: 'genre', id: result.rows[0].id },
+        details: { name, slug, parent_id: parentId }
+      });
+      return result.rows[0];
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Genre created',
+      data: { genre }
+    });
+
+  } catch (error) {
+    console.error('Create genre error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create genre',
+      message: 'An error occurred while creating the genre'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/genres/{id}:
+ *   put:
+ *     summary: Rename, re-slug or move a genre (admin only)
+ *     description: Renaming updates gigs with it as their primary genre and artists that list it. parent_id null makes a subgenre top-level.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *               slug:
+ *                 type: string
+ *               parent_id:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Genre updated
+ *       400:
+ *         description: Validation failed, or the move would nest genres more than one level deep
+ *       404:
+ *         description: Genre not found
+ *       409:
+ *         description: Another genre has this name or slug
+ */
+router.put('/genres/:id', authenticateToken, requireAdmin, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid genre ID'),
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Genre name must be between 1 and 50 characters'),
+  ...genreValidation
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const existing = await executeQuery('SELECT id, name, slug, parent_id FROM genres WHERE id = $1', [req.params.id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Genre not found'
+      });
+    }
+
+    const genre = existing.rows[0];
+    const name = req.body.name ?? genre.name;
+    const slug = req.body.slug ?? genre.slug;
+    const parentId = req.body.parent_id !== undefined ? req.body.parent_id : genre.parent_id;
+
+    if (parentId !== null && parentId !== genre.parent_id && !(await checkGenreParent(res, parentId, genre))) return;
+    if (await rejectDuplicateGenre(res, name, slug, genre.id)) return;
+
+    const updated = await executeTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE genres SET name = $1, slug = $2, parent_id = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4
+         RETURNING id, name, slug, parent_id, created_at, updated_at`,
+        [name, slug, parentId, genre.id]
+      );
+
+      // gigs.genre and artists.genres hold names, so they follow a rename
+      if (name !== genre.name) {
+        await client.query('UPDATE gigs SET genre = $1 WHERE genre = $2', [name, genre.name]);
+        await client.query(
+          'UPDATE artists SET genres = array_replace(genres, $2, $1) WHERE $2 = ANY(genres)',
+          [name, genre.name]
+        );
+      }
+
+      const changes = {};
+      for (const [field, value] of Object.entries({ name, slug, parent_id: parentId })) {
+        if (value !== genre[field]) changes[field] = { from: genre[field], to: value };
+      }
+      if (Object.keys(changes).length) {
+        await logAdminAction(client, {
+          adminId: req.user.id,
+          action: 'genre_update',
+          target: { type: 'genre', id: genre.id },
+          details: changes
+        });
+      }
+
+      return result.rows[0];
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Genre updated',
+      data: { genre: updated }
+    });
+
+  } catch (error) {
+    console.error('Update genre error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update genre',
+      message: 'An error occurred while updating the genre'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/genres/{id}:
+ *   delete:
+ *     summary: Delete a genre (admin only)
+ *     description: Genres with subgenres can't be deleted. Gigs tagged with the genre must be moved to another with replace_with; artists that list it drop it (or get the replacement).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: replace_with
+ *         schema:
+ *           type: integer
+ *         description: Genre to give the deleted genre's gigs and artists
+ *     responses:
+ *       200:
+ *         description: Genre deleted
+ *       400:
+ *         description: replace_with is missing or invalid
+ *       404:
+ *         description: Genre not found
+ *       409:
+ *         description: The genre has subgenres, or gigs and no replace_with
+ */
+router.delete('/genres/:id', authenticateToken, requireAdmin, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid genre ID'),
+  query('replace_with').optional().isInt({ min: 1 }).toInt().withMessage('replace_with must be a genre ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const existing = await executeQuery(
+      `SELECT ge.id, ge.name,
+              (SELECT COUNT(*)::int FROM genres s WHERE s.parent_id = ge.id) AS subgenre_count,
+              (SELECT COUNT(*)::int FROM gig_genres gg WHERE gg.genre_id = ge.id) AS gig_count
+       FROM genres ge WHERE ge.id = $1`,
+      [req.params.id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Genre not found'
+      });
+    }
+
+    const genre = existing.rows[0];
+    const replaceWith = req.query.replace_with ?? null;
+
+    if (genre.subgenre_count > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Genre has subgenres',
+        message: `Move or delete its ${genre.subgenre_count} subgenre${genre.subgenre_count === 1 ? '' : 's'} first`
+      });
+    }
+
+    if (genre.gig_count > 0 && replaceWith === null) {
+      const gigs = genre.gig_count === 1 ? '1 gig is' : `${genre.gig_count} gigs are`;
+      return res.status(409).json({
+        success: false,
+        error: 'Genre is in use',
+        message: `${gigs} tagged with this genre - pass replace_with to move them to another genre`
+      });
+    }
+
+    let replacement = null;
+    if (replaceWith !== null) {
+      const found = await executeQuery('SELECT id, name FROM genres WHERE id = $1', [replaceWith]);
+      if (found.rows.length === 0 || replaceWith === genre.id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          message: 'replace_with must be another existing genre'
+        });
+      }
+      replacement = found.rows[0];
+    }
+
+    await executeTransaction(async (client) => {
+      if (replacement) {
+        // Gigs that already had the replacement keep their existing position for it
+        await client.query(
+          `INSERT INTO gig_genres (gig_id, genre_id, position)
+           SELECT gig_id, $2, position FROM gig_genres WHERE genre_id = $1
+           ON CONFLICT (gig_id, genre_id) DO NOTHING`,
+          [genre.id, replacement.id]
+        );
+        await client.query(
+          `UPDATE artists
+           SET genres = CASE WHEN $2 = ANY(genres) THEN array_remove(genres, $1) ELSE array_replace(genres, $1, $2) END
+           WHERE $1 = ANY(genres)`,
+          [genre.name, replacement.name]
+        );
+      } else {
+        await client.query('UPDATE artists SET genres = array_remove(genres, $1) WHERE $1 = ANY(genres)', [genre.name]);
+      }
+
+      await client.query('DELETE FROM gig_genres WHERE genre_id = $1', [genre.id]);
+
+      // Gigs whose primary genre this was take their first remaining genre
+      await client.query(
+        `UPDATE gigs g SET genre = (
+           SELECT ge.name FROM gig_genres gg JOIN genres ge ON ge.id = gg.genre_id
+           WHERE gg.gig_id = g.id
+           ORDER BY gg.position ASC, ge.name ASC
+           LIMIT 1
+         )
+         WHERE g.genre = $1`,
+        [genre.name]
+      );
+
+      await client.query('DELETE FROM genres WHERE id = $1', [genre.id]);
+      await logAdminAction(client, {
+        adminId: req.user.id,
+        action: 'genre_delete',
+        target: { type: 'genre', id: genre.id },
+        details: { name: genre.name, gig_count: genre.gig_count, replaced_with: replacement }
+      });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: replacement ? `Genre deleted - its gigs are now ${replacement.name}` : 'Genre deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete genre error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete genre',
+      message: 'An error occurred while deleting the genre'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,641 @@
+/**
+ * ARTISTS ROUTES - Artist Profile and Following Endpoints
+ *
+ * This file contains all artist-related routes:
+ * - Browse all artists (public)
+ * - View an artist profile with upcoming and past gigs (public)
+ * - Artists the current user follows (private)
+ * - Create new artist (private)
+ * - Update artist (private)
+ * - Follow / unfollow an artist (private)
+ *
+ * IMPLEMENTATION REQUIREMENTS:
+ *
+ * 1. DATABASE SCHEMA:
+ *    artists table: id, name, bio, image_url, genres, website_url, social_links,
+ *                   created_by, created_at, updated_at
+ *    gig_artists links artists to gig lineups; artist_follows links users to artists
+ *
+ * 2. VALIDATION RULES:
+ *    - name: required, 1-100 characters
+ *    - bio: optional, max 2000 characters
+ *    - image_url / website_url: optional, valid URL format
+ *    - genres: optional, up to 5 genre names or slugs from the genres table (stored as names)
+ *    - social_links: optional, object keyed by SOCIAL_LINKS platform with URL values
+ *
+ * 3. BUSINESS LOGIC:
+ *    - Artists are shared between all users, so a name can only exist once (case-insensitive)
+ *    - Artists named in a gig lineup are created automatically (see routes/gigs.js)
+ *    - Only the user who created an artist (or an admin) can modify it
+ *    - Following is idempotent; the "gigs by artists I follow" feed is GET /api/gigs/following
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { executeQuery } = require('../config/database');
+const { GIG_TIME_FIELDS, localiseTimes } = require('../utils/timezones');
+const { publishedSql } = require('../utils/publishing');
+const { whenSql } = require('../utils/archiving');
+const { resolveGenres, checkGenresExist, artistGenreFilterSql } = require('../utils/genres');
+
+const router = express.Router();
+
+// Keep in sync with SOCIAL_LINKS in src/constants.js
+const SOCIAL_PLATFORMS = [
+  'instagram', 'twitter', 'facebook', 'youtube',
+  'tiktok', 'spotify', 'bandcamp', 'soundcloud'
+];
+
+const PAST_GIGS_LIMIT = 20;
+
+// Validation middleware for artist creation/update
+const artistValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Artist name must be between 1 and 100 characters'),
+  body('bio')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Bio must not exceed 2000 characters'),
+  body('image_url')
+    .optional()
+    .isURL()
+    .withMessage('Please provide a valid image URL'),
+  body('website_url')
+    .optional()
+    .isURL()
+    .withMessage('Please provide a valid website URL'),
+  body('genres')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Genres must be an array of at most 5 genres')
+    .bail()
+    .custom((values) => values.every((value) => typeof value === 'string'))
+    .withMessage('Please select valid genres')
+    .bail()
+    .custom(checkGenresExist),
+  body('social_links')
+    .optional({ nullable: true })
+    .custom((links) => {
+      if (typeof links !== 'object' || Array.isArray(links)) {
+        throw new Error('Social links must be an object keyed by platform');
+      }
+      for (const [platform, url] of Object.entries(links)) {
+        if (!SOCIAL_PLATFORMS.includes(platform)) {
+          throw new Error(`Unknown social platform "${platform}" - use one of ${SOCIAL_PLATFORMS.join(', ')}`);
+        }
+        if (typeof url !== 'string' || !/^https?:\/\/\S+$/i.test(url)) {
+          throw new Error(`Social link for ${platform} must be a URL`);
+        }
+      }
+      return true;
+    })
+];
+
+// Fetch an artist and check the current user may modify it
+// Returns the artist row, or sends the error response and returns null
+const findEditableArtist = async (req, res) => {
+  const result = await executeQuery('SELECT * FROM artists WHERE id = $1', [req.params.id]);
+
+  if (result.rows.length === 0) {
+    res.status(404).json({
+      success: false,
+      error: 'Artist not found'
+    });
+    return null;
+  }
+
+  const artist = result.rows[0];
+  if (artist.created_by !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      error: 'You can only modify artists you created',
+      code: 'OWNERSHIP_REQUIRED'
+    });
+    return null;
+  }
+
+  return artist;
+};
+
+// Send a 409 if another artist already has this name
+// Returns true if the response was sent
+const rejectDuplicateName = async (res, name, excludeId = null) => {
+  const existing = await executeQuery(
+    'SELECT id FROM artists WHERE LOWER(name) = LOWER($1) AND ($2::int IS NULL OR id <> $2)',
+    [name, excludeId]
+  );
+
+  if (existing.rows.length === 0) return false;
+
+  res.status(409).json({
+    success: false,
+    error: 'Artist already exists',
+    message: 'An artist with this name already exists',
+    data: { artist_id: existing.rows[0].id }
+  });
+  return true;
+};
+
+/**
+ * @swagger
+ * /api/artists:
+ *   get:
+ *     summary: Get all artists with optional filtering and pagination
+ *     tags: [Artists]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search in artist name
+ *       - in: query
+ *         name: genre
+ *         schema:
+ *           type: string
+ *         description: Genre name or slug (a parent genre includes its subgenres)
+ *     responses:
+ *       200:
+ *         description: List of artists with follower counts and pagination metadata
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('search').optional().isString().withMessage('Search must be a string'),
+  query('genre').optional().isString().withMessage('Genre must be a string')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const offset = (page - 1) * limit;
+    const { search, genre } = req.query;
+
+    const conditions = [];
+    const params = [];
+
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`a.name ILIKE $${params.length}`);
+    }
+    if (genre) {
+      params.push(genre);
+      conditions.push(artistGenreFilterSql('a', `$${params.length}`));
+    }
+
+    const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) FROM artists a ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await executeQuery(
+      `SELECT a.id, a.name, a.image_url, a.genres,
+              (SELECT COUNT(*) FROM artist_follows f WHERE f.artist_id = a.id)::int AS follower_count,
+              (SELECT COUNT(DISTINCT g.id) FROM gig_artists ga
+               JOIN gig_occurrences g ON g.id = ga.gig_id
+               WHERE ga.artist_id = a.id AND ${whenSql('g', 'upcoming')} AND ${publishedSql('g')})::int AS upcoming_gigs_count
+       FROM artists a
+       ${whereClause}
+       ORDER BY a.name ASC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        artists: result.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get artists error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch artists',
+      message: 'An error occurred while fetching artists'
+    });
+  }
+});
+
+// Registered before /:id so "following" isn't treated as an artist ID
+/**
+ * @swagger
+ * /api/artists/following:
+ *   get:
+ *     summary: Get the artists the current user follows
+ *     tags: [Artists]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Followed artists, most recently followed first
+ */
+router.get('/following', authenticateToken, async (req, res) => {
+  try {
+    const result = await executeQuery(
+      `SELECT a.id, a.name, a.image_url, a.genres, f.created_at AS followed_at,
+              (SELECT COUNT(DISTINCT g.id) FROM gig_artists ga
+               JOIN gig_occurrences g ON g.id = ga.gig_id
+               WHERE ga.artist_id = a.id AND ${whenSql('g', 'upcoming')} AND ${publishedSql('g')})::int AS upcoming_gigs_count
+       FROM artist_follows f
+       JOIN artists a ON a.id = f.artist_id
+       WHERE f.user_id = $1
+       ORDER BY f.created_at DESC`,
+      [req.user.id]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { artists: result.rows }
+    });
+
+  } catch (error) {
+    console.error('Get followed artists error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch followed artists',
+      message: 'An error occurred while fetching followed artists'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/artists/{id}:
+ *   get:
+ *     summary: Get an artist profile with upcoming and past gigs
+ *     tags: [Artists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Artist profile, follower count, whether the current user follows them, upcoming gigs and recent past gigs
+ *       400:
+ *         description: Invalid artist ID
+ *       404:
+ *         description: Artist not found
+ */
+router.get('/:id', optionalAuth, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid artist ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid artist ID',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const artistResult = await executeQuery(
+      `SELECT a.*,
+              (SELECT COUNT(*) FROM artist_follows f WHERE f.artist_id = a.id)::int AS follower_count,
+              EXISTS (
+                SELECT 1 FROM artist_follows f WHERE f.artist_id = a.id AND f.user_id = $2
+              ) AS is_following
+       FROM artists a
+       WHERE a.id = $1`,
+      [req.params.id, req.user ? req.user.id : null]
+    );
+
+    if (artistResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Artist not found'
+      });
+    }
+
+    // Recurring gigs are listed once per occurrence, like GET /api/gigs
+    const gigColumns = `
+      g.id, g.occurrence_date, g.title, g.doors_at, g.event_date, g.ends_at, g.timezone,
+      g.genre, g.price, g.image_url, g.status, g.venue_id, v.name AS venue_name, v.city AS venue_city,
+      ga.billing_order, ga.set_start, ga.set_end`;
+    const timeFields = [...GIG_TIME_FIELDS, 'set_start', 'set_end'];
+
+    const upcomingResult = await executeQuery(
+      `SELECT ${gigColumns}
+       FROM gig_artists ga
+       JOIN gig_occurrences g ON g.id = ga.gig_id
+       JOIN venues v ON v.id = g.venue_id
+       WHERE ga.artist_id = $1 AND ${whenSql('g', 'upcoming')} AND ${publishedSql('g')}
+       ORDER BY g.event_date ASC`,
+      [req.params.id]
+    );
+
+    const pastResult = await executeQuery(
+      `SELECT ${gigColumns}
+       FROM gig_artists ga
+       JOIN gig_occurrences g ON g.id = ga.gig_id
+       JOIN venues v ON v.id = g.venue_id
+       WHERE ga.artist_id = $1 AND ${whenSql('g', 'past')} AND ${publishedSql('g')}
+       ORDER BY g.event_date DESC
+       LIMIT ${PAST_GIGS_LIMIT}`,
+      [req.params.id]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        artist: artistResult.rows[0],
+        upcoming_gigs: upcomingResult.rows.map((row) => localiseTimes(row, timeFields)),
+        past_gigs: pastResult.rows.map((row) => localiseTimes(row, timeFields))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get artist error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch artist',
+      message: 'An error occurred while fetching the artist'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/artists:
+ *   post:
+ *     summary: Create a new artist
+ *     tags: [Artists]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Artist created
+ *       400:
+ *         description: Validation failed
+ *       409:
+ *         description: An artist with this name already exists
+ */
+router.post('/', authenticateToken, artistValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const { name, bio, image_url, genres, website_url, social_links } = req.body;
+
+    if (await rejectDuplicateName(res, name)) return;
+
+    const genreNames = genres ? (await resolveGenres(genres)).genres.map((genre) => genre.name) : [];
+
+    const result = await executeQuery(
+      `INSERT INTO artists (name, bio, image_url, genres, website_url, social_links, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [name, bio || null, image_url || null, genreNames, website_url || null,
+        social_links ? JSON.stringify(social_links) : null, req.user.id]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Artist created successfully',
+      data: { artist: result.rows[0] }
+    });
+
+  } catch (error) {
+    console.error('Create artist error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create artist',
+      message: 'An error occurred while creating the artist'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/artists/{id}:
+ *   put:
+ *     summary: Update an artist profile (creator or admin only)
+ *     tags: [Artists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Artist updated
+ *       403:
+ *         description: Not the artist creator
+ *       404:
+ *         description: Artist not found
+ *       409:
+ *         description: An artist with this name already exists
+ */
+router.put('/:id', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid artist ID'),
+  ...artistValidation
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const artist = await findEditableArtist(req, res);
+    if (!artist) return;
+
+    const { name, bio, image_url, genres, website_url, social_links } = req.body;
+
+    if (await rejectDuplicateName(res, name, artist.id)) return;
+
+    const genreNames = genres ? (await resolveGenres(genres)).genres.map((genre) => genre.name) : [];
+
+    const result = await executeQuery(
+      `UPDATE artists
+       SET name = $1, bio = $2, image_url = $3, genres = $4, website_url = $5, social_links = $6,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $7
+       RETURNING *`,
+      [name, bio || null, image_url || null, genreNames, website_url || null,
+        social_links ? JSON.stringify(social_links) : null, artist.id]
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Artist updated successfully',
+      data: { artist: result.rows[0] }
+    });
+
+  } catch (error) {
+    console.error('Update artist error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update artist',
+      message: 'An error occurred while updating the artist'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/artists/{id}/follow:
+ *   post:
+ *     summary: Follow an artist
+ *     tags: [Artists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Now following the artist (also returned if already following)
+ *       404:
+ *         description: Artist not found
+ */
+router.post('/:id/follow', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid artist ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid artist ID',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const artistResult = await executeQuery('SELECT id FROM artists WHERE id = $1', [req.params.id]);
+
+    if (artistResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Artist not found'
+      });
+    }
+
+    await executeQuery(
+      `INSERT INTO artist_follows (user_id, artist_id)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id, artist_id) DO NOTHING`,
+      [req.user.id, req.params.id]
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Artist followed'
+    });
+
+  } catch (error) {
+    console.error('Follow artist error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to follow artist',
+      message: 'An error occurred while following the artist'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/artists/{id}/follow:
+ *   delete:
+ *     summary: Unfollow an artist
+ *     tags: [Artists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: No longer following the artist
+ */
+router.delete('/:id/follow', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid artist ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid artist ID',
+      details: errors.array()
+    });
+  }
+
+  try {
+    await executeQuery(
+      'DELETE FROM artist_follows WHERE user_id = $1 AND artist_id = $2',
+      [req.user.id, req.params.id]
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Artist unfollowed'
+    });
+
+  } catch (error) {
+    console.error('Unfollow artist error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unfollow artist',
+      message: 'An error occurred while unfollowing the artist'
+    });
+  }
+});
+
+module.exports = router;
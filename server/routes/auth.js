@@ -6,6 +6,7 @@
  * - User login
  * - User logout
  * - Get current user info
+ * - Reset password with the single-use token from an admin's forced reset (utils/passwords.js)
  * 
  * IMPLEMENTATION REQUIREMENTS:
  * 
@@ -30,7 +31,10 @@
  * 
  * 4. DATABASE QUERIES:
  *    - User registration: INSERT new user (hash password)
- *    - User login: SELECT user by email, compare password
+ *    - User login: SELECT user by email, compare password (suspended users and users with a
+ *      forced password reset are turned away)
+ *    - Password reset: redeem the reset token, store the new hash and password_changed_at,
+ *      which revokes every token issued before it
  *    - Get user: SELECT user by ID (exclude password)
  * 
  * 5. RESPONSE FORMATS:
@@ -53,6 +57,7 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const { authenticateToken } = require('../middleware/auth');
+const { hashResetToken } = require('../utils/passwords');
 
 const router = express.Router();
 
@@ -104,6 +109,18 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('new_password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+];
+
 // POST /api/auth/register - Register new user
 router.post('/register', authLimiter, registerValidation, async (req, res) => {
   try {
@@ -208,7 +225,7 @@ router.post('/login', loginLimiter, loginValidation, async (req, res) => {
 
     // Find user by email
     const result = await executeQuery(
-      'SELECT id, name, email, password_hash, bio, role, created_at FROM users WHERE email = $1',
+      'SELECT id, name, email, password_hash, bio, role, suspended_at, password_reset_required, created_at FROM users WHERE email = $1',
       [email]
     );
 
@@ -233,6 +250,23 @@ router.post('/login', loginLimiter, loginValidation, async (req, res) => {
       });
     }
 
+    if (user.suspended_at) {
+      return res.status(403).json({
+        success: false,
+        error: 'Account suspended',
+        code: 'ACCOUNT_SUSPENDED'
+      });
+    }
+
+    if (user.password_reset_required) {
+      return res.status(403).json({
+        success: false,
+        error: 'Password reset required',
+        message: 'Choose a new password with the reset token from an admin (POST /api/auth/reset-password)',
+        code: 'PASSWORD_RESET_REQUIRED'
+      });
+    }
+
     // Generate JWT token
     const token = jwt.sign(
       { 
@@ -296,6 +330,11 @@ router.get('/me', authenticateToken, async (req, res) => {
 
     const user = result.rows[0];
 
+    // Impersonation tokens say so, so the client can show a banner
+    if (req.user.impersonatedBy) {
+      user.impersonated_by = req.user.impersonatedBy;
+    }
+
     // Return user information
     res.status(200).json({
       success: true,
@@ -312,6 +351,110 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/auth/reset-password - Choose a new password with the token from a forced reset
+// The token is single use; the current password is not accepted, as it may be why the reset was forced
+router.post('/reset-password', authLimiter, resetPasswordValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { token: resetToken, new_password: newPassword } = req.body;
+    const tokenHash = hashResetToken(resetToken);
+
+    const { executeQuery } = require('../config/database');
+
+    const result = await executeQuery(
+      `SELECT id, name, email, password_hash, bio, role, suspended_at, created_at FROM users
+       WHERE password_reset_token_hash = $1 AND password_reset_expires_at > NOW()`,
+      [tokenHash]
+    );
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid reset token',
+        message: 'The reset token is wrong, already used or expired',
+        code: 'RESET_TOKEN_INVALID'
+      });
+    }
+
+    if (user.suspended_at) {
+      return res.status(403).json({
+        success: false,
+        error: 'Account suspended',
+        code: 'ACCOUNT_SUSPENDED'
+      });
+    }
+
+    if (await bcrypt.compare(newPassword, user.password_hash)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: 'The new password must be different from the current one'
+      });
+    }
+
+    // Clearing the token hash in the same statement makes it single use, even for concurrent requests
+    const passwordHash = await bcrypt.hash(newPassword, 12);
+    const updated = await executeQuery(
+      `UPDATE users
+       SET password_hash = $1, password_reset_required = FALSE, password_reset_token_hash = NULL,
+           password_reset_expires_at = NULL, password_changed_at = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND password_reset_token_hash = $4`,
+      [passwordHash, new Date(), user.id, tokenHash]
+    );
+    if (updated.rowCount === 0) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid reset token',
+        message: 'The reset token is wrong, already used or expired',
+        code: 'RESET_TOKEN_INVALID'
+      });
+    }
+
+    const token = jwt.sign(
+      {
+        id: user.id,
+        email: user.email,
+        role: user.role
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: '24h' }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed',
+      data: {
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          bio: user.bio,
+          role: user.role,
+          created_at: user.created_at
+        },
+        token
+      }
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Password reset failed',
+      message: 'An error occurred while changing your password'
+    });
+  }
+});
+
 // POST /api/auth/logout - User logout
 router.post('/logout', authenticateToken, (req, res) => {
   // For JWT tokens, logout is typically handled client-side
@@ -10,6 +10,7 @@
  * - Delete collection (private)
  * - Add gig to collection (private)
  * - Remove gig from collection (private)
+ * - Comment threads (same visibility as the collection)
  * 
  * IMPLEMENTATION REQUIREMENTS:
  * 
@@ -22,8 +23,11 @@
  *    - Users can only modify their own collections
  *    - Any user can view public collections
  *    - Only collection owner can view private collections
+ *    - Collections an admin has hidden after a report (hidden_at) are treated as private
  *    - When deleting a collection, remove all associated collection_gigs entries
  *    - Prevent duplicate gig additions to same collection
+ *    - Gigs stay in collections after they happen, listed apart as past_gigs (utils/archiving.js),
+ *      so a collection doubles as a diary of gigs gone to
  * 
  * 3. VALIDATION RULES:
  *    - name: required, 2-100 characters, unique per user
@@ -32,13 +36,33 @@
  * 
  * 4. SPECIAL FEATURES:
  *    - Collection sharing via URL (for public collections)
+ *    - Subscribable iCalendar feed (private collections need the secret feed token)
  *    - Collection stats (number of gigs, last updated)
  *    - Bulk operations (add multiple gigs, remove multiple gigs)
+ *    - Comments with one level of replies (utils/comments.js, shared with gigs) - visible to whoever
+ *      can see the collection; authors edit and delete their own, admins soft delete any
  */
 
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, isAdmin } = require('../middleware/auth');
+const { executeQuery } = require('../config/database');
+const {
+  buildCalendar,
+  feedTokenMatches,
+  fetchCalendarGigs,
+  generateFeedToken,
+  requestBaseUrl,
+  sendCalendar
+} = require('../utils/ical');
+const { localiseTimes } = require('../utils/timezones');
+const { publishedSql } = require('../utils/publishing');
+const { gigIsOverSql } = require('../utils/archiving');
+const {
+  commentListValidation, commentValidation, commentIdValidation,
+  listComments, findComment, createComment, updateComment, deleteComment
+} = require('../utils/comments');
+const { logAdminAction } = require('../utils/moderation');
 
 const router = express.Router();
 
@@ -60,6 +84,83 @@ const collectionValidation = [
     .withMessage('is_public must be a boolean value')
 ];
 
+// Fetch a collection and check the current user owns it
+// Returns the collection row, or sends the error response and returns null
+const findOwnedCollection = async (req, res, collectionId) => {
+  const result = await executeQuery('SELECT * FROM collections WHERE id = $1', [collectionId]);
+
+  if (result.rows.length === 0) {
+    res.status(404).json({
+      success: false,
+      error: 'Collection not found'
+    });
+    return null;
+  }
+
+  const collection = result.rows[0];
+  if (collection.user_id !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      error: 'You can only modify your own collections',
+      code: 'OWNERSHIP_REQUIRED'
+    });
+    return null;
+  }
+
+  return collection;
+};
+
+// Fetch a collection the current user (if any) is allowed to see
+// Private collections, and collections an admin has hidden, are only visible to their owner;
+// to everyone else they don't exist. allowAdmin lets admins see them too, for moderation
+// Returns the collection row, or sends the error response and returns null
+const findVisibleCollection = async (req, res, collectionId, { allowAdmin = false } = {}) => {
+  const result = await executeQuery(
+    `SELECT c.id, c.name, c.description, c.user_id, c.is_public, c.hidden_at, c.created_at, c.updated_at,
+            u.name AS user_name
+     FROM collections c
+     JOIN users u ON u.id = c.user_id
+     WHERE c.id = $1`,
+    [collectionId]
+  );
+  const collection = result.rows[0];
+
+  const isPubliclyVisible = collection && collection.is_public && !collection.hidden_at;
+  const isOwner = req.user && collection && req.user.id === collection.user_id;
+  const isModerator = allowAdmin && isAdmin(req.user);
+  if (!collection || (!isPubliclyVisible && !isOwner && !isModerator)) {
+    res.status(404).json({
+      success: false,
+      error: 'Collection not found'
+    });
+    return null;
+  }
+
+  return collection;
+};
+
+// Bump updated_at so "last updated" reflects gig additions/removals
+const touchCollection = async (collectionId) => {
+  await executeQuery('UPDATE collections SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [collectionId]);
+};
+
+// Collection stats: number of gigs (a recurring series counts once) and last updated
+const getCollectionStats = async (collectionId) => {
+  const result = await executeQuery(
+    `SELECT COUNT(cg.gig_id)::int AS gig_count,
+            (COUNT(g.id) FILTER (WHERE ${gigIsOverSql('g')}))::int AS past_gig_count,
+            MAX(cg.added_at) AS last_gig_added_at,
+            c.updated_at
+     FROM collections c
+     LEFT JOIN collection_gigs cg ON cg.collection_id = c.id
+     LEFT JOIN gigs g ON g.id = cg.gig_id
+     WHERE c.id = $1
+     GROUP BY c.id`,
+    [collectionId]
+  );
+  return result.rows[0];
+};
+
 // GET /api/collections - Get all public collections (public)
 router.get('/', [
   // TODO: Add validation for query parameters
@@ -103,17 +204,12 @@ router.get('/my', authenticateToken, [
 });
 
 // GET /api/collections/:id - Get specific collection details
-router.get('/:id', [
-  // TODO: Add validation for collection ID
+// Gigs carry their latest status change, and recent_updates lists changes since each gig was saved,
+// so cancellations and postponements surface to everyone following the collection
+// Upcoming gigs come soonest first in gigs; gigs that are over come most recent first in past_gigs
+router.get('/:id', optionalAuth, [
   param('id').isInt({ min: 1 }).withMessage('Invalid collection ID')
 ], async (req, res) => {
-  // TODO: Implementation steps:
-  // 1. Validate collection ID
-  // 2. Check if collection exists and is public OR user owns it
-  // 3. Join with collection_gigs to get all gigs in collection
-  // 4. Join with gigs table to get full gig details
-  // 5. Include collection stats
-  
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -125,7 +221,67 @@ router.get('/:id', [
 
   const collectionId = req.params.id;
 
-  // PLACEHOLDER - Add actual implementation
+  try {
+    const collection = await findVisibleCollection(req, res, collectionId);
+    if (!collection) return;
+
+    const gigsResult = await executeQuery(
+      `SELECT g.id, g.title, g.doors_at, g.event_date, g.ends_at, COALESCE(g.timezone, v.timezone) AS timezone,
+              g.genre, g.price, g.image_url, g.status, g.recurrence_rule, (g.recurrence_freq IS NOT NULL) AS is_recurring, g.rescheduled_from,
+              g.venue_id, v.name AS venue_name, v.city AS venue_city,
+              cg.added_at,
+              sc.to_status AS last_status_change, sc.reason AS last_status_reason,
+              sc.new_date AS rescheduled_date, sc.rescheduled_gig_id, sc.created_at AS status_changed_at,
+              ${gigIsOverSql('g')} AS is_past
+       FROM collection_gigs cg
+       JOIN gigs g ON g.id = cg.gig_id
+       JOIN venues v ON v.id = g.venue_id
+       LEFT JOIN LATERAL (
+         SELECT to_status, reason, new_date, rescheduled_gig_id, created_at
+         FROM gig_status_changes
+         WHERE gig_id = g.id AND occurrence_date IS NULL
+         ORDER BY created_at DESC
+         LIMIT 1
+       ) sc ON TRUE
+       WHERE cg.collection_id = $1 AND ${publishedSql('g')}
+       ORDER BY g.event_date ASC`,
+      [collectionId]
+    );
+
+    const updatesResult = await executeQuery(
+      `SELECT sc.gig_id, g.title, sc.from_status, sc.to_status, sc.reason, sc.occurrence_date,
+              sc.new_date, sc.rescheduled_gig_id, sc.created_at
+       FROM gig_status_changes sc
+       JOIN collection_gigs cg ON cg.gig_id = sc.gig_id AND cg.collection_id = $1
+       JOIN gigs g ON g.id = sc.gig_id
+       WHERE sc.created_at >= cg.added_at AND ${publishedSql('g')}
+       ORDER BY sc.created_at DESC
+       LIMIT 20`,
+      [collectionId]
+    );
+
+    const stats = await getCollectionStats(collectionId);
+    const gigs = gigsResult.rows.map((row) => localiseTimes(row));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        collection,
+        gigs: gigs.filter((gig) => !gig.is_past),
+        past_gigs: gigs.filter((gig) => gig.is_past).reverse(),
+        recent_updates: updatesResult.rows,
+        stats
+      }
+    });
+
+  } catch (error) {
+    console.error('Get collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch collection',
+      message: 'An error occurred while fetching the collection'
+    });
+  }
 });
 
 // POST /api/collections - Create new collection (private)
@@ -193,40 +349,441 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // POST /api/collections/:id/gigs/:gigId - Add gig to collection (private)
+// Adding a recurring gig adds the whole series - its occurrences show up in the collection as they come round
 router.post('/:id/gigs/:gigId', authenticateToken, [
-  // TODO: Add validation for both IDs
   param('id').isInt({ min: 1 }).withMessage('Invalid collection ID'),
   param('gigId').isInt({ min: 1 }).withMessage('Invalid gig ID')
 ], async (req, res) => {
-  // TODO: Implementation steps:
-  // 1. Validate collection and gig IDs
-  // 2. Verify user owns the collection
-  // 3. Check if gig exists
-  // 4. Check if gig is not already in collection (prevent duplicates)
-  // 5. Add entry to collection_gigs table
-  // 6. Return updated collection stats
-  
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      details: errors.array()
+    });
+  }
+
   const { id: collectionId, gigId } = req.params;
-  
-  // PLACEHOLDER - Add actual implementation
+
+  try {
+    const collection = await findOwnedCollection(req, res, collectionId);
+    if (!collection) return;
+
+    // Unpublished gigs can't be saved, so collections never reveal a draft
+    const gigResult = await executeQuery(
+      `SELECT id, (recurrence_freq IS NOT NULL) AS is_recurring FROM gigs g WHERE id = $1 AND ${publishedSql('g')}`,
+      [gigId]
+    );
+
+    if (gigResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Gig not found'
+      });
+    }
+
+    const inserted = await executeQuery(
+      `INSERT INTO collection_gigs (collection_id, gig_id)
+       VALUES ($1, $2)
+       ON CONFLICT (collection_id, gig_id) DO NOTHING
+       RETURNING added_at`,
+      [collectionId, gigId]
+    );
+
+    if (inserted.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Gig already in collection'
+      });
+    }
+
+    await touchCollection(collectionId);
+    const stats = await getCollectionStats(collectionId);
+
+    res.status(201).json({
+      success: true,
+      message: gigResult.rows[0].is_recurring ? 'Gig series added to collection' : 'Gig added to collection',
+      data: { stats }
+    });
+
+  } catch (error) {
+    console.error('Add gig to collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add gig to collection',
+      message: 'An error occurred while adding the gig to the collection'
+    });
+  }
 });
 
 // DELETE /api/collections/:id/gigs/:gigId - Remove gig from collection (private)
 router.delete('/:id/gigs/:gigId', authenticateToken, [
-  // TODO: Add validation for both IDs
   param('id').isInt({ min: 1 }).withMessage('Invalid collection ID'),
   param('gigId').isInt({ min: 1 }).withMessage('Invalid gig ID')
 ], async (req, res) => {
-  // TODO: Implementation steps:
-  // 1. Validate collection and gig IDs
-  // 2. Verify user owns the collection
-  // 3. Check if the gig exists in this collection
-  // 4. Remove entry from collection_gigs table
-  // 5. Return updated collection stats
-  
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      details: errors.array()
+    });
+  }
+
   const { id: collectionId, gigId } = req.params;
-  
-  // PLACEHOLDER - Add actual implementation
+
+  try {
+    const collection = await findOwnedCollection(req, res, collectionId);
+    if (!collection) return;
+
+    const deleted = await executeQuery(
+      'DELETE FROM collection_gigs WHERE collection_id = $1 AND gig_id = $2',
+      [collectionId, gigId]
+    );
+
+    if (deleted.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Gig not found in collection'
+      });
+    }
+
+    await touchCollection(collectionId);
+    const stats = await getCollectionStats(collectionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Gig removed from collection',
+      data: { stats }
+    });
+
+  } catch (error) {
+    console.error('Remove gig from collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove gig from collection',
+      message: 'An error occurred while removing the gig from the collection'
+    });
+  }
+});
+
+// GET /api/collections/:id/calendar.ics - Subscribable calendar feed (public, or tokenised for private collections)
+/**
+ * @swagger
+ * /api/collections/{id}/calendar.ics:
+ *   get:
+ *     summary: Subscribable iCalendar feed of the gigs in a collection
+ *     tags: [Collections]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Secret feed token (required for private collections)
+ *     responses:
+ *       200:
+ *         description: RFC 5545 calendar feed of gigs from the last 12 months and upcoming
+ *         content:
+ *           text/calendar: {}
+ *       404:
+ *         description: Collection not found (or private and the token is missing/wrong)
+ */
+router.get('/:id/calendar.ics', [
+  param('id').isInt({ min: 1 }).withMessage('Invalid collection ID'),
+  query('token').optional().isString().withMessage('Invalid feed token')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const result = await executeQuery(
+      'SELECT id, name, is_public, hidden_at, calendar_token FROM collections WHERE id = $1',
+      [req.params.id]
+    );
+    const collection = result.rows[0];
+
+    // Calendar apps can't send auth headers, so private feeds are only reachable with the secret token
+    // A wrong token looks the same as a missing collection so private collections can't be probed
+    const isPubliclyVisible = collection && collection.is_public && !collection.hidden_at;
+    if (!collection || (!isPubliclyVisible && !feedTokenMatches(req.query.token, collection.calendar_token))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collection not found'
+      });
+    }
+
+    const gigIds = await executeQuery(
+      'SELECT gig_id FROM collection_gigs WHERE collection_id = $1',
+      [collection.id]
+    );
+    const gigs = await fetchCalendarGigs(gigIds.rows.map((row) => row.gig_id), { feed: true });
+
+    const calendar = buildCalendar({ name: collection.name, gigs, baseUrl: requestBaseUrl(req) });
+    sendCalendar(res, calendar, `collection-${collection.id}.ics`);
+
+  } catch (error) {
+    console.error('Collection calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build calendar feed',
+      message: 'An error occurred while building the calendar feed'
+    });
+  }
+});
+
+// POST /api/collections/:id/calendar-token - Create or rotate the secret feed URL (private)
+// Rotating invalidates the old URL, e.g. after it has been shared by mistake
+router.post('/:id/calendar-token', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid collection ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid collection ID',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const collection = await findOwnedCollection(req, res, req.params.id);
+    if (!collection) return;
+
+    const token = generateFeedToken();
+    await executeQuery(
+      'UPDATE collections SET calendar_token = $1 WHERE id = $2',
+      [token, collection.id]
+    );
+
+    const feedUrl = `${requestBaseUrl(req)}/api/collections/${collection.id}/calendar.ics?token=${token}`;
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed URL generated',
+      data: {
+        feed_url: feedUrl,
+        webcal_url: feedUrl.replace(/^https?:/, 'webcal:')
+      }
+    });
+
+  } catch (error) {
+    console.error('Collection calendar token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate calendar feed URL',
+      message: 'An error occurred while generating the calendar feed URL'
+    });
+  }
+});
+
+// GET /api/collections/:id/comments - Comment threads on a collection (public, private collections owner only)
+// Threads are oldest first, each with its replies; deleted comments that still have replies stay as placeholders
+router.get('/:id/comments', optionalAuth, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid collection ID'),
+  ...commentListValidation
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const offset = (page - 1) * limit;
+
+    const collection = await findVisibleCollection(req, res, req.params.id);
+    if (!collection) return;
+
+    const { total, comments } = await listComments({ type: 'collection', id: collection.id }, { limit, offset });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        comments,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get collection comments error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch comments',
+      message: 'An error occurred while fetching comments'
+    });
+  }
+});
+
+// POST /api/collections/:id/comments - Comment on a collection, or reply with parent_id (private)
+router.post('/:id/comments', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid collection ID'),
+  ...commentValidation,
+  body('parent_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Parent comment ID must be a positive integer')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const collection = await findVisibleCollection(req, res, req.params.id);
+    if (!collection) return;
+
+    const target = { type: 'collection', id: collection.id };
+    let parent = null;
+    if (req.body.parent_id) {
+      parent = await findComment(res, target, req.body.parent_id);
+      if (!parent) return;
+    }
+
+    const comment = await createComment(target, req.user.id, req.body.body, parent);
+
+    res.status(201).json({
+      success: true,
+      message: parent ? 'Reply posted' : 'Comment posted',
+      data: comment
+    });
+
+  } catch (error) {
+    console.error('Create collection comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to post comment',
+      message: 'An error occurred while posting your comment'
+    });
+  }
+});
+
+// PUT /api/collections/:id/comments/:commentId - Edit your comment (private)
+router.put('/:id/comments/:commentId', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid collection ID'),
+  commentIdValidation,
+  ...commentValidation
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const collection = await findVisibleCollection(req, res, req.params.id);
+    if (!collection) return;
+
+    const comment = await findComment(res, { type: 'collection', id: collection.id }, req.params.commentId);
+    if (!comment) return;
+
+    if (comment.user_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only edit your own comments',
+        code: 'OWNERSHIP_REQUIRED'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment updated',
+      data: await updateComment(comment.id, req.body.body)
+    });
+
+  } catch (error) {
+    console.error('Update collection comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update comment',
+      message: 'An error occurred while updating your comment'
+    });
+  }
+});
+
+// DELETE /api/collections/:id/comments/:commentId - Delete your comment, or remove any as an admin (private)
+// Admin removals are always soft deletes, recorded with the admin's ID and logged to admin_actions
+// Admins can remove comments on private and hidden collections too
+router.delete('/:id/comments/:commentId', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid collection ID'),
+  commentIdValidation
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const collection = await findVisibleCollection(req, res, req.params.id, { allowAdmin: true });
+    if (!collection) return;
+
+    const comment = await findComment(res, { type: 'collection', id: collection.id }, req.params.commentId);
+    if (!comment) return;
+
+    // Anyone but the author has to be an admin, whose removal is always a soft delete
+    const asAdmin = comment.user_id !== req.user.id;
+    if (asAdmin && !isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only delete your own comments',
+        code: 'OWNERSHIP_REQUIRED'
+      });
+    }
+
+    await deleteComment(comment, { userId: req.user.id, asAdmin });
+    if (asAdmin) {
+      await logAdminAction(null, {
+        adminId: req.user.id,
+        action: 'comment_remove',
+        target: { type: 'comment', id: comment.id },
+        details: { collection_id: collection.id }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: asAdmin ? 'Comment removed by an admin' : 'Comment deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete collection comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete comment',
+      message: 'An error occurred while deleting the comment'
+    });
+  }
 });
 
 // Additional helper routes (optional):
@@ -0,0 +1,55 @@
+/**
+ * GENRES ROUTES - Genre List Endpoint
+ *
+ * This file contains the route clients build genre pickers and filters from:
+ * - List every genre with its subgenres (public)
+ *
+ * IMPLEMENTATION REQUIREMENTS:
+ *
+ * 1. DATABASE SCHEMA:
+ *    genres table: id, name, slug, parent_id, created_at, updated_at
+ *    gig_genres links gigs to their genres; artists.genres holds genre names
+ *
+ * 2. BUSINESS LOGIC:
+ *    - The genres table is the only list of genres (see utils/genres.js)
+ *    - Subgenres sit one level under a top-level genre
+ *    - Admins add, rename, move and delete genres at /api/admin/genres (routes/admin.js)
+ */
+
+const express = require('express');
+const { fetchGenreTree } = require('../utils/genres');
+
+const router = express.Router();
+
+// GET /api/genres - Every genre with its subgenres (public)
+/**
+ * @swagger
+ * /api/genres:
+ *   get:
+ *     summary: List genres
+ *     description: Top-level genres A-Z, each with its subgenres. Filters that take a genre accept its name or slug, and a parent genre includes its subgenres.
+ *     tags: [Genres]
+ *     responses:
+ *       200:
+ *         description: Genres with id, name, slug, gig_count (published gigs tagged with it) and subgenres
+ */
+router.get('/', async (req, res) => {
+  try {
+    const genres = await fetchGenreTree();
+
+    res.status(200).json({
+      success: true,
+      data: { genres }
+    });
+
+  } catch (error) {
+    console.error('Get genres error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch genres',
+      message: 'An error occurred while fetching genres'
+    });
+  }
+});
+
+module.exports = router;
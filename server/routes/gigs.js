@@ -4,7 +4,13 @@
  * This file contains all gig-related routes:
  * - Browse all gigs (public)
  * - View specific gig details
- * - User's personal gigs (private)
+ * - User's personal gigs, including drafts (private)
+ * - Gigs by artists the user follows (private)
+ * - Personalised "For You" feed (private)
+ * - RSVP going / interested (private)
+ * - Comment threads (public to read, private to post)
+ * - Post-gig reviews and ratings (public to read, private to post)
+ * - Trending and featured gigs (public)
  * - Create new gig (private)
  * - Update gig (private)
  * - Delete gig (private)
@@ -12,21 +18,28 @@
  * IMPLEMENTATION REQUIREMENTS:
  * 
  * 1. DATABASE SCHEMA:
- *    gigs table: id, title, description, venue, date, genre, price, 
- *               image_url, user_id, status, created_at, updated_at
+ *    gigs table: id, title, description, venue_id, date, doors_at, ends_at, timezone, genre, price,
+ *               image_url, user_id, status, visibility, publish_at, published_at, created_at, updated_at
+ *    gig_genres table: gig_id, genre_id, position (gigs.genre holds the primary genre's name)
+ *    venues table: see routes/venues.js
  * 
  * 2. VALIDATION RULES:
  *    - title: required, 2-100 characters
  *    - description: optional, max 1000 characters
- *    - venue: required, 2-100 characters
- *    - date: required, valid date (not in past)
- *    - genre: required, from predefined list
+ *    - venue_id: required, must reference an existing venue
+ *    - date: required, valid start time (not in past, judged in the gig's timezone)
+ *    - doors_at: optional, at or before the start; ends_at: optional end/curfew, after the start
+ *    - timezone: optional IANA timezone, defaults to the venue's
+ *    - genres: 1-3 genre names or slugs from the genres table, primary first
+ *      (or a single genre, as before) - see utils/genres.js
  *    - price: optional, positive number or 0 for free
+ *    - currency: optional ISO 4217 code, defaults to GBP
+ *    - ticket_tiers: optional array of tiers, all in the gig's currency
  *    - image_url: optional, valid URL format
  * 
  * 3. BUSINESS LOGIC:
  *    - Users can only modify their own gigs
- *    - All users can view all gigs
+ *    - All users can view published gigs; drafts and scheduled gigs only their owner (and admins)
  *    - Only authenticated users can create/edit gigs
  *    - Validate venue exists (basic validation)
  *    - Date cannot be in the past
@@ -38,11 +51,116 @@
  *    - Include total count and pagination metadata
  * 
  * 5. SEARCH & FILTERING:
- *    - Search by title or venue
- *    - Filter by genre
+ *    - Full-text search across title, venue and description (ranked, with highlighted snippets)
+ *    - Filter by genre name or slug; a parent genre includes its subgenres
  *    - Filter by date range
- *    - Filter by price range
- *    - Sort by date, title, or created_at
+ *    - Filter by price range (min_price/max_price, matched against the gig's ticket tier prices)
+ *    - Sort by date, title, created_at, price or search relevance
+ * 
+ * 6. RECURRING GIGS:
+ *    - recurrence_rule: optional RRULE subset (weekly/monthly, interval, count/until)
+ *    - recurrence_exceptions: occurrence start times to skip
+ *    - Occurrences are expanded by the gig_occurrences view, identified by id + occurrence_date
+ *    - PUT/DELETE accept ?scope=all|this|following&occurrence=<occurrence_date>
+ *    - Adding a recurring gig to a collection adds the whole series
+ * 
+ * 7. STATUS LIFECYCLE:
+ *    - Statuses: active, sold_out, postponed, cancelled, and past once the gig has ended
+ *      (see GIG_STATUS_TRANSITIONS)
+ *    - Changes go through POST /api/gigs/:id/status and are recorded with a reason
+ *    - Postponing with a new date creates a new gig linked by rescheduled_from, and
+ *      collections containing the original gig get the rescheduled one too
+ * 
+ * 8. LINEUPS:
+ *    - lineup: optional array of { artist_id | name, billing_order, set_start, set_end, website_url }
+ *    - Artists named in a lineup are matched case-insensitively or created on the fly
+ *    - Billing order defaults to the array order (1 = headliner)
+ *    - Artist names are part of the search vector, so searching for a support act finds the gig
+ * 
+ * 9. TICKET TIERS:
+ *    - ticket_tiers: optional array of { name, price, currency, pay_what_you_can,
+ *      available_from, available_until, sold_out }, replaced as a whole on update
+ *    - min_price/max_price are computed from the tiers (or the single price when there are none)
+ *      by the gig_occurrences view
+ * 
+ * 10. REVISION HISTORY:
+ *    - Every create, update and status change is stored in gig_revisions with its author,
+ *      a field-level diff and a snapshot of the gig afterwards
+ *    - GET /api/gigs/:id/history lists revisions; gig details include the latest changes
+ *    - POST /api/gigs/:id/revert/:revisionId (owner or admin) restores a snapshot's fields,
+ *      lineup and ticket tiers - status is only changed through POST /api/gigs/:id/status
+ * 
+ * 11. DUPLICATE DETECTION:
+ *    - A gig is a likely duplicate of another on the same day at the same venue (matched by
+ *      normalised name and city) whose title is similar by pg_trgm trigram similarity
+ *    - POST /api/gigs returns 409 with the candidates unless the body has force: true
+ *    - Imports skip likely duplicates unless ?force=true
+ *    - GET /api/gigs/:id/duplicates runs the same check for an existing gig
+ * 
+ * 12. SIMILAR GIGS:
+ *    - GET /api/gigs/:id/similar scores upcoming, active gigs against the gig using
+ *      SIMILARITY_WEIGHTS: genre, venue, title words, date proximity, price band and how
+ *      often both are saved in the same collections
+ *    - Each result carries its score breakdown and human-readable reasons
+ * 
+ * 13. FOR YOU FEED:
+ *    - GET /api/gigs/for-you ranks upcoming gigs with FOR_YOU_WEIGHTS: genres and venues the user
+ *      saves most, artists they follow, their profile location, popularity, plus a small daily
+ *      variety term so the order changes between visits
+ *    - Gigs the user already saved, RSVP'd to, created or dismissed are left out
+ *    - New accounts (no saves or follows) get a cold start feed of local and popular gigs
+ *    - POST/DELETE /api/gigs/:id/not-interested dismisses (or restores) a recommendation
+ * 
+ * 14. TRENDING AND FEATURED:
+ *    - GET /api/gigs/:id records a detail view in gig_views (one per viewer per VIEW_DEDUPE_MINUTES,
+ *      owners' own views don't count)
+ *    - Trending scores are time-decayed saves and views, recalculated into gig_trending_scores
+ *      by utils/trending.js; GET /api/gigs/trending reads them for a window of 24h, 7d or 30d
+ *    - Admins pin gigs with start/end dates (routes/admin.js); GET /api/gigs/featured lists the
+ *      live pins first and tops up with the week's trending gigs
+ * 
+ * 15. TIMES AND TIMEZONES:
+ *    - All times are stored as TIMESTAMPTZ; a gig's timezone is its own or its venue's
+ *    - Times sent without an offset are local to the gig (resolveGigTimes); times with one are kept
+ *    - Responses give each time in UTC plus "<field>_local" with the venue's offset and the timezone,
+ *      e.g. event_date "2026-07-10T18:30:00.000Z", event_date_local "2026-07-10T19:30:00+01:00"
+ *    - "Upcoming" compares instants with NOW(), so it is right whatever zone the server runs in
+ *    - occurrence_date (used in ?occurrence=) is always the UTC instant returned by the API
+ * 
+ * 16. DRAFTS AND SCHEDULED PUBLISHING:
+ *    - visibility: draft, scheduled (with publish_at, before the gig starts) or published (the default)
+ *    - Unpublished gigs are only listed in GET /api/gigs/my; every public list filters with publishedSql
+ *      and detail routes answer 404 to anyone but the owner or an admin
+ *    - utils/publishing.js publishes scheduled gigs once publish_at passes and records a "publish" revision
+ *    - PUT can publish or reschedule a draft, but a published gig can't be hidden again
+ *    - Gigs an admin hid after a report (hidden_at) are treated as unpublished for everyone but the
+ *      owner and admins
+ * 
+ * 17. RSVPS:
+ *    - POST/DELETE /api/gigs/:id/rsvp marks a published, upcoming gig as going or interested (one per
+ *      user per gig - a whole series for recurring gigs)
+ *    - List and detail responses carry going_count and interested_count; sort=popular ranks by
+ *      RSVP_POPULARITY_WEIGHTS
+ *    - Postponed gigs pass their RSVPs to the rescheduled gig as "interested"
+ *    - GET /api/users/:id/going lists a user's plans unless they made them private (routes/users.js)
+ * 
+ * 18. COMMENTS:
+ *    - GET/POST /api/gigs/:id/comments, PUT/DELETE /api/gigs/:id/comments/:commentId
+ *    - Threads are one reply deep (parent_id); helpers in utils/comments.js are shared with collections
+ *    - Comments are as visible as their gig; authors edit and delete their own, admins soft delete any
+ * 
+ * 19. REVIEWS:
+ *    - GET/POST /api/gigs/:id/reviews: a 1-5 rating plus text, one per user, only once the gig has
+ *      happened; organisers can't review their own gigs and cancelled gigs can't be reviewed
+ *    - GET /api/gigs/:id includes the gig's rating summary; venue and organiser rollups are in
+ *      GET /api/venues/:id and GET /api/users/:id/stats (utils/reviews.js)
+ *    - POST /api/gigs/:id/reviews/:reviewId/report flags a review for the admins (utils/reports.js)
+ * 
+ * 20. PAST GIGS (see utils/archiving.js):
+ *    - GET /api/gigs lists upcoming occurrences by default; ?when=past lists finished ones, newest
+ *      first, and ?when=all both
+ *    - A background job moves active and sold-out gigs to status past once they have ended;
+ *      past is final for owners, but editing a past gig to a future date makes it active again
  */
 
 // NOTE: Add Swagger JSDoc documentation above each router.method() call for API documentation.
@@ -53,11 +171,135 @@
 // =============================================================================
 
  const express = require('express');
-const { body, query, validationResult } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const crypto = require('crypto');
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, optionalAuth, isAdmin } = require('../middleware/auth');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { parseRecurrenceRule, formatRecurrenceRule } = require('../utils/recurrence');
+const { buildCalendar, fetchCalendarGigs, requestBaseUrl, sendCalendar } = require('../utils/ical');
+const { parseImportFile } = require('../utils/importers');
+const { fetchGigSnapshot, diffSnapshots, recordRevision } = require('../utils/revisions');
+const { TRENDING_WINDOWS } = require('../utils/trending');
+const { DEFAULT_TIMEZONE, GIG_TIME_FIELDS, isValidTimeZone, zonedTimeToUtc, localiseTimes } = require('../utils/timezones');
+const { GIG_VISIBILITIES, publishedSql, isPublished, canViewGig } = require('../utils/publishing');
+const {
+  commentListValidation, commentValidation, commentIdValidation,
+  listComments, findComment, createComment, updateComment, deleteComment
+} = require('../utils/comments');
+const { reviewValidation, fetchRatingSummary } = require('../utils/reviews');
+const { reportValidation, createReport } = require('../utils/reports');
+const { logAdminAction } = require('../utils/moderation');
+const { GIG_WHEN, whenSql, unarchiveGig } = require('../utils/archiving');
+const {
+  gigGenreValidation,
+  requestedGigGenres,
+  resolveGenres,
+  replaceGigGenres,
+  copyGigGenres,
+  genreFilterSql,
+  gigGenresSql
+} = require('../utils/genres');
 
 const router = express.Router();
 
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LATITUDE = 111.045;
+const DEFAULT_RADIUS_KM = 25;
+const MAX_LINEUP_SIZE = 30;
+const MAX_TICKET_TIERS = 20;
+const DEFAULT_CURRENCY = 'GBP';
+const CURRENCY_CODES = Intl.supportedValuesOf('currency');
+const RECENT_CHANGES_LIMIT = 5;
+const DUPLICATE_TITLE_SIMILARITY = 0.4;
+const MAX_DUPLICATE_CANDIDATES = 10;
+
+// Maximum points each signal adds to a similar gig's score
+// title scales with the share of title words in common, date fades out over SIMILAR_DATE_WINDOW_DAYS,
+// price gives half points for a neighbouring band, collections count up to SIMILAR_MAX_SHARED_COLLECTIONS
+const SIMILARITY_WEIGHTS = {
+  genre: 3,
+  venue: 2,
+  title: 2,
+  date: 1,
+  price: 1,
+  collections: 3
+};
+const SIMILAR_DATE_WINDOW_DAYS = 30;
+const SIMILAR_MAX_SHARED_COLLECTIONS = 5;
+const PRICE_BAND_LIMITS = [10, 20, 40];
+
+// Maximum points each signal adds to a For You recommendation
+// genre and venue scale with the share of the user's saved gigs in that genre / at that venue,
+// popularity counts collection saves up to FOR_YOU_POPULARITY_CAP
+const FOR_YOU_WEIGHTS = {
+  genre: 4,
+  venue: 2,
+  artist: 5,
+  location: 2,
+  popularity: 1,
+  variety: 0.5
+};
+const FOR_YOU_POPULARITY_CAP = 20;
+
+const VIEW_DEDUPE_MINUTES = 30;
+const DEFAULT_FEATURED_LIMIT = 6;
+const RSVP_STATUSES = ['going', 'interested'];
+
+// sort=popular ranks by RSVPs, a "going" counting for more than an "interested"
+const RSVP_POPULARITY_WEIGHTS = {
+  going: 2,
+  interested: 1
+};
+
+// Allowed status changes - cancelled is final
+// postponed -> postponed sets the new date on a gig that was postponed with the date TBC
+// past is only set by the archiver (utils/archiving.js) once a gig has ended
+const GIG_STATUS_TRANSITIONS = {
+  active: ['sold_out', 'postponed', 'cancelled'],
+  sold_out: ['active', 'postponed', 'cancelled'],
+  postponed: ['active', 'postponed', 'cancelled'],
+  cancelled: [],
+  past: []
+};
+const GIG_STATUSES = Object.keys(GIG_STATUS_TRANSITIONS);
+
+// Great-circle distance in km between a venue (alias v) and the given lat/lng placeholders
+// Plain haversine so it runs on stock Postgres with no extensions
+const distanceSql = (latParam, lngParam) => `
+  (${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+    POWER(SIN(RADIANS(v.latitude - ${latParam}) / 2), 2) +
+    COS(RADIANS(${latParam})) * COS(RADIANS(v.latitude)) *
+    POWER(SIN(RADIANS(v.longitude - ${lngParam}) / 2), 2)
+  )))`;
+
+// Search matches in a text column wrapped in <mark> tags
+// The text is HTML-escaped first, so the <mark> tags are the only markup in the result
+const searchHeadlineSql = (textSql, searchParam, options) => `
+  ts_headline('english',
+    replace(replace(replace(replace(replace(${textSql},
+      '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'), '''', '&#39;'),
+    websearch_to_tsquery('english', ${searchParam}),
+    'StartSel=<mark>, StopSel=</mark>, ${options}')`;
+
+// Going / interested counts for the gig aliased g, as columns of rsvp (always a row, so never null)
+const RSVP_COUNTS_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT COUNT(*) FILTER (WHERE r.status = 'going')::int AS going_count,
+           COUNT(*) FILTER (WHERE r.status = 'interested')::int AS interested_count
+    FROM gig_rsvps r
+    WHERE r.gig_id = g.id
+  ) rsvp ON TRUE`;
+
+// Timezone a gig's times are entered in: its own if valid, otherwise its venue's
+const gigTimeZone = async (venueId, timezone) => {
+  if (isValidTimeZone(timezone)) return timezone;
+  if (!(parseInt(venueId) > 0)) return DEFAULT_TIMEZONE;
+
+  const result = await executeQuery('SELECT timezone FROM venues WHERE id = $1', [parseInt(venueId)]);
+  return result.rows.length ? result.rows[0].timezone : DEFAULT_TIMEZONE;
+};
+
 // Validation middleware for gig creation/update
 // TODO: Create comprehensive validation rules
 const gigValidation = [
@@ -70,38 +312,803 @@ const gigValidation = [
     .trim()
     .isLength({ max: 1000 })
     .withMessage('Description must not exceed 1000 characters'),
-  body('venue')
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Venue must be between 2 and 100 characters'),
+  body('venue_id')
+    .isInt({ min: 1 })
+    .withMessage('Please select a valid venue')
+    .bail()
+    .custom(async (value) => {
+      const result = await executeQuery('SELECT id FROM venues WHERE id = $1', [value]);
+      if (result.rows.length === 0) {
+        throw new Error('Venue not found');
+      }
+      return true;
+    }),
+  body('timezone')
+    .optional({ nullable: true })
+    .custom(isValidTimeZone)
+    .withMessage('Timezone must be an IANA timezone name (e.g. Europe/London)'),
   body('date')
     .isISO8601()
-    .toDate()
     .withMessage('Please provide a valid date')
-    .custom((value) => {
-      if (value < new Date()) {
+    .bail()
+    .custom(async (value, { req }) => {
+      const timeZone = await gigTimeZone(req.body.venue_id, req.body.timezone);
+      if (zonedTimeToUtc(value, timeZone) < new Date()) {
         throw new Error('Gig date cannot be in the past');
       }
       return true;
     }),
-  body('genre')
-    .isIn([
-      'Rock', 'Pop', 'Jazz', 'Blues', 'Folk', 'Electronic',
-      'Hip Hop', 'Country', 'Classical', 'Punk', 'Metal',
-      'Indie', 'Alternative', 'Acoustic', 'Reggae', 'R&B',
-      'Soul', 'Funk', 'World Music', 'Experimental'
-    ])
-    .withMessage('Please select a valid genre'),
+  // Times are compared as instants, each read in the gig's zone unless it gives its own offset
+  body('doors_at')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('doors_at must be a valid date')
+    .bail()
+    .custom(async (value, { req }) => {
+      if (!req.body.date) return true;
+      const timeZone = await gigTimeZone(req.body.venue_id, req.body.timezone);
+      if (zonedTimeToUtc(value, timeZone) > zonedTimeToUtc(req.body.date, timeZone)) {
+        throw new Error('Doors cannot open after the gig starts');
+      }
+      return true;
+    }),
+  body('ends_at')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('ends_at must be a valid date')
+    .bail()
+    .custom(async (value, { req }) => {
+      if (!req.body.date) return true;
+      const timeZone = await gigTimeZone(req.body.venue_id, req.body.timezone);
+      if (zonedTimeToUtc(value, timeZone) <= zonedTimeToUtc(req.body.date, timeZone)) {
+        throw new Error('ends_at must be after the gig starts');
+      }
+      return true;
+    }),
+  body('visibility')
+    .optional()
+    .isIn(GIG_VISIBILITIES)
+    .withMessage(`Visibility must be one of ${GIG_VISIBILITIES.join(', ')}`),
+  body('publish_at')
+    .if(body('visibility').equals('scheduled'))
+    .isISO8601()
+    .withMessage('Scheduled gigs need a valid publish_at date')
+    .bail()
+    .custom(async (value, { req }) => {
+      const timeZone = await gigTimeZone(req.body.venue_id, req.body.timezone);
+      const publishAt = zonedTimeToUtc(value, timeZone);
+      if (publishAt <= new Date()) {
+        throw new Error('publish_at must be in the future');
+      }
+      if (req.body.date && publishAt >= zonedTimeToUtc(req.body.date, timeZone)) {
+        throw new Error('publish_at must be before the gig starts');
+      }
+      return true;
+    }),
+  ...gigGenreValidation,
   body('price')
     .optional()
     .isFloat({ min: 0 })
     .withMessage('Price must be a positive number or 0'),
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isIn(CURRENCY_CODES)
+    .withMessage('Currency must be an ISO 4217 code (e.g. GBP, EUR, USD)'),
+  body('ticket_tiers')
+    .optional()
+    .isArray({ max: MAX_TICKET_TIERS })
+    .withMessage(`Ticket tiers must be an array of at most ${MAX_TICKET_TIERS} tiers`),
+  body('ticket_tiers.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each ticket tier needs a name of at most 100 characters'),
+  body('ticket_tiers.*.price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Ticket tier price must be a positive number or 0'),
+  body('ticket_tiers.*.currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .custom((value, { req }) => {
+      if (value !== (req.body.currency || DEFAULT_CURRENCY).toUpperCase()) {
+        throw new Error('All ticket tiers must use the gig\'s currency');
+      }
+      return true;
+    }),
+  body('ticket_tiers.*.pay_what_you_can')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('pay_what_you_can must be boolean'),
+  body('ticket_tiers.*.sold_out')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('sold_out must be boolean'),
+  body('ticket_tiers.*.available_from')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('available_from must be a valid date'),
+  body('ticket_tiers.*.available_until')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('available_until must be a valid date'),
+  body('ticket_tiers.*')
+    .custom(async (tier, { req }) => {
+      if (tier.price === undefined && !tier.pay_what_you_can) {
+        throw new Error('Each ticket tier needs a price unless it is pay what you can');
+      }
+      if (tier.available_from && tier.available_until) {
+        const timeZone = await gigTimeZone(req.body.venue_id, req.body.timezone);
+        if (zonedTimeToUtc(tier.available_until, timeZone) <= zonedTimeToUtc(tier.available_from, timeZone)) {
+          throw new Error('available_until must be after available_from');
+        }
+      }
+      return true;
+    }),
   body('image_url')
     .optional()
     .isURL()
-    .withMessage('Please provide a valid image URL')
+    .withMessage('Please provide a valid image URL'),
+  body('ticket_url')
+    .optional()
+    .isURL()
+    .withMessage('Please provide a valid ticket URL'),
+  body('recurrence_rule')
+    .optional({ nullable: true })
+    .custom((value) => {
+      parseRecurrenceRule(value);
+      return true;
+    }),
+  body('recurrence_exceptions')
+    .optional()
+    .isArray({ max: 520 })
+    .withMessage('recurrence_exceptions must be an array of dates'),
+  body('recurrence_exceptions.*')
+    .isISO8601()
+    .withMessage('Each recurrence exception must be a valid date'),
+  body('lineup')
+    .optional()
+    .isArray({ max: MAX_LINEUP_SIZE })
+    .withMessage(`Lineup must be an array of at most ${MAX_LINEUP_SIZE} artists`)
+    .bail()
+    .custom((lineup) => {
+      const seen = new Set();
+      for (const entry of lineup) {
+        const key = entry && (entry.artist_id ? `id:${entry.artist_id}` : `name:${String(entry.name || '').trim().toLowerCase()}`);
+        if (seen.has(key)) {
+          throw new Error('An artist can only appear once in a lineup');
+        }
+        seen.add(key);
+      }
+      return true;
+    }),
+  body('lineup.*.artist_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('artist_id must be a positive integer')
+    .bail()
+    .custom(async (value) => {
+      const result = await executeQuery('SELECT id FROM artists WHERE id = $1', [value]);
+      if (result.rows.length === 0) {
+        throw new Error('Artist not found');
+      }
+      return true;
+    }),
+  body('lineup.*.name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Artist name must be between 1 and 100 characters'),
+  body('lineup.*.billing_order')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('billing_order must be between 1 and 100'),
+  body('lineup.*.set_start')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('set_start must be a valid date'),
+  body('lineup.*.set_end')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('set_end must be a valid date'),
+  body('lineup.*.website_url')
+    .optional()
+    .isURL()
+    .withMessage('Please provide a valid artist URL'),
+  body('lineup.*')
+    .custom(async (entry, { req }) => {
+      if (!entry || typeof entry !== 'object' || (!entry.artist_id && !entry.name)) {
+        throw new Error('Each lineup entry needs an artist_id or a name');
+      }
+      if (entry.set_start && entry.set_end) {
+        const timeZone = await gigTimeZone(req.body.venue_id, req.body.timezone);
+        if (zonedTimeToUtc(entry.set_end, timeZone) <= zonedTimeToUtc(entry.set_start, timeZone)) {
+          throw new Error('set_end must be after set_start');
+        }
+      }
+      return true;
+    })
+];
+
+// Validation for ?scope=all|this|following&occurrence=<occurrence_date> on recurring gig edits
+const occurrenceScopeValidation = [
+  query('scope')
+    .optional()
+    .isIn(['all', 'this', 'following'])
+    .withMessage('scope must be one of all, this or following'),
+  query('occurrence')
+    .if(query('scope').isIn(['this', 'following']))
+    .isISO8601()
+    .toDate()
+    .withMessage('occurrence must be the occurrence_date of the occurrence to change')
 ];
 
+// Import files are parsed in memory and never written to disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024, files: 1 }
+});
+
+// Run gigValidation against a plain object (e.g. an imported row) instead of req.body
+// Returns the validation errors and the sanitised data
+const validateGigData = async (data) => {
+  const rowReq = { body: { ...data } };
+  for (const validation of gigValidation) {
+    await validation.run(rowReq);
+  }
+  return { errors: validationResult(rowReq).array(), data: rowReq.body };
+};
+
+// Imported rows may name a venue instead of giving venue_id; resolve it to an existing venue
+// Returns an error message, or null once row.venue_id is set (or was already present)
+const resolveImportVenue = async (row) => {
+  if (row.venue_id || !row.venue) return null;
+
+  const result = await executeQuery(
+    `SELECT id FROM venues
+     WHERE LOWER(name) = LOWER($1) AND ($2::text IS NULL OR LOWER(city) = LOWER($2))`,
+    [row.venue, row.venue_city || null]
+  );
+
+  if (result.rows.length === 0) {
+    return `Venue "${row.venue}" not found - create it first or use venue_id`;
+  }
+  if (result.rows.length > 1) {
+    return `Venue "${row.venue}" matches several venues - add venue_city or use venue_id`;
+  }
+
+  row.venue_id = result.rows[0].id;
+  return null;
+};
+
+// Convert every time in a validated gig body to a UTC Date, reading offset-less times
+// as local to the gig. Run once after validation, before anything stores or compares them
+const resolveGigTimes = async (data) => {
+  const timeZone = await gigTimeZone(data.venue_id, data.timezone);
+  const toUtc = (value) => (value ? zonedTimeToUtc(value, timeZone) : value);
+
+  return {
+    ...data,
+    date: toUtc(data.date),
+    doors_at: toUtc(data.doors_at),
+    ends_at: toUtc(data.ends_at),
+    publish_at: toUtc(data.publish_at),
+    recurrence_exceptions: data.recurrence_exceptions && data.recurrence_exceptions.map(toUtc),
+    lineup: data.lineup && data.lineup.map((entry) => ({
+      ...entry,
+      set_start: toUtc(entry.set_start),
+      set_end: toUtc(entry.set_end)
+    })),
+    ticket_tiers: data.ticket_tiers && data.ticket_tiers.map((tier) => ({
+      ...tier,
+      available_from: toUtc(tier.available_from),
+      available_until: toUtc(tier.available_until)
+    }))
+  };
+};
+
+// Find likely duplicates of a gig: same local day, same venue (by normalised name and city) and a
+// similar title. Cancelled gigs are ignored; excludeGigId leaves out the gig being checked
+// Unpublished gigs only count (and are only shown) when they belong to userId
+const findDuplicateGigs = async ({ venueId, date, title, excludeGigId = null, userId = null }) => {
+  const result = await executeQuery(
+    `SELECT g.id, g.occurrence_date, g.title, g.event_date, g.timezone, g.status,
+            g.venue_id, v.name AS venue_name, v.city AS venue_city,
+            g.user_id, u.name AS user_name,
+            ROUND(similarity(LOWER(g.title), LOWER($3))::numeric, 2) AS title_similarity
+     FROM gig_occurrences g
+     JOIN venues v ON v.id = g.venue_id
+     JOIN users u ON u.id = g.user_id
+     JOIN venues target ON target.id = $1
+     WHERE (g.venue_id = target.id
+            OR (normalise_venue_name(v.name) = normalise_venue_name(target.name)
+                AND LOWER(v.city) = LOWER(target.city)))
+       AND (g.event_date AT TIME ZONE g.timezone)::date = ($2::timestamptz AT TIME ZONE g.timezone)::date
+       AND similarity(LOWER(g.title), LOWER($3)) >= $4
+       AND g.status <> 'cancelled'
+       AND ($5::int IS NULL OR g.id <> $5)
+       AND (${publishedSql('g')} OR g.user_id = $6)
+     ORDER BY title_similarity DESC, g.event_date ASC
+     LIMIT ${MAX_DUPLICATE_CANDIDATES}`,
+    [venueId, date, title, DUPLICATE_TITLE_SIMILARITY, excludeGigId, userId]
+  );
+  return result.rows.map((row) => localiseTimes(row));
+};
+
+// Price band of a price expression: 0 = free, then one band per PRICE_BAND_LIMITS step, then everything above
+const priceBandSql = (priceExpr) => `
+  CASE WHEN ${priceExpr} = 0 THEN 0
+       ${PRICE_BAND_LIMITS.map((limit, i) => `WHEN ${priceExpr} <= ${limit} THEN ${i + 1}`).join('\n       ')}
+       ELSE ${PRICE_BAND_LIMITS.length + 1} END`;
+
+// Human-readable reasons for a similar gig's score
+const similarityReasons = (gig, target) => {
+  const reasons = [];
+  if (gig.score.genre) reasons.push(`Same genre (${gig.genre})`);
+  if (gig.score.venue) reasons.push(`Also at ${gig.venue_name}`);
+  if (gig.score.title) reasons.push(`${gig.shared_title_words} title word(s) in common`);
+  if (gig.score.date) reasons.push(`${gig.days_apart} day(s) from "${target.title}"`);
+  if (gig.score.price) reasons.push(gig.same_price_band ? 'Same price band' : 'Similar price');
+  if (gig.score.collections) reasons.push(`Saved together in ${gig.shared_collections} collection(s)`);
+  return reasons;
+};
+
+// The place names in a profile location, e.g. "Bath, Somerset, UK" -> ['bath', 'somerset', 'uk']
+// A venue counts as local when its city is one of them exactly, so Bath doesn't match Bathgate
+const locationPlaces = (location) => (location || '')
+  .split(',')
+  .map((part) => part.trim().replace(/\s+/g, ' ').toLowerCase())
+  .filter(Boolean);
+
+// Human-readable reasons for a For You recommendation
+const forYouReasons = (gig, location) => {
+  const reasons = [];
+  if (gig.score.artist) reasons.push('Features an artist you follow');
+  if (gig.score.genre) reasons.push(`You often save ${gig.genre} gigs`);
+  if (gig.score.venue) reasons.push(`You've saved gigs at ${gig.venue_name}`);
+  if (gig.score.location) reasons.push(`Near ${location}`);
+  if (gig.score.popularity) reasons.push(`Saved by ${gig.save_count} ${gig.save_count === 1 ? 'person' : 'people'}`);
+  return reasons;
+};
+
+// Count a detail view towards trending, at most once per viewer every VIEW_DEDUPE_MINUTES
+// Anonymous visitors are keyed by a hash of their IP so raw addresses aren't stored
+const recordGigView = async (req, gig) => {
+  if ((req.user && req.user.id === gig.user_id) || !isPublished(gig) || gig.hidden_at) return;
+
+  const viewerKey = req.user
+    ? `user:${req.user.id}`
+    : `ip:${crypto.createHash('sha256').update(req.ip || '').digest('hex').slice(0, 32)}`;
+
+  await executeQuery(
+    `INSERT INTO gig_views (gig_id, viewer_key)
+     SELECT $1, $2
+     WHERE NOT EXISTS (
+       SELECT 1 FROM gig_views
+       WHERE gig_id = $1 AND viewer_key = $2 AND viewed_at > NOW() - make_interval(mins => $3)
+     )`,
+    [gig.id, viewerKey, VIEW_DEDUPE_MINUTES]
+  );
+};
+
+// Going / interested counts for one gig
+const fetchRsvpCounts = async (gigId) => {
+  const result = await executeQuery(
+    `SELECT rsvp.going_count, rsvp.interested_count
+     FROM gigs g
+     ${RSVP_COUNTS_JOIN}
+     WHERE g.id = $1`,
+    [gigId]
+  );
+  return result.rows[0];
+};
+
+// Fetch a gig with venue, owner, lineup, ticket tiers and recurrence details, or null if it doesn't exist
+const fetchGigDetails = async (gigId) => {
+  const result = await executeQuery(
+    `SELECT g.id, g.title, g.description, g.doors_at, g.event_date, g.ends_at,
+            COALESCE(g.timezone, v.timezone) AS timezone, g.genre, g.price, g.currency,
+            COALESCE((SELECT MIN(t.price) FROM gig_ticket_tiers t WHERE t.gig_id = g.id), g.price) AS min_price,
+            COALESCE((SELECT MAX(t.price) FROM gig_ticket_tiers t WHERE t.gig_id = g.id), g.price) AS max_price,
+            g.image_url, g.ticket_url, g.status, g.visibility, g.publish_at, g.published_at, g.hidden_at,
+            g.created_at, g.updated_at,
+            g.recurrence_rule, (g.recurrence_freq IS NOT NULL) AS is_recurring, g.series_parent_id,
+            g.rescheduled_from,
+            (SELECT r.id FROM gigs r WHERE r.rescheduled_from = g.id LIMIT 1) AS rescheduled_to,
+            rsvp.going_count, rsvp.interested_count,
+            g.venue_id, v.name AS venue_name, v.address AS venue_address, v.city AS venue_city,
+            v.latitude AS venue_latitude, v.longitude AS venue_longitude,
+            g.user_id, u.name AS user_name,
+            ${gigGenresSql('g')}
+     FROM gigs g
+     JOIN users u ON u.id = g.user_id
+     JOIN venues v ON v.id = g.venue_id
+     ${RSVP_COUNTS_JOIN}
+     WHERE g.id = $1`,
+    [gigId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const gig = localiseTimes(result.rows[0], [...GIG_TIME_FIELDS, 'publish_at']);
+
+  if (gig.is_recurring) {
+    const occurrences = await executeQuery(
+      `SELECT occurrence_date, doors_at, event_date, ends_at, title, price, status
+       FROM gig_occurrences o
+       WHERE o.id = $1 AND ${whenSql('o', 'upcoming')}
+       ORDER BY event_date ASC
+       LIMIT 52`,
+      [gigId]
+    );
+    const exceptions = await executeQuery(
+      `SELECT occurrence_date FROM gig_occurrence_overrides
+       WHERE gig_id = $1 AND is_excluded = TRUE
+       ORDER BY occurrence_date ASC`,
+      [gigId]
+    );
+
+    gig.upcoming_occurrences = occurrences.rows.map((row) => localiseTimes(row, undefined, gig.timezone));
+    gig.recurrence_exceptions = exceptions.rows.map((row) => row.occurrence_date);
+  }
+
+  const lineup = await executeQuery(
+    `SELECT ga.artist_id, a.name, a.website_url, ga.billing_order, ga.set_start, ga.set_end
+     FROM gig_artists ga
+     JOIN artists a ON a.id = ga.artist_id
+     WHERE ga.gig_id = $1
+     ORDER BY ga.billing_order ASC, ga.set_start ASC NULLS LAST, a.name ASC`,
+    [gigId]
+  );
+  gig.lineup = lineup.rows.map((row) => localiseTimes(row, ['set_start', 'set_end'], gig.timezone));
+
+  const ticketTiers = await executeQuery(
+    `SELECT id, name, price, currency, pay_what_you_can, available_from, available_until, sold_out,
+            (NOT sold_out
+              AND (available_from IS NULL OR available_from <= NOW())
+              AND (available_until IS NULL OR available_until > NOW())) AS on_sale
+     FROM gig_ticket_tiers
+     WHERE gig_id = $1
+     ORDER BY sort_order ASC, price ASC`,
+    [gigId]
+  );
+  gig.ticket_tiers = ticketTiers.rows;
+
+  gig.rating = await fetchRatingSummary('gig', gigId);
+
+  const recentChanges = await executeQuery(
+    `SELECT r.id, r.action, r.changes, r.occurrence_date, r.created_at, u.name AS author_name
+     FROM gig_revisions r
+     LEFT JOIN users u ON u.id = r.author_id
+     WHERE r.gig_id = $1 AND r.action <> 'create'
+     ORDER BY r.created_at DESC, r.id DESC
+     LIMIT ${RECENT_CHANGES_LIMIT}`,
+    [gigId]
+  );
+  gig.recent_changes = recentChanges.rows;
+
+  const statusHistory = await executeQuery(
+    `SELECT from_status, to_status, reason, occurrence_date, new_date, rescheduled_gig_id, created_at
+     FROM gig_status_changes
+     WHERE gig_id = $1
+     ORDER BY created_at DESC`,
+    [gigId]
+  );
+  gig.status_history = statusHistory.rows;
+
+  return gig;
+};
+
+// Fetch a gig and check the current user owns it
+// Returns the gig row, or sends the error response and returns null
+const findOwnedGig = async (req, res) => {
+  const result = await executeQuery('SELECT * FROM gigs WHERE id = $1', [req.params.id]);
+
+  if (result.rows.length === 0) {
+    res.status(404).json({
+      success: false,
+      error: 'Gig not found'
+    });
+    return null;
+  }
+
+  const gig = result.rows[0];
+  if (gig.user_id !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      error: 'You can only modify your own gigs',
+      code: 'OWNERSHIP_REQUIRED'
+    });
+    return null;
+  }
+
+  return gig;
+};
+
+// Look up an occurrence of a recurring gig by its occurrence_date
+// Returns { occurrence_index, occurrence_date }, or sends the error response and returns null
+const findOccurrenceSlot = async (res, gig, occurrenceDate) => {
+  if (!gig.recurrence_freq) {
+    res.status(400).json({
+      success: false,
+      error: 'Gig is not recurring',
+      message: 'scope=this and scope=following only apply to recurring gigs'
+    });
+    return null;
+  }
+
+  const result = await executeQuery(
+    `SELECT occurrence_index, occurrence_date FROM gig_occurrence_slots
+     WHERE gig_id = $1 AND occurrence_date = $2`,
+    [gig.id, occurrenceDate]
+  );
+
+  if (result.rows.length === 0) {
+    res.status(404).json({
+      success: false,
+      error: 'Occurrence not found'
+    });
+    return null;
+  }
+
+  return result.rows[0];
+};
+
+// Parsed recurrence columns for a gig body (all null for one-off gigs)
+const recurrenceColumns = (recurrenceRule) => {
+  if (!recurrenceRule) {
+    return { rule: null, freq: null, interval: 1, count: null, until: null };
+  }
+  const parsed = parseRecurrenceRule(recurrenceRule);
+  return { rule: formatRecurrenceRule(parsed), ...parsed };
+};
+
+// Visibility columns for a gig body: publish_at only matters while scheduled
+// Bodies without a visibility are published straight away
+const visibilityColumns = (gigData) => {
+  const visibility = gigData.visibility || 'published';
+  return { visibility, publishAt: visibility === 'scheduled' ? gigData.publish_at : null };
+};
+
+// Insert a gig from a validated request body and return its ID
+const insertGig = async (client, gigData, userId, seriesParentId = null) => {
+  const { title, description, venue_id, date, price, currency, image_url, ticket_url } = gigData;
+  const genres = requestedGigGenres(gigData);
+  const recurrence = recurrenceColumns(gigData.recurrence_rule);
+  const { visibility, publishAt } = visibilityColumns(gigData);
+
+  const result = await client.query(
+    `INSERT INTO gigs (title, description, venue_id, event_date, genre, price, image_url, ticket_url, user_id,
+                       recurrence_rule, recurrence_freq, recurrence_interval, recurrence_count, recurrence_until,
+                       series_parent_id, currency, doors_at, ends_at, timezone, visibility, publish_at, published_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21,
+             CASE WHEN $20 = 'published' THEN CURRENT_TIMESTAMP END)
+     RETURNING id`,
+    [title, description || null, venue_id, date, genres[0], price ?? 0, image_url || null, ticket_url || null, userId,
+      recurrence.rule, recurrence.freq, recurrence.interval, recurrence.count, recurrence.until, seriesParentId,
+      currency || DEFAULT_CURRENCY, gigData.doors_at || null, gigData.ends_at || null, gigData.timezone || null,
+      visibility, publishAt]
+  );
+
+  await replaceGigGenres(client, result.rows[0].id, genres);
+  return result.rows[0].id;
+};
+
+// Update a whole gig (or whole series) from a validated request body
+// Moving the start date or changing the rule invalidates per-occurrence overrides, so they are cleared
+const updateGig = async (client, gig, gigData) => {
+  const { title, description, venue_id, date, price, currency, image_url, ticket_url } = gigData;
+  const genres = requestedGigGenres(gigData);
+  const recurrence = recurrenceColumns(gigData.recurrence_rule);
+
+  await client.query(
+    `UPDATE gigs
+     SET title = $1, description = $2, venue_id = $3, event_date = $4, genre = $5, price = $6,
+         image_url = $7, ticket_url = $8, recurrence_rule = $9, recurrence_freq = $10,
+         recurrence_interval = $11, recurrence_count = $12, recurrence_until = $13,
+         currency = $14, doors_at = $15, ends_at = $16, timezone = $17, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $18`,
+    [title, description || null, venue_id, date, genres[0], price ?? 0, image_url || null, ticket_url || null,
+      recurrence.rule, recurrence.freq, recurrence.interval, recurrence.count, recurrence.until,
+      currency || DEFAULT_CURRENCY, gigData.doors_at || null, gigData.ends_at || null, gigData.timezone || null, gig.id]
+  );
+  await replaceGigGenres(client, gig.id, genres);
+
+  // Visibility is left alone unless the body names one (reverts never change it)
+  if (gigData.visibility) {
+    const { visibility, publishAt } = visibilityColumns(gigData);
+    await client.query(
+      `UPDATE gigs
+       SET visibility = $1, publish_at = $2,
+           published_at = CASE WHEN $1 = 'published' THEN COALESCE(published_at, CURRENT_TIMESTAMP) END
+       WHERE id = $3`,
+      [visibility, publishAt, gig.id]
+    );
+  }
+
+  // Existing tiers follow a currency change when no new tiers were sent
+  if (!gigData.ticket_tiers) {
+    await client.query(
+      'UPDATE gig_ticket_tiers SET currency = $1, updated_at = CURRENT_TIMESTAMP WHERE gig_id = $2 AND currency <> $1',
+      [currency || DEFAULT_CURRENCY, gig.id]
+    );
+  }
+
+  const scheduleChanged = new Date(gig.event_date).getTime() !== new Date(date).getTime()
+    || gig.recurrence_rule !== recurrence.rule
+    || (gig.recurrence_rule && (gig.timezone || null) !== (gigData.timezone || null));
+
+  if (scheduleChanged) {
+    await client.query('DELETE FROM gig_occurrence_overrides WHERE gig_id = $1', [gig.id]);
+  } else if (gigData.recurrence_exceptions) {
+    await client.query('DELETE FROM gig_occurrence_overrides WHERE gig_id = $1 AND is_excluded = TRUE', [gig.id]);
+  }
+
+  await insertRecurrenceExceptions(client, gig.id, gigData.recurrence_exceptions);
+  await unarchiveGig(client, gig.id);
+};
+
+// Record skipped occurrences (RRULE exceptions) for a recurring gig
+const insertRecurrenceExceptions = async (client, gigId, exceptions = []) => {
+  for (const occurrenceDate of exceptions || []) {
+    await client.query(
+      `INSERT INTO gig_occurrence_overrides (gig_id, occurrence_date, is_excluded)
+       VALUES ($1, $2, TRUE)
+       ON CONFLICT (gig_id, occurrence_date) DO UPDATE SET is_excluded = TRUE`,
+      [gigId, occurrenceDate]
+    );
+  }
+};
+
+// Replace a gig's lineup from a validated lineup array (undefined leaves the lineup untouched)
+// Entries naming an artist reuse an existing artist with the same name or create one
+const replaceLineup = async (client, gigId, lineup, userId) => {
+  if (!lineup) return;
+
+  await client.query('DELETE FROM gig_artists WHERE gig_id = $1', [gigId]);
+
+  for (const [index, entry] of lineup.entries()) {
+    let artistId = entry.artist_id;
+
+    if (!artistId) {
+      const existing = await client.query(
+        'SELECT id FROM artists WHERE LOWER(name) = LOWER($1) ORDER BY id LIMIT 1',
+        [entry.name]
+      );
+      artistId = existing.rows.length
+        ? existing.rows[0].id
+        : (await client.query(
+          'INSERT INTO artists (name, website_url, created_by) VALUES ($1, $2, $3) RETURNING id',
+          [entry.name, entry.website_url || null, userId]
+        )).rows[0].id;
+    }
+
+    await client.query(
+      `INSERT INTO gig_artists (gig_id, artist_id, billing_order, set_start, set_end)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [gigId, artistId, entry.billing_order || index + 1, entry.set_start || null, entry.set_end || null]
+    );
+  }
+};
+
+// Copy one gig's lineup to another, moving set times by the same amount the gig moved
+const copyLineup = async (client, fromGigId, toGigId) => {
+  await client.query(
+    `INSERT INTO gig_artists (gig_id, artist_id, billing_order, set_start, set_end)
+     SELECT $2, ga.artist_id, ga.billing_order,
+            ga.set_start + (t.event_date - f.event_date), ga.set_end + (t.event_date - f.event_date)
+     FROM gig_artists ga
+     JOIN gigs f ON f.id = ga.gig_id
+     JOIN gigs t ON t.id = $2
+     WHERE ga.gig_id = $1
+     ON CONFLICT (gig_id, artist_id) DO NOTHING`,
+    [fromGigId, toGigId]
+  );
+};
+
+// Replace a gig's ticket tiers from a validated array (undefined leaves the tiers untouched)
+const replaceTicketTiers = async (client, gigId, tiers, currency) => {
+  if (!tiers) return;
+
+  await client.query('DELETE FROM gig_ticket_tiers WHERE gig_id = $1', [gigId]);
+
+  for (const [index, tier] of tiers.entries()) {
+    await client.query(
+      `INSERT INTO gig_ticket_tiers (gig_id, name, price, currency, pay_what_you_can,
+                                     available_from, available_until, sold_out, sort_order)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [gigId, tier.name, tier.price ?? 0, currency || DEFAULT_CURRENCY, tier.pay_what_you_can === true,
+        tier.available_from || null, tier.available_until || null, tier.sold_out === true, index]
+    );
+  }
+};
+
+// Copy one gig's ticket tiers to another (postponed and split-off gigs keep their prices)
+const copyTicketTiers = async (client, fromGigId, toGigId) => {
+  await client.query(
+    `INSERT INTO gig_ticket_tiers (gig_id, name, price, currency, pay_what_you_can,
+                                   available_from, available_until, sold_out, sort_order)
+     SELECT $2, name, price, currency, pay_what_you_can, available_from, available_until, sold_out, sort_order
+     FROM gig_ticket_tiers
+     WHERE gig_id = $1`,
+    [fromGigId, toGigId]
+  );
+};
+
+// Fetch a gig that the current user owns or, failing that, may administer
+// Returns the gig row, or sends the error response and returns null
+const findGigForOwnerOrAdmin = async (req, res) => {
+  const result = await executeQuery('SELECT * FROM gigs WHERE id = $1', [req.params.id]);
+
+  if (result.rows.length === 0) {
+    res.status(404).json({
+      success: false,
+      error: 'Gig not found'
+    });
+    return null;
+  }
+
+  const gig = result.rows[0];
+  if (gig.user_id !== req.user.id && !isAdmin(req.user)) {
+    res.status(403).json({
+      success: false,
+      error: 'You can only modify your own gigs',
+      code: 'OWNERSHIP_REQUIRED'
+    });
+    return null;
+  }
+
+  return gig;
+};
+
+// Fetch a gig the current user may see (see canViewGig)
+// Returns the gig row, or sends a 404 and returns null
+const findVisibleGig = async (req, res) => {
+  const result = await executeQuery(
+    'SELECT id, user_id, visibility, publish_at, hidden_at FROM gigs WHERE id = $1',
+    [req.params.id]
+  );
+
+  if (result.rows.length === 0 || !canViewGig(result.rows[0], req.user)) {
+    res.status(404).json({
+      success: false,
+      error: 'Gig not found'
+    });
+    return null;
+  }
+
+  return result.rows[0];
+};
+
+// End a series just before the given occurrence slot
+// COUNT-based series keep a COUNT so the canonical RRULE never mixes COUNT and UNTIL
+const truncateSeries = async (client, gig, slot) => {
+  const truncated = {
+    freq: gig.recurrence_freq,
+    interval: gig.recurrence_interval,
+    count: gig.recurrence_count ? slot.occurrence_index : null,
+    until: gig.recurrence_count ? null : new Date(new Date(slot.occurrence_date).getTime() - 1000)
+  };
+
+  await client.query(
+    `UPDATE gigs
+     SET recurrence_rule = $1, recurrence_count = $2, recurrence_until = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4`,
+    [formatRecurrenceRule(truncated), truncated.count, truncated.until, gig.id]
+  );
+
+  await client.query(
+    'DELETE FROM gig_occurrence_overrides WHERE gig_id = $1 AND occurrence_date >= $2',
+    [gig.id, slot.occurrence_date]
+  );
+};
+
 // GET /api/gigs - Get all gigs (public) with pagination and filtering
 // IMPORTANT! this is supposed to stay commented - JSDoc comment for Swagger API documentation - the /** */ markers are required for JSDoc to parse and generate docs, do not remove them
 /**
@@ -128,21 +1135,78 @@ const gigValidation = [
  *         name: genre
  *         schema:
  *           type: string
- *         description: Filter by genre
+ *         description: Filter by genre name or slug (a parent genre includes its subgenres)
+ *       - in: query
+ *         name: venue_id
+ *         schema:
+ *           type: integer
+ *         description: Filter by venue
+ *       - in: query
+ *         name: artist
+ *         schema:
+ *           type: string
+ *         description: Only gigs featuring this artist (artist ID or exact name, case-insensitive)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, sold_out, postponed, cancelled, past]
+ *         description: Filter by gig status
+ *       - in: query
+ *         name: when
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, past, all]
+ *           default: upcoming
+ *         description: Occurrences that haven't ended yet, ones that have (newest first when sorted by date), or both
+ *       - in: query
+ *         name: min_price
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Only gigs with a ticket at or above this price
+ *       - in: query
+ *         name: max_price
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Only gigs with a ticket at or below this price (max_price=0 finds free gigs)
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Only gigs priced in this ISO 4217 currency
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         description: Latitude of the search centre (requires lng)
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *         description: Longitude of the search centre (requires lat)
+ *       - in: query
+ *         name: radius_km
+ *         schema:
+ *           type: number
+ *           minimum: 0.1
+ *           maximum: 500
+ *         description: Only return gigs at venues within this distance (default 25km when lat/lng are given)
  *       - in: query
  *         name: search
  *         schema:
  *           type: string
- *         description: Search in title or venue
+ *         description: Full-text search across title, venue, lineup and description. Supports web search syntax ("quoted phrases", -excluded, or)
  *       - in: query
  *         name: sort
  *         schema:
  *           type: string
- *           enum: [date, title, created_at]
- *         description: Sort order
+ *           enum: [date, title, created_at, price, relevance, distance, popular]
+ *         description: Sort order (defaults to relevance when searching, date otherwise). price sorts by cheapest ticket. distance requires lat/lng. popular sorts by going and interested RSVPs
  *     responses:
  *       200:
- *         description: List of gigs with pagination metadata
+ *         description: List of gigs with pagination metadata, min/max ticket prices and going/interested counts. Recurring gigs appear once per occurrence, identified by id + occurrence_date. When searching, each gig includes search_rank and highlighted title/description snippets (HTML-escaped, matches wrapped in <mark>). With lat/lng, each gig includes distance_km
  *       400:
  *         description: Invalid query parameters
  */
@@ -150,20 +1214,43 @@ const gigValidation = [
 //why: allows users to see and test the public gigs listing with filters
 //how: defines parameters for pagination/filtering and response schemas
 router.get('/', [
-  // TODO: Add validation for query parameters
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('genre').optional().isString().withMessage('Genre must be a string'),
-  query('search').optional().isString().withMessage('Search must be a string'),
-  query('sort').optional().isIn(['date', 'title', 'created_at']).withMessage('Invalid sort option')
+  query('venue_id').optional().isInt({ min: 1 }).withMessage('Venue ID must be a positive integer'),
+  query('artist').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Artist must be an ID or a name of at most 100 characters'),
+  query('status').optional().isIn(GIG_STATUSES).withMessage(`Status must be one of ${GIG_STATUSES.join(', ')}`),
+  query('when').optional().isIn(GIG_WHEN).withMessage(`When must be one of ${GIG_WHEN.join(', ')}`),
+  query('min_price').optional().isFloat({ min: 0 }).withMessage('min_price must be a positive number or 0'),
+  query('max_price').optional().isFloat({ min: 0 }).withMessage('max_price must be a positive number or 0')
+    .custom((value, { req }) => {
+      if (req.query.min_price !== undefined && parseFloat(value) < parseFloat(req.query.min_price)) {
+        throw new Error('max_price must not be less than min_price');
+      }
+      return true;
+    }),
+  query('currency').optional().trim().toUpperCase().isIn(CURRENCY_CODES).withMessage('Currency must be an ISO 4217 code'),
+  query('search').optional().isString().trim().isLength({ max: 200 }).withMessage('Search must be a string of at most 200 characters'),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('lat must be between -90 and 90'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('lng must be between -180 and 180'),
+  query('radius_km').optional().isFloat({ min: 0.1, max: 500 }).withMessage('radius_km must be between 0.1 and 500'),
+  query('lat').custom((value, { req }) => {
+    if ((req.query.lat === undefined) !== (req.query.lng === undefined)) {
+      throw new Error('lat and lng must be provided together');
+    }
+    if (req.query.radius_km !== undefined && req.query.lat === undefined) {
+      throw new Error('radius_km requires lat and lng');
+    }
+    return true;
+  }),
+  query('sort').optional().isIn(['date', 'title', 'created_at', 'price', 'relevance', 'distance', 'popular']).withMessage('Invalid sort option')
+    .custom((value, { req }) => {
+      if (value === 'distance' && req.query.lat === undefined) {
+        throw new Error('sort=distance requires lat and lng');
+      }
+      return true;
+    })
 ], async (req, res) => {
-  // TODO: Implementation steps:
-  // 1. Validate query parameters
-  // 2. Build WHERE clause for filtering
-  // 3. Handle pagination
-  // 4. Execute database query with JOIN to get user info
-  // 5. Return formatted response with pagination metadata
-  
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -173,15 +1260,2740 @@ router.get('/', [
     });
   }
 
-  // PLACEHOLDER - Add actual implementation
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const offset = (page - 1) * limit;
+    const { genre, venue_id, artist, status, currency, search } = req.query;
+
+    // Build WHERE clause for filtering - drafts and gigs scheduled for later are never listed
+    // Occurrences that have ended are left out unless asked for
+    const when = req.query.when || 'upcoming';
+    const conditions = [publishedSql('g'), whenSql('g', when)];
+    const params = [];
+
+    if (genre) {
+      params.push(genre);
+      conditions.push(genreFilterSql('g', `$${params.length}`));
+    }
+
+    if (venue_id) {
+      params.push(venue_id);
+      conditions.push(`g.venue_id = $${params.length}`);
+    }
+
+    if (artist) {
+      params.push(artist);
+      const artistMatch = /^\d+$/.test(artist)
+        ? `ga.artist_id = $${params.length}::int`
+        : `LOWER(a.name) = LOWER($${params.length})`;
+      conditions.push(`EXISTS (
+        SELECT 1 FROM gig_artists ga
+        JOIN artists a ON a.id = ga.artist_id
+        WHERE ga.gig_id = g.id AND ${artistMatch}
+      )`);
+    }
+
+    if (status) {
+      params.push(status);
+      conditions.push(`g.status = $${params.length}`);
+    }
+
+    // A gig matches a price range if any of its tiers does, i.e. the ranges overlap
+    if (req.query.min_price !== undefined) {
+      params.push(parseFloat(req.query.min_price));
+      conditions.push(`g.max_price >= $${params.length}`);
+    }
+
+    if (req.query.max_price !== undefined) {
+      params.push(parseFloat(req.query.max_price));
+      conditions.push(`g.min_price <= $${params.length}`);
+    }
+
+    if (currency) {
+      params.push(currency);
+      conditions.push(`g.currency = $${params.length}`);
+    }
+
+    // Geographic radius filter - a bounding box lets the venue lat/lng index narrow rows
+    // before the exact haversine distance is checked
+    let distanceExpr = null;
+    if (req.query.lat !== undefined) {
+      const lat = parseFloat(req.query.lat);
+      const lng = parseFloat(req.query.lng);
+      const radiusKm = parseFloat(req.query.radius_km) || DEFAULT_RADIUS_KM;
+      const latDelta = radiusKm / KM_PER_DEGREE_LATITUDE;
+      const lngDelta = radiusKm / (KM_PER_DEGREE_LATITUDE * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+
+      params.push(lat, lng);
+      distanceExpr = distanceSql(`$${params.length - 1}`, `$${params.length}`);
+
+      params.push(lat - latDelta, lat + latDelta, lng - lngDelta, lng + lngDelta, radiusKm);
+      const n = params.length;
+      conditions.push(`v.latitude BETWEEN $${n - 4} AND $${n - 3}`);
+      conditions.push(`v.longitude BETWEEN $${n - 2} AND $${n - 1}`);
+      conditions.push(`${distanceExpr} <= $${n}`);
+    }
+
+    // Full-text search uses the weighted search_vector column (title A, venue and artist names B, description C)
+    // websearch_to_tsquery never throws on user input, so quotes and minus terms are safe to pass straight through
+    let searchParam = null;
+    if (search) {
+      params.push(search);
+      searchParam = `$${params.length}`;
+      conditions.push(`g.search_vector @@ websearch_to_tsquery('english', ${searchParam})`);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    // Relevance only makes sense with a search term, so fall back to date ordering without one
+    const sort = req.query.sort || (searchParam ? 'relevance' : 'date');
+    // The past reads back from the most recent gig
+    const orderBy = {
+      date: when === 'past' ? 'g.event_date DESC' : 'g.event_date ASC',
+      title: 'g.title ASC',
+      created_at: 'g.created_at DESC',
+      price: 'g.min_price ASC, g.event_date ASC',
+      relevance: searchParam ? 'search_rank DESC, g.event_date ASC' : 'g.event_date ASC',
+      distance: 'distance_km ASC, g.event_date ASC',
+      popular: `(${RSVP_POPULARITY_WEIGHTS.going} * rsvp.going_count
+                 + ${RSVP_POPULARITY_WEIGHTS.interested} * rsvp.interested_count) DESC, g.event_date ASC`
+    }[sort];
+
+    const extraColumns = [];
+
+    if (distanceExpr) {
+      extraColumns.push(`ROUND(${distanceExpr}::numeric, 2) AS distance_km`);
+    }
+
+    if (searchParam) {
+      extraColumns.push(`
+        ts_rank_cd(g.search_vector, websearch_to_tsquery('english', ${searchParam})) AS search_rank,
+        ${searchHeadlineSql('g.title', searchParam, 'HighlightAll=true')} AS title_highlight,
+        ${searchHeadlineSql('v.name', searchParam, 'HighlightAll=true')} AS venue_highlight,
+        ${searchHeadlineSql("COALESCE(g.description, '')", searchParam, 'MaxWords=35, MinWords=15, MaxFragments=2')}
+          AS description_snippet`);
+    }
+
+    // gig_occurrences has one row per occurrence, so recurring gigs are expanded in place
+    const countResult = await executeQuery(
+      `SELECT COUNT(*)
+       FROM gig_occurrences g
+       JOIN venues v ON v.id = g.venue_id
+       ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await executeQuery(
+      `SELECT g.id, g.title, g.description, g.doors_at, g.event_date, g.ends_at, g.timezone, g.genre, g.price,
+              g.min_price, g.max_price, g.currency,
+              g.image_url, g.ticket_url, g.status, g.created_at, g.updated_at,
+              g.occurrence_date, g.is_recurring, g.recurrence_rule,
+              g.venue_id, v.name AS venue_name, v.city AS venue_city,
+              g.user_id, u.name AS user_name,
+              rsvp.going_count, rsvp.interested_count,
+              ${gigGenresSql('g')},
+              ARRAY(
+                SELECT a.name FROM gig_artists ga
+                JOIN artists a ON a.id = ga.artist_id
+                WHERE ga.gig_id = g.id
+                ORDER BY ga.billing_order ASC, a.name ASC
+              ) AS artists
+              ${extraColumns.map((column) => `, ${column}`).join('')}
+       FROM gig_occurrences g
+       JOIN users u ON u.id = g.user_id
+       JOIN venues v ON v.id = g.venue_id
+       ${RSVP_COUNTS_JOIN}
+       ${whereClause}
+       ORDER BY ${orderBy}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        gigs: result.rows.map((row) => localiseTimes(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get gigs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch gigs',
+      message: 'An error occurred while fetching gigs'
+    });
+  }
 });
 
-// GET /api/gigs/:id - Get specific gig details (public)
+
+// GET /api/gigs/my - Get user's own gigs, including drafts and scheduled gigs (private)
+// Registered before /:id so "my" isn't treated as a gig ID
+/**
+ * @swagger
+ * /api/gigs/my:
+ *   get:
+ *     summary: Get the current user's gigs, including drafts and gigs scheduled for publishing
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: visibility
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, published]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: The user's gigs (one row per gig or series) sorted by date, each with its visibility and publish_at
+ */
+router.get('/my', authenticateToken, [
+  query('visibility').optional().isIn(GIG_VISIBILITIES).withMessage(`Visibility must be one of ${GIG_VISIBILITIES.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const offset = (page - 1) * limit;
+    const visibility = req.query.visibility || null;
+
+    const countResult = await executeQuery(
+      'SELECT COUNT(*) FROM gigs WHERE user_id = $1 AND ($2::text IS NULL OR visibility = $2)',
+      [req.user.id, visibility]
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await executeQuery(
+      `SELECT g.id, g.title, g.doors_at, g.event_date, g.ends_at, COALESCE(g.timezone, v.timezone) AS timezone,
+              g.genre, g.price, g.currency, g.image_url, g.status, g.visibility, g.publish_at, g.published_at,
+              g.hidden_at,
+              g.recurrence_rule, (g.recurrence_freq IS NOT NULL) AS is_recurring, g.created_at, g.updated_at,
+              g.venue_id, v.name AS venue_name, v.city AS venue_city
+       FROM gigs g
+       JOIN venues v ON v.id = g.venue_id
+       WHERE g.user_id = $1 AND ($2::text IS NULL OR g.visibility = $2)
+       ORDER BY g.event_date ASC, g.id ASC
+       LIMIT $3 OFFSET $4`,
+      [req.user.id, visibility, limit, offset]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        gigs: result.rows.map((row) => localiseTimes(row, [...GIG_TIME_FIELDS, 'publish_at'])),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my gigs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch gigs',
+      message: 'An error occurred while fetching your gigs'
+    });
+  }
+});
+
+// GET /api/gigs/following - Upcoming gigs by artists the user follows (private)
+/**
+ * @swagger
+ * /api/gigs/following:
+ *   get:
+ *     summary: Get upcoming gigs featuring artists the current user follows
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Upcoming gigs (one row per occurrence) sorted by date, each with the followed artists on the bill
+ */
+router.get('/following', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const offset = (page - 1) * limit;
+
+    const followedCondition = `
+      ${whenSql('g', 'upcoming')} AND ${publishedSql('g')} AND EXISTS (
+        SELECT 1 FROM gig_artists ga
+        JOIN artist_follows f ON f.artist_id = ga.artist_id
+        WHERE ga.gig_id = g.id AND f.user_id = $1
+      )`;
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) FROM gig_occurrences g WHERE ${followedCondition}`,
+      [req.user.id]
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await executeQuery(
+      `SELECT g.id, g.title, g.description, g.doors_at, g.event_date, g.ends_at, g.timezone, g.genre, g.price,
+              g.min_price, g.max_price, g.currency,
+              g.image_url, g.ticket_url, g.status, g.occurrence_date, g.is_recurring,
+              g.venue_id, v.name AS venue_name, v.city AS venue_city,
+              rsvp.going_count, rsvp.interested_count,
+              ARRAY(
+                SELECT a.name FROM gig_artists ga
+                JOIN artists a ON a.id = ga.artist_id
+                WHERE ga.gig_id = g.id
+                ORDER BY ga.billing_order ASC, a.name ASC
+              ) AS artists,
+              ARRAY(
+                SELECT json_build_object('id', a.id, 'name', a.name)
+                FROM gig_artists ga
+                JOIN artists a ON a.id = ga.artist_id
+                JOIN artist_follows f ON f.artist_id = a.id AND f.user_id = $1
+                WHERE ga.gig_id = g.id
+                ORDER BY ga.billing_order ASC
+              ) AS followed_artists
+       FROM gig_occurrences g
+       JOIN venues v ON v.id = g.venue_id
+       ${RSVP_COUNTS_JOIN}
+       WHERE ${followedCondition}
+       ORDER BY g.event_date ASC
+       LIMIT $2 OFFSET $3`,
+      [req.user.id, limit, offset]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        gigs: result.rows.map((row) => localiseTimes(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get followed artists gigs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch gigs',
+      message: 'An error occurred while fetching gigs by artists you follow'
+    });
+  }
+});
+
+// GET /api/gigs/for-you - Personalised recommendations (private)
+/**
+ * @swagger
+ * /api/gigs/for-you:
+ *   get:
+ *     summary: Get upcoming gigs recommended for the current user
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Recommended gigs, best first, each with score breakdown and reasons. cold_start is true when the user has no saves or follows yet
+ */
+router.get('/for-you', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const offset = (page - 1) * limit;
+    const w = FOR_YOU_WEIGHTS;
+
+    const profileResult = await executeQuery(
+      `SELECT u.location,
+              (SELECT COUNT(*) FROM collection_gigs cg
+               JOIN collections c ON c.id = cg.collection_id
+               WHERE c.user_id = u.id)::int AS saved_count,
+              (SELECT COUNT(*) FROM artist_follows f WHERE f.user_id = u.id)::int AS follow_count
+       FROM users u
+       WHERE u.id = $1`,
+      [req.user.id]
+    );
+    const profile = profileResult.rows[0] || { location: null, saved_count: 0, follow_count: 0 };
+    const coldStart = profile.saved_count === 0 && profile.follow_count === 0;
+
+    // Gigs the user could be recommended: upcoming, active, published, next occurrence only,
+    // not their own, not already saved or RSVP'd to and not dismissed
+    const candidatesSql = `
+      saved AS (
+        SELECT DISTINCT g.id, g.genre, g.venue_id
+        FROM collection_gigs cg
+        JOIN collections c ON c.id = cg.collection_id
+        JOIN gigs g ON g.id = cg.gig_id
+        WHERE c.user_id = $1
+      ),
+      candidates AS (
+        SELECT DISTINCT ON (g.id) g.*
+        FROM gig_occurrences g
+        WHERE ${whenSql('g', 'upcoming')} AND g.status = 'active' AND ${publishedSql('g')} AND g.user_id <> $1
+          AND g.id NOT IN (SELECT id FROM saved)
+          AND NOT EXISTS (SELECT 1 FROM gig_dismissals d WHERE d.user_id = $1 AND d.gig_id = g.id)
+          AND NOT EXISTS (SELECT 1 FROM gig_rsvps r WHERE r.user_id = $1 AND r.gig_id = g.id)
+        ORDER BY g.id, g.event_date ASC
+      )`;
+
+    const countResult = await executeQuery(
+      `WITH ${candidatesSql} SELECT COUNT(*) FROM candidates`,
+      [req.user.id]
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await executeQuery(
+      `WITH ${candidatesSql},
+       genre_affinity AS (
+         SELECT genre, COUNT(*)::numeric / SUM(COUNT(*)) OVER () AS share FROM saved GROUP BY genre
+       ),
+       venue_affinity AS (
+         SELECT venue_id, COUNT(*)::numeric / SUM(COUNT(*)) OVER () AS share FROM saved GROUP BY venue_id
+       ),
+       scored AS (
+         SELECT c.id, c.occurrence_date, c.title, c.doors_at, c.event_date, c.ends_at, c.timezone, c.genre,
+                c.min_price, c.max_price, c.currency, c.image_url, c.venue_id, v.name AS venue_name, v.city AS venue_city,
+                pop.save_count,
+                ROUND(${w.genre} * COALESCE(ga.share, 0), 2) AS genre_score,
+                ROUND(${w.venue} * COALESCE(va.share, 0), 2) AS venue_score,
+                CASE WHEN EXISTS (
+                  SELECT 1 FROM gig_artists ga
+                  JOIN artist_follows f ON f.artist_id = ga.artist_id AND f.user_id = $1
+                  WHERE ga.gig_id = c.id
+                ) THEN ${w.artist} ELSE 0 END AS artist_score,
+                CASE WHEN LOWER(REGEXP_REPLACE(TRIM(v.city), '\\s+', ' ', 'g')) = ANY($2::text[])
+                     THEN ${w.location} ELSE 0 END AS location_score,
+                ROUND(${w.popularity} * LEAST(pop.save_count, ${FOR_YOU_POPULARITY_CAP})::numeric
+                  / ${FOR_YOU_POPULARITY_CAP}, 2) AS popularity_score,
+                ROUND(${w.variety} * (ABS(hashtext($1::text || ':' || c.id || ':' || CURRENT_DATE)) % 1000) / 1000.0, 2)
+                  AS variety_score
+         FROM candidates c
+         JOIN venues v ON v.id = c.venue_id
+         LEFT JOIN genre_affinity ga ON ga.genre = c.genre
+         LEFT JOIN venue_affinity va ON va.venue_id = c.venue_id
+         CROSS JOIN LATERAL (
+           SELECT COUNT(*)::int AS save_count FROM collection_gigs cg WHERE cg.gig_id = c.id
+         ) pop
+       )
+       SELECT *, (genre_score + venue_score + artist_score + location_score + popularity_score + variety_score) AS total_score
+       FROM scored
+       ORDER BY total_score DESC, event_date ASC
+       LIMIT $3 OFFSET $4`,
+      [req.user.id, locationPlaces(profile.location), limit, offset]
+    );
+
+    const gigs = result.rows.map((row) => {
+      const gig = {
+        id: row.id,
+        occurrence_date: row.occurrence_date,
+        title: row.title,
+        doors_at: row.doors_at,
+        event_date: row.event_date,
+        ends_at: row.ends_at,
+        timezone: row.timezone,
+        genre: row.genre,
+        min_price: row.min_price,
+        max_price: row.max_price,
+        currency: row.currency,
+        image_url: row.image_url,
+        venue_id: row.venue_id,
+        venue_name: row.venue_name,
+        venue_city: row.venue_city,
+        score: {
+          total: parseFloat(row.total_score),
+          genre: parseFloat(row.genre_score),
+          venue: parseFloat(row.venue_score),
+          artist: parseFloat(row.artist_score),
+          location: parseFloat(row.location_score),
+          popularity: parseFloat(row.popularity_score),
+          variety: parseFloat(row.variety_score)
+        }
+      };
+      gig.reasons = forYouReasons({ ...gig, save_count: row.save_count }, profile.location);
+      return localiseTimes(gig);
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        gigs,
+        cold_start: coldStart,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get for-you gigs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch recommendations',
+      message: 'An error occurred while fetching your recommendations'
+    });
+  }
+});
+
+// GET /api/gigs/trending - Gigs with the most recent activity (public)
+/**
+ * @swagger
+ * /api/gigs/trending:
+ *   get:
+ *     summary: Get upcoming gigs ranked by recent saves and views
+ *     tags: [Gigs]
+ *     parameters:
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: string
+ *           enum: [24h, 7d, 30d]
+ *           default: 7d
+ *       - in: query
+ *         name: genre
+ *         schema:
+ *           type: string
+ *         description: Genre name or slug (a parent genre includes its subgenres)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Trending gigs with their score, saves and views in the window, and when scores were last computed
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/trending', [
+  query('window').optional().isIn(Object.keys(TRENDING_WINDOWS))
+    .withMessage(`Window must be one of ${Object.keys(TRENDING_WINDOWS).join(', ')}`),
+  query('genre').optional().isString().withMessage('Genre must be a string'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const window = req.query.window || '7d';
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const offset = (page - 1) * limit;
+
+    const params = [window];
+    let genreCondition = '';
+    if (req.query.genre) {
+      params.push(req.query.genre);
+      genreCondition = `AND ${genreFilterSql('g', `$${params.length}`)}`;
+    }
+
+    // Next upcoming occurrence of each active, published gig with a score in the window
+    const trendingSql = `
+      SELECT DISTINCT ON (g.id) g.id, g.occurrence_date, g.title, g.doors_at, g.event_date, g.ends_at,
+             g.timezone, g.genre, g.min_price, g.max_price, g.currency, g.image_url, g.venue_id,
+             t.score, t.saves, t.views, t.computed_at
+      FROM gig_trending_scores t
+      JOIN gig_occurrences g ON g.id = t.gig_id
+      WHERE t.time_window = $1 AND ${whenSql('g', 'upcoming')} AND g.status = 'active' AND ${publishedSql('g')}
+        ${genreCondition}
+      ORDER BY g.id, g.event_date ASC`;
+
+    const countResult = await executeQuery(`SELECT COUNT(*) FROM (${trendingSql}) trending`, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await executeQuery(
+      `SELECT trending.*, v.name AS venue_name, v.city AS venue_city
+       FROM (${trendingSql}) trending
+       JOIN venues v ON v.id = trending.venue_id
+       ORDER BY trending.score DESC, trending.event_date ASC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const computed = await executeQuery('SELECT MAX(computed_at) AS computed_at FROM gig_trending_scores');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        window,
+        computed_at: computed.rows[0].computed_at,
+        gigs: result.rows.map(({ computed_at, ...gig }) => localiseTimes({
+          ...gig,
+          score: parseFloat(gig.score)
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get trending gigs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trending gigs',
+      message: 'An error occurred while fetching trending gigs'
+    });
+  }
+});
+
+// GET /api/gigs/featured - Admin-pinned gigs, topped up with trending ones (public)
+/**
+ * @swagger
+ * /api/gigs/featured:
+ *   get:
+ *     summary: Get featured gigs - live admin pins first, then this week's trending gigs
+ *     tags: [Gigs]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *           default: 6
+ *     responses:
+ *       200:
+ *         description: Featured gigs; pinned ones have featured true and featured_until set
+ */
+router.get('/featured', [
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const limit = parseInt(req.query.limit) || DEFAULT_FEATURED_LIMIT;
+
+    // Pins rank first (most recently started first), trending gigs fill the rest
+    const result = await executeQuery(
+      `WITH upcoming AS (
+         SELECT DISTINCT ON (g.id) g.id, g.occurrence_date, g.title, g.doors_at, g.event_date, g.ends_at,
+                g.timezone, g.genre, g.min_price, g.max_price, g.currency, g.image_url, g.venue_id
+         FROM gig_occurrences g
+         WHERE ${whenSql('g', 'upcoming')} AND g.status = 'active' AND ${publishedSql('g')}
+         ORDER BY g.id, g.event_date ASC
+       ),
+       pinned AS (
+         SELECT gig_id, MAX(starts_at) AS starts_at, MAX(ends_at) AS ends_at
+         FROM featured_gigs
+         WHERE starts_at <= NOW() AND ends_at > NOW()
+         GROUP BY gig_id
+       )
+       SELECT u.*, v.name AS venue_name, v.city AS venue_city,
+              p.gig_id IS NOT NULL AS featured, p.ends_at AS featured_until
+       FROM upcoming u
+       JOIN venues v ON v.id = u.venue_id
+       LEFT JOIN pinned p ON p.gig_id = u.id
+       LEFT JOIN gig_trending_scores t ON t.gig_id = u.id AND t.time_window = '7d'
+       WHERE p.gig_id IS NOT NULL OR t.gig_id IS NOT NULL
+       ORDER BY featured DESC, p.starts_at DESC, t.score DESC NULLS LAST, u.event_date ASC
+       LIMIT $1`,
+      [limit]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { gigs: result.rows.map((row) => localiseTimes(row)) }
+    });
+
+  } catch (error) {
+    console.error('Get featured gigs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch featured gigs',
+      message: 'An error occurred while fetching featured gigs'
+    });
+  }
+});
+
+// GET /api/gigs/:id.ics - Download a gig as an iCalendar file (public)
+/**
+ * @swagger
+ * /api/gigs/{id}.ics:
+ *   get:
+ *     summary: Download a gig as an iCalendar (.ics) file
+ *     tags: [Gigs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: RFC 5545 calendar with the gig (and its recurrence rule, if recurring)
+ *         content:
+ *           text/calendar: {}
+ *       404:
+ *         description: Gig not found
+ */
+router.get('/:id.ics', [
+  param('id').isInt({ min: 1 }).withMessage('Invalid gig ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid gig ID',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const gigs = await fetchCalendarGigs([parseInt(req.params.id)]);
+
+    if (gigs.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Gig not found'
+      });
+    }
+
+    const calendar = buildCalendar({ name: gigs[0].title, gigs, baseUrl: requestBaseUrl(req) });
+    sendCalendar(res, calendar, `gig-${gigs[0].id}.ics`, { download: true });
+
+  } catch (error) {
+    console.error('Export gig calendar error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export gig',
+      message: 'An error occurred while exporting the gig'
+    });
+  }
+});
+
+// GET /api/gigs/:id - Get specific gig details (public)
+/**
+ * @swagger
+ * /api/gigs/{id}:
+ *   get:
+ *     summary: Get details of a specific gig
+ *     description: Drafts and scheduled gigs are only shown to their owner and admins
+ *     tags: [Gigs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Gig ID
+ *     responses:
+ *       200:
+ *         description: Gig details with the full lineup in billing order and going/interested counts (plus my_rsvp when signed in). Recurring gigs include their upcoming occurrences and exceptions
+ *       301:
+ *         description: The gig was merged into another - Location and data.redirect_to point at the surviving gig
+ *       400:
+ *         description: Invalid gig ID
+ *       404:
+ *         description: Gig not found
+ */
+//function: documents the GET /api/gigs/{id} endpoint for Swagger UI
+//why: allows users to view detailed information about a specific gig
+//how: defines path parameter for ID and possible response codes
+router.get('/:id', optionalAuth, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid gig ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid gig ID',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const gig = await fetchGigDetails(req.params.id);
+
+    // Drafts and scheduled gigs look like they don't exist to anyone but their owner and admins
+    if (gig && !canViewGig(gig, req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Gig not found'
+      });
+    }
+
+    if (!gig) {
+      // Gigs merged away by an admin point at the gig they were merged into
+      const redirect = await executeQuery('SELECT gig_id FROM gig_redirects WHERE old_gig_id = $1', [req.params.id]);
+
+      if (redirect.rows.length) {
+        const location = `${req.baseUrl}/${redirect.rows[0].gig_id}`;
+        return res.status(301).location(location).json({
+          success: false,
+          error: 'Gig moved',
+          message: 'This gig was merged into another listing',
+          data: { redirect_to: redirect.rows[0].gig_id, location }
+        });
+      }
+
+      return res.status(404).json({
+        success: false,
+        error: 'Gig not found'
+      });
+    }
+
+    if (req.user) {
+      const rsvp = await executeQuery(
+        'SELECT status FROM gig_rsvps WHERE user_id = $1 AND gig_id = $2',
+        [req.user.id, gig.id]
+      );
+      gig.my_rsvp = rsvp.rows.length ? rsvp.rows[0].status : null;
+    }
+
+    // A failed view count shouldn't fail the page
+    recordGigView(req, gig).catch((error) => console.error('Record gig view error:', error));
+
+    res.status(200).json({
+      success: true,
+      data: { gig }
+    });
+
+  } catch (error) {
+    console.error('Get gig error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch gig',
+      message: 'An error occurred while fetching the gig'
+    });
+  }
+});
+
+// POST /api/gigs - Create new gig (private)
+/**
+ * @swagger
+ * /api/gigs:
+ *   post:
+ *     summary: Create a new gig, optionally recurring
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               force:
+ *                 type: boolean
+ *                 description: Create the gig even if it looks like a duplicate
+ *               date:
+ *                 type: string
+ *                 example: 2026-11-07T20:00
+ *                 description: Start time. Without an offset it is local time at the venue
+ *               doors_at:
+ *                 type: string
+ *                 example: 2026-11-07T19:00
+ *               ends_at:
+ *                 type: string
+ *                 example: 2026-11-07T23:00
+ *                 description: End or curfew time
+ *               timezone:
+ *                 type: string
+ *                 example: Europe/London
+ *                 description: IANA timezone, defaults to the venue's
+ *               visibility:
+ *                 type: string
+ *                 enum: [draft, scheduled, published]
+ *                 description: Defaults to published. Drafts are only listed in GET /api/gigs/my
+ *               publish_at:
+ *                 type: string
+ *                 example: 2026-10-01T10:00
+ *                 description: Required for scheduled gigs - when the gig goes live (before it starts)
+ *               currency:
+ *                 type: string
+ *                 example: GBP
+ *               ticket_tiers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       example: Early bird
+ *                     price:
+ *                       type: number
+ *                     currency:
+ *                       type: string
+ *                       description: Defaults to the gig currency (must match it)
+ *                     pay_what_you_can:
+ *                       type: boolean
+ *                     available_from:
+ *                       type: string
+ *                       format: date-time
+ *                     available_until:
+ *                       type: string
+ *                       format: date-time
+ *                     sold_out:
+ *                       type: boolean
+ *               lineup:
+ *                 type: array
+ *                 description: Artists in billing order (first = headliner)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     artist_id:
+ *                       type: integer
+ *                     name:
+ *                       type: string
+ *                       description: Matched to an existing artist or creates a new one
+ *                     billing_order:
+ *                       type: integer
+ *                     set_start:
+ *                       type: string
+ *                       format: date-time
+ *                     set_end:
+ *                       type: string
+ *                       format: date-time
+ *                     website_url:
+ *                       type: string
+ *               recurrence_rule:
+ *                 type: string
+ *                 example: FREQ=WEEKLY;INTERVAL=1;COUNT=12
+ *               recurrence_exceptions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: date-time
+ *                 description: Occurrence start times to skip
+ *     responses:
+ *       201:
+ *         description: Gig created
+ *       400:
+ *         description: Validation failed
+ *       409:
+ *         description: Possible duplicate - the response lists candidate gigs; resend with force true to create anyway
+ */
+router.post('/', authenticateToken, [
+  ...gigValidation,
+  body('force').optional().isBoolean().toBoolean().withMessage('force must be boolean')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const gigData = await resolveGigTimes(req.body);
+
+    if (!gigData.force) {
+      const candidates = await findDuplicateGigs({
+        venueId: gigData.venue_id,
+        date: gigData.date,
+        title: gigData.title,
+        userId: req.user.id
+      });
+
+      if (candidates.length) {
+        return res.status(409).json({
+          success: false,
+          error: 'Possible duplicate',
+          message: 'This looks like a gig that is already listed - resend with force: true to create it anyway',
+          data: { candidates }
+        });
+      }
+    }
+
+    const gigId = await executeTransaction(async (client) => {
+      const id = await insertGig(client, gigData, req.user.id);
+      await insertRecurrenceExceptions(client, id, gigData.recurrence_exceptions);
+      await replaceLineup(client, id, gigData.lineup, req.user.id);
+      await replaceTicketTiers(client, id, gigData.ticket_tiers, gigData.currency);
+      await recordRevision(client, id, { action: 'create', userId: req.user.id });
+      return id;
+    });
+
+    const gig = await fetchGigDetails(gigId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Gig created successfully',
+      data: { gig }
+    });
+
+  } catch (error) {
+    console.error('Create gig error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create gig',
+      message: 'An error occurred while creating the gig'
+    });
+  }
+});
+
+// POST /api/gigs/import - Bulk import gigs from a CSV, JSON or iCalendar file (private)
+/**
+ * @swagger
+ * /api/gigs/import:
+ *   post:
+ *     summary: Bulk import gigs from an uploaded CSV, JSON or .ics file
+ *     description: |
+ *       Every row is checked with the same rules as POST /api/gigs. Rows can give venue_id,
+ *       or venue (and optionally venue_city) to match an existing venue. Valid rows are
+ *       inserted in a single transaction; rows that match an existing gig (same venue, date
+ *       and title) or an earlier row are skipped as duplicates, as are likely duplicates (same day,
+ *       same venue, similar title) unless force is set.
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *         description: Validate and report without creating anything
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *         description: Import rows that only look like duplicates (exact duplicates are always skipped)
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Import report (dry run, or nothing to create)
+ *       201:
+ *         description: Import report with created, duplicate and failed rows
+ *       400:
+ *         description: Missing, unreadable or unsupported file
+ */
+router.post('/import', authenticateToken, (req, res, next) => {
+  importUpload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload failed',
+        message: err.code === 'LIMIT_FILE_SIZE' ? 'Import files must be 2MB or smaller' : err.message
+      });
+    }
+    next();
+  });
+}, [
+  query('dry_run').optional().isBoolean().toBoolean().withMessage('dry_run must be boolean'),
+  query('force').optional().isBoolean().toBoolean().withMessage('force must be boolean')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: errors.array()
+    });
+  }
+
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: 'No file uploaded',
+      message: 'Upload a .csv, .json or .ics file in the "file" field'
+    });
+  }
+
+  let parsed;
+  try {
+    parsed = parseImportFile(req.file.buffer, req.file.originalname, req.file.mimetype);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Could not read import file',
+      message: error.message
+    });
+  }
+
+  try {
+    const dryRun = req.query.dry_run === true;
+    const force = req.query.force === true;
+    const created = [];
+    const duplicates = [];
+    const failed = [];
+    const toInsert = [];
+    const seenInFile = new Map();
+
+    for (const [index, row] of parsed.rows.entries()) {
+      const rowNumber = index + 1;
+      const venueError = await resolveImportVenue(row);
+      const result = await validateGigData(row);
+
+      // A venue lookup failure explains the missing venue_id better than the generic validator message
+      const rowErrors = venueError
+        ? [{ param: 'venue', msg: venueError }, ...result.errors.filter((e) => e.param !== 'venue_id')]
+        : result.errors;
+
+      if (rowErrors.length) {
+        failed.push({ row: rowNumber, title: row.title || null, errors: rowErrors });
+        continue;
+      }
+
+      const gigData = await resolveGigTimes(result.data);
+      const key = `${gigData.venue_id}|${new Date(gigData.date).getTime()}|${gigData.title.toLowerCase()}`;
+
+      if (seenInFile.has(key)) {
+        duplicates.push({ row: rowNumber, title: gigData.title, duplicate_of_row: seenInFile.get(key) });
+        continue;
+      }
+      seenInFile.set(key, rowNumber);
+
+      const existing = await executeQuery(
+        `SELECT id FROM gigs g
+         WHERE venue_id = $1 AND event_date = $2 AND LOWER(title) = LOWER($3)
+           AND (${publishedSql('g')} OR user_id = $4)`,
+        [gigData.venue_id, gigData.date, gigData.title, req.user.id]
+      );
+      if (existing.rows.length) {
+        duplicates.push({ row: rowNumber, title: gigData.title, existing_gig_id: existing.rows[0].id });
+        continue;
+      }
+
+      if (!force) {
+        const candidates = await findDuplicateGigs({
+          venueId: gigData.venue_id,
+          date: gigData.date,
+          title: gigData.title,
+          userId: req.user.id
+        });
+        if (candidates.length) {
+          duplicates.push({ row: rowNumber, title: gigData.title, possible_duplicates: candidates });
+          continue;
+        }
+      }
+
+      toInsert.push({ row: rowNumber, gigData });
+    }
+
+    if (dryRun) {
+      created.push(...toInsert.map(({ row, gigData }) => ({ row, title: gigData.title })));
+    } else if (toInsert.length) {
+      // One transaction for the whole file: a database error rolls back every row
+      const inserted = await executeTransaction(async (client) => {
+        const rows = [];
+        for (const { row, gigData } of toInsert) {
+          const gigId = await insertGig(client, gigData, req.user.id);
+          await insertRecurrenceExceptions(client, gigId, gigData.recurrence_exceptions);
+          await replaceLineup(client, gigId, gigData.lineup, req.user.id);
+          await replaceTicketTiers(client, gigId, gigData.ticket_tiers, gigData.currency);
+          await recordRevision(client, gigId, { action: 'create', userId: req.user.id });
+          rows.push({ row, gig_id: gigId, title: gigData.title });
+        }
+        return rows;
+      });
+      created.push(...inserted);
+    }
+
+    res.status(!dryRun && created.length ? 201 : 200).json({
+      success: true,
+      message: dryRun ? 'Dry run complete - nothing was imported' : `Imported ${created.length} gig(s)`,
+      data: {
+        format: parsed.format,
+        dry_run: dryRun,
+        summary: {
+          total: parsed.rows.length,
+          created: created.length,
+          duplicates: duplicates.length,
+          failed: failed.length
+        },
+        created,
+        duplicates,
+        failed
+      }
+    });
+
+  } catch (error) {
+    console.error('Import gigs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import gigs',
+      message: 'An error occurred while importing gigs - nothing was imported'
+    });
+  }
+});
+
+// POST /api/gigs/:id/status - Change a gig's status (private)
+/**
+ * @swagger
+ * /api/gigs/{id}/status:
+ *   post:
+ *     summary: Mark a gig as sold out, postponed, cancelled or active again
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status, reason]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [active, sold_out, postponed, cancelled]
+ *               reason:
+ *                 type: string
+ *               new_date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: For postponed - the rescheduled date (omit if still TBC)
+ *               occurrence:
+ *                 type: string
+ *                 format: date-time
+ *                 description: For recurring gigs - change only this occurrence (active, sold_out or cancelled)
+ *     responses:
+ *       200:
+ *         description: Status changed. Postponing with a new date returns the rescheduled gig
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not the gig owner
+ *       409:
+ *         description: Transition not allowed from the current status
+ */
+router.post('/:id/status', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid gig ID'),
+  body('status')
+    .isIn(GIG_STATUSES)
+    .withMessage(`Status must be one of ${GIG_STATUSES.join(', ')}`),
+  body('reason')
+    .trim()
+    .isLength({ min: 2, max: 500 })
+    .withMessage('Reason must be between 2 and 500 characters'),
+  body('new_date')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Please provide a valid new date')
+    .custom((value, { req }) => {
+      if (req.body.status !== 'postponed') {
+        throw new Error('new_date only applies when postponing');
+      }
+      return true;
+    }),
+  body('occurrence')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('occurrence must be the occurrence_date of the occurrence to change')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const gig = await findOwnedGig(req, res);
+    if (!gig) return;
+
+    const { status, reason, occurrence } = req.body;
+
+    // Like the gig's own date, a new date without an offset is local to the gig
+    const newDate = req.body.new_date
+      ? zonedTimeToUtc(req.body.new_date, await gigTimeZone(gig.venue_id, gig.timezone))
+      : null;
+
+    if (newDate && newDate < new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: 'New date cannot be in the past'
+      });
+    }
+
+    // Single occurrences of a recurring gig keep their status on the occurrence override
+    if (occurrence) {
+      const slot = await findOccurrenceSlot(res, gig, occurrence);
+      if (!slot) return;
+
+      if (status === 'postponed') {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot postpone a single occurrence',
+          message: 'Move the occurrence with PUT /api/gigs/:id?scope=this instead'
+        });
+      }
+
+      const current = await executeQuery(
+        'SELECT status FROM gig_occurrences WHERE id = $1 AND occurrence_date = $2',
+        [gig.id, slot.occurrence_date]
+      );
+      const fromStatus = current.rows.length ? current.rows[0].status : gig.status;
+
+      if (!GIG_STATUS_TRANSITIONS[fromStatus].includes(status)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Status change not allowed',
+          message: `An occurrence that is ${fromStatus} cannot be marked ${status}`
+        });
+      }
+
+      await executeTransaction(async (client) => {
+        await client.query(
+          `INSERT INTO gig_occurrence_overrides (gig_id, occurrence_date, status)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (gig_id, occurrence_date) DO UPDATE
+           SET status = EXCLUDED.status, updated_at = CURRENT_TIMESTAMP`,
+          [gig.id, slot.occurrence_date, status]
+        );
+        await client.query(
+          `INSERT INTO gig_status_changes (gig_id, from_status, to_status, reason, occurrence_date, changed_by)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [gig.id, fromStatus, status, reason, slot.occurrence_date, req.user.id]
+        );
+        await recordRevision(client, gig.id, {
+          action: 'status',
+          userId: req.user.id,
+          changes: { status: { from: fromStatus, to: status } },
+          occurrenceDate: slot.occurrence_date
+        });
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: `Occurrence marked ${status}`,
+        data: { gig: await fetchGigDetails(gig.id) }
+      });
+    }
+
+    const allowed = GIG_STATUS_TRANSITIONS[gig.status] || [];
+    const rescheduled = await executeQuery('SELECT id FROM gigs WHERE rescheduled_from = $1', [gig.id]);
+    const alreadyRescheduled = rescheduled.rows.length > 0;
+
+    // Once a postponed gig has a rescheduled replacement, the only way forward is cancelling the original
+    if (!allowed.includes(status) || (alreadyRescheduled && status !== 'cancelled')) {
+      return res.status(409).json({
+        success: false,
+        error: 'Status change not allowed',
+        message: alreadyRescheduled
+          ? 'This gig has already been rescheduled - update the rescheduled gig instead'
+          : `A gig that is ${gig.status} cannot be marked ${status}`
+      });
+    }
+
+    if (status === 'postponed' && gig.status === 'postponed' && !newDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: 'Gig is already postponed - provide new_date to reschedule it'
+      });
+    }
+
+    if (status === 'postponed' && newDate && gig.recurrence_freq) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot reschedule a recurring gig',
+        message: 'Edit the series or its occurrences with PUT /api/gigs/:id instead'
+      });
+    }
+
+    const rescheduledGigId = await executeTransaction(async (client) => {
+      const before = await fetchGigSnapshot(client, gig.id);
+      let newGigId = null;
+
+      if (status === 'postponed' && newDate) {
+        // The new date becomes its own gig so the original date stays in history and calendar feeds
+        // It shares the original's visibility, so a postponed draft stays a draft
+        const inserted = await client.query(
+          `INSERT INTO gigs (title, description, venue_id, event_date, doors_at, ends_at, timezone, genre, price,
+                             currency, image_url, ticket_url, user_id, rescheduled_from,
+                             visibility, publish_at, published_at)
+           SELECT title, description, venue_id, $2, $2::timestamptz - (event_date - doors_at),
+                  $2::timestamptz + (ends_at - event_date), timezone, genre, price, currency, image_url, ticket_url,
+                  user_id, id, visibility, publish_at,
+                  CASE WHEN visibility = 'published' THEN CURRENT_TIMESTAMP END
+           FROM gigs WHERE id = $1
+           RETURNING id`,
+          [gig.id, newDate]
+        );
+        newGigId = inserted.rows[0].id;
+        await copyGigGenres(client, gig.id, newGigId);
+        await copyLineup(client, gig.id, newGigId);
+        await copyTicketTiers(client, gig.id, newGigId);
+        await recordRevision(client, newGigId, { action: 'create', userId: req.user.id });
+
+        // Everyone who saved the original keeps it on their list at the new date
+        await client.query(
+          `INSERT INTO collection_gigs (collection_id, gig_id)
+           SELECT collection_id, $1 FROM collection_gigs WHERE gig_id = $2
+           ON CONFLICT (collection_id, gig_id) DO NOTHING`,
+          [newGigId, gig.id]
+        );
+
+        // RSVPs follow too, but "going" needs confirming again for the new date
+        await client.query(
+          `INSERT INTO gig_rsvps (user_id, gig_id, status)
+           SELECT user_id, $1, 'interested' FROM gig_rsvps WHERE gig_id = $2
+           ON CONFLICT (user_id, gig_id) DO NOTHING`,
+          [newGigId, gig.id]
+        );
+      }
+
+      await client.query(
+        'UPDATE gigs SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [status, gig.id]
+      );
+
+      await client.query(
+        `INSERT INTO gig_status_changes (gig_id, from_status, to_status, reason, new_date, rescheduled_gig_id, changed_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [gig.id, gig.status, status, reason, newDate || null, newGigId, req.user.id]
+      );
+      await recordRevision(client, gig.id, { action: 'status', userId: req.user.id, before });
+
+      return newGigId;
+    });
+
+    res.status(200).json({
+      success: true,
+      message: rescheduledGigId ? 'Gig postponed and rescheduled' : `Gig marked ${status}`,
+      data: {
+        gig: await fetchGigDetails(gig.id),
+        rescheduled_gig: rescheduledGigId ? await fetchGigDetails(rescheduledGigId) : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Change gig status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change gig status',
+      message: 'An error occurred while changing the gig status'
+    });
+  }
+});
+
+// GET /api/gigs/:id/duplicates - Likely duplicates of an existing gig (public)
+/**
+ * @swagger
+ * /api/gigs/{id}/duplicates:
+ *   get:
+ *     summary: Find gigs that are likely duplicates of this one
+ *     tags: [Gigs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Candidate gigs on the same day at the same venue with similar titles, most similar first
+ *       404:
+ *         description: Gig not found
+ */
+router.get('/:id/duplicates', optionalAuth, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid gig ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid gig ID',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const gigResult = await executeQuery(
+      'SELECT id, venue_id, event_date, title, user_id, visibility, publish_at, hidden_at FROM gigs WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (gigResult.rows.length === 0 || !canViewGig(gigResult.rows[0], req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Gig not found'
+      });
+    }
+
+    const gig = gigResult.rows[0];
+    const candidates = await findDuplicateGigs({
+      venueId: gig.venue_id,
+      date: gig.event_date,
+      title: gig.title,
+      excludeGigId: gig.id,
+      userId: req.user ? req.user.id : null
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { candidates }
+    });
+
+  } catch (error) {
+    console.error('Find duplicate gigs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check for duplicates',
+      message: 'An error occurred while checking for duplicate gigs'
+    });
+  }
+});
+
+// GET /api/gigs/:id/similar - Upcoming gigs similar to this one (public)
+/**
+ * @swagger
+ * /api/gigs/{id}/similar:
+ *   get:
+ *     summary: Get upcoming gigs similar to this one, with the reasons each was picked
+ *     tags: [Gigs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *         description: Number of gigs to return (default 6)
+ *     responses:
+ *       200:
+ *         description: Upcoming active published gigs, best match first, each with score (total plus genre, venue, title, date, price and collections points) and reasons
+ *       404:
+ *         description: Gig not found
+ */
+router.get('/:id/similar', optionalAuth, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid gig ID'),
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const limit = parseInt(req.query.limit) || 6;
+
+    const targetResult = await executeQuery(
+      `SELECT g.id, g.title, g.genre, g.venue_id, g.event_date, g.currency, g.user_id, g.visibility, g.publish_at,
+              g.hidden_at,
+              COALESCE((SELECT MIN(t.price) FROM gig_ticket_tiers t WHERE t.gig_id = g.id), g.price) AS min_price
+       FROM gigs g
+       WHERE g.id = $1`,
+      [req.params.id]
+    );
+
+    if (targetResult.rows.length === 0 || !canViewGig(targetResult.rows[0], req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Gig not found'
+      });
+    }
+
+    const target = targetResult.rows[0];
+    const w = SIMILARITY_WEIGHTS;
+
+    // Recurring gigs are only considered at their next occurrence
+    const result = await executeQuery(
+      `WITH target AS (
+         SELECT $1::int AS id, $2::text AS title, $3::text AS genre, $4::int AS venue_id,
+                $5::timestamptz AS event_date, $6::text AS currency, $7::numeric AS min_price
+       ),
+       candidates AS (
+         SELECT DISTINCT ON (c.id) c.*
+         FROM gig_occurrences c
+         WHERE c.id <> $1 AND ${whenSql('c', 'upcoming')} AND c.status = 'active' AND ${publishedSql('c')}
+         ORDER BY c.id, c.event_date ASC
+       ),
+       signals AS (
+         SELECT c.id, c.occurrence_date, c.title, c.doors_at, c.event_date, c.ends_at, c.timezone, c.genre,
+                c.min_price, c.max_price, c.currency, c.image_url, c.venue_id, v.name AS venue_name, v.city AS venue_city,
+                (c.genre = t.genre) AS same_genre,
+                (c.venue_id = t.venue_id) AS same_venue,
+                words.shared AS shared_title_words,
+                CASE WHEN words.total > 0 THEN words.shared::numeric / words.total ELSE 0 END AS title_overlap,
+                ROUND(ABS(EXTRACT(EPOCH FROM (c.event_date - t.event_date))) / 86400) AS days_apart,
+                (c.currency = t.currency) AS same_currency,
+                ABS((${priceBandSql('c.min_price')}) - (${priceBandSql('t.min_price')})) AS band_distance,
+                (SELECT COUNT(DISTINCT a.collection_id)
+                 FROM collection_gigs a
+                 JOIN collection_gigs b ON b.collection_id = a.collection_id
+                 WHERE a.gig_id = t.id AND b.gig_id = c.id) AS shared_collections
+         FROM candidates c
+         JOIN venues v ON v.id = c.venue_id
+         CROSS JOIN target t
+         CROSS JOIN LATERAL (
+           SELECT COUNT(*) FILTER (WHERE cw = ANY(tsvector_to_array(to_tsvector('english', t.title)))) AS shared,
+                  COUNT(*) + (SELECT COUNT(*) FROM unnest(tsvector_to_array(to_tsvector('english', t.title))) tw
+                              WHERE tw <> ALL(tsvector_to_array(to_tsvector('english', c.title)))) AS total
+           FROM unnest(tsvector_to_array(to_tsvector('english', c.title))) cw
+         ) words
+       ),
+       scored AS (
+         SELECT s.*,
+                CASE WHEN same_genre THEN ${w.genre} ELSE 0 END AS genre_score,
+                CASE WHEN same_venue THEN ${w.venue} ELSE 0 END AS venue_score,
+                ROUND(${w.title} * title_overlap, 2) AS title_score,
+                ROUND(${w.date} * GREATEST(0, 1 - days_apart / ${SIMILAR_DATE_WINDOW_DAYS}.0), 2) AS date_score,
+                CASE WHEN NOT same_currency THEN 0
+                     WHEN band_distance = 0 THEN ${w.price}
+                     WHEN band_distance = 1 THEN ${w.price} / 2.0
+                     ELSE 0 END AS price_score,
+                ROUND(${w.collections} * LEAST(shared_collections, ${SIMILAR_MAX_SHARED_COLLECTIONS})::numeric
+                  / ${SIMILAR_MAX_SHARED_COLLECTIONS}, 2) AS collections_score
+         FROM signals s
+       )
+       SELECT *, (genre_score + venue_score + title_score + date_score + price_score + collections_score) AS total_score
+       FROM scored
+       WHERE genre_score + venue_score + title_score + collections_score > 0
+       ORDER BY total_score DESC, event_date ASC
+       LIMIT $8`,
+      [target.id, target.title, target.genre, target.venue_id, target.event_date, target.currency, target.min_price, limit]
+    );
+
+    const gigs = result.rows.map((row) => {
+      const gig = {
+        id: row.id,
+        occurrence_date: row.occurrence_date,
+        title: row.title,
+        doors_at: row.doors_at,
+        event_date: row.event_date,
+        ends_at: row.ends_at,
+        timezone: row.timezone,
+        genre: row.genre,
+        min_price: row.min_price,
+        max_price: row.max_price,
+        currency: row.currency,
+        image_url: row.image_url,
+        venue_id: row.venue_id,
+        venue_name: row.venue_name,
+        venue_city: row.venue_city,
+        score: {
+          total: parseFloat(row.total_score),
+          genre: parseFloat(row.genre_score),
+          venue: parseFloat(row.venue_score),
+          title: parseFloat(row.title_score),
+          date: parseFloat(row.date_score),
+          price: parseFloat(row.price_score),
+          collections: parseFloat(row.collections_score)
+        }
+      };
+      gig.reasons = similarityReasons({
+        ...gig,
+        shared_title_words: parseInt(row.shared_title_words),
+        days_apart: parseInt(row.days_apart),
+        same_price_band: parseInt(row.band_distance) === 0,
+        shared_collections: parseInt(row.shared_collections)
+      }, target);
+      return localiseTimes(gig);
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        gigs,
+        weights: SIMILARITY_WEIGHTS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get similar gigs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch similar gigs',
+      message: 'An error occurred while fetching similar gigs'
+    });
+  }
+});
+
+// POST /api/gigs/:id/not-interested - Hide a gig from the For You feed (private)
+/**
+ * @swagger
+ * /api/gigs/{id}/not-interested:
+ *   post:
+ *     summary: Dismiss a recommendation so it isn't shown in the For You feed again
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Gig dismissed (also returned if it already was)
+ *       404:
+ *         description: Gig not found
+ */
+router.post('/:id/not-interested', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid gig ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid gig ID',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const gigResult = await executeQuery(
+      `SELECT id FROM gigs g WHERE id = $1 AND ${publishedSql('g')}`,
+      [req.params.id]
+    );
+    if (gigResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Gig not found'
+      });
+    }
+
+    await executeQuery(
+      `INSERT INTO gig_dismissals (user_id, gig_id)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id, gig_id) DO NOTHING`,
+      [req.user.id, req.params.id]
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'We won\'t recommend this gig again'
+    });
+
+  } catch (error) {
+    console.error('Dismiss gig error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to dismiss gig',
+      message: 'An error occurred while dismissing the gig'
+    });
+  }
+});
+
+// DELETE /api/gigs/:id/not-interested - Undo a dismissal (private)
+/**
+ * @swagger
+ * /api/gigs/{id}/not-interested:
+ *   delete:
+ *     summary: Undo a "not interested" dismissal
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Gig can be recommended again
+ */
+router.delete('/:id/not-interested', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid gig ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid gig ID',
+      details: errors.array()
+    });
+  }
+
+  try {
+    await executeQuery(
+      'DELETE FROM gig_dismissals WHERE user_id = $1 AND gig_id = $2',
+      [req.user.id, req.params.id]
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Gig can be recommended again'
+    });
+
+  } catch (error) {
+    console.error('Undo dismiss gig error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to undo dismissal',
+      message: 'An error occurred while restoring the gig to your recommendations'
+    });
+  }
+});
+
+// POST /api/gigs/:id/rsvp - Say you're going to or interested in a gig (private)
+/**
+ * @swagger
+ * /api/gigs/{id}/rsvp:
+ *   post:
+ *     summary: RSVP to a gig as going or interested (replaces any earlier RSVP)
+ *     description: For recurring gigs the RSVP covers the series, like adding it to a collection
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [going, interested]
+ *     responses:
+ *       200:
+ *         description: RSVP saved, with the gig's updated going/interested counts
+ *       400:
+ *         description: Validation failed or the gig has already happened
+ *       404:
+ *         description: Gig not found
+ *       409:
+ *         description: Gig has been cancelled
+ */
+router.post('/:id/rsvp', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid gig ID'),
+  body('status')
+    .isIn(RSVP_STATUSES)
+    .withMessage(`Status must be one of ${RSVP_STATUSES.join(', ')}`)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const gigResult = await executeQuery(
+      `SELECT g.id, g.status,
+              EXISTS (SELECT 1 FROM gig_occurrences o WHERE o.id = g.id AND ${whenSql('o', 'upcoming')}) AS has_upcoming
+       FROM gigs g
+       WHERE g.id = $1 AND ${publishedSql('g')}`,
+      [req.params.id]
+    );
+
+    if (gigResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Gig not found'
+      });
+    }
+
+    const gig = gigResult.rows[0];
+
+    if (gig.status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        error: 'Gig cancelled',
+        message: 'You can\'t RSVP to a cancelled gig'
+      });
+    }
+
+    if (!gig.has_upcoming) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: 'This gig has already happened'
+      });
+    }
+
+    const result = await executeQuery(
+      `INSERT INTO gig_rsvps (user_id, gig_id, status)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, gig_id) DO UPDATE
+       SET status = EXCLUDED.status, updated_at = CURRENT_TIMESTAMP
+       RETURNING gig_id, status, created_at, updated_at`,
+      [req.user.id, gig.id, req.body.status]
+    );
+
+    res.status(200).json({
+      success: true,
+      message: req.body.status === 'going' ? 'You\'re going' : 'Marked as interested',
+      data: {
+        rsvp: result.rows[0],
+        ...(await fetchRsvpCounts(gig.id))
+      }
+    });
+
+  } catch (error) {
+    console.error('RSVP to gig error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save RSVP',
+      message: 'An error occurred while saving your RSVP'
+    });
+  }
+});
+
+// DELETE /api/gigs/:id/rsvp - Remove your RSVP (private)
+/**
+ * @swagger
+ * /api/gigs/{id}/rsvp:
+ *   delete:
+ *     summary: Remove the current user's RSVP to a gig
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: RSVP removed, with the gig's updated going/interested counts
+ *       404:
+ *         description: No RSVP for this gig
+ */
+router.delete('/:id/rsvp', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid gig ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid gig ID',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const result = await executeQuery(
+      'DELETE FROM gig_rsvps WHERE user_id = $1 AND gig_id = $2 RETURNING gig_id',
+      [req.user.id, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'RSVP not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'RSVP removed',
+      data: await fetchRsvpCounts(req.params.id)
+    });
+
+  } catch (error) {
+    console.error('Remove RSVP error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove RSVP',
+      message: 'An error occurred while removing your RSVP'
+    });
+  }
+});
+
+// GET /api/gigs/:id/reviews - Reviews of a gig with its rating summary (public)
+/**
+ * @swagger
+ * /api/gigs/{id}/reviews:
+ *   get:
+ *     summary: Get the reviews of a gig
+ *     tags: [Gigs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Reviews, newest first, and the gig's average rating, review count and per-star counts
+ *       404:
+ *         description: Gig not found
+ */
+router.get('/:id/reviews', optionalAuth, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid gig ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const offset = (page - 1) * limit;
+
+    const gig = await findVisibleGig(req, res);
+    if (!gig) return;
+
+    const summary = await fetchRatingSummary('gig', gig.id);
+
+    const result = await executeQuery(
+      `SELECT r.id, r.rating, r.body, r.user_id, u.name AS user_name, u.avatar_url AS user_avatar_url,
+              r.created_at, r.updated_at
+       FROM gig_reviews r
+       JOIN users u ON u.id = r.user_id
+       WHERE r.gig_id = $1 AND r.hidden_at IS NULL
+       ORDER BY r.created_at DESC, r.id DESC
+       LIMIT $2 OFFSET $3`,
+      [gig.id, limit, offset]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rating: summary,
+        reviews: result.rows,
+        pagination: {
+          page,
+          limit,
+          total: summary.review_count,
+          totalPages: Math.ceil(summary.review_count / limit),
+          hasNext: page * limit < summary.review_count,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get gig reviews error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reviews',
+      message: 'An error occurred while fetching reviews'
+    });
+  }
+});
+
+// POST /api/gigs/:id/reviews - Review a gig once it has happened (private)
+/**
+ * @swagger
+ * /api/gigs/{id}/reviews:
+ *   post:
+ *     summary: Review a gig
+ *     description: One review per user, only once the gig has happened (any occurrence, for recurring gigs). Organisers can't review their own gigs.
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rating, body]
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: Review created, with the gig's updated rating summary
+ *       400:
+ *         description: Validation failed or the gig hasn't happened yet
+ *       403:
+ *         description: The gig is the user's own
+ *       404:
+ *         description: Gig not found
+ *       409:
+ *         description: Already reviewed, or the gig was cancelled
+ */
+router.post('/:id/reviews', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid gig ID'),
+  ...reviewValidation
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const gigResult = await executeQuery(
+      `SELECT g.id, g.user_id, g.status,
+              EXISTS (SELECT 1 FROM gig_occurrences o WHERE o.id = g.id AND o.event_date < NOW()) AS has_happened
+       FROM gigs g
+       WHERE g.id = $1 AND ${publishedSql('g')}`,
+      [req.params.id]
+    );
+
+    if (gigResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Gig not found'
+      });
+    }
+
+    const gig = gigResult.rows[0];
+
+    if (gig.user_id === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can\'t review your own gig',
+        code: 'OWN_GIG'
+      });
+    }
+
+    if (gig.status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        error: 'Gig cancelled',
+        message: 'You can\'t review a cancelled gig'
+      });
+    }
+
+    if (!gig.has_happened) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: 'You can review this gig once it has happened'
+      });
+    }
+
+    const result = await executeQuery(
+      `INSERT INTO gig_reviews (gig_id, user_id, rating, body)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (gig_id, user_id) DO NOTHING
+       RETURNING id, gig_id, rating, body, user_id, created_at, updated_at`,
+      [gig.id, req.user.id, req.body.rating, req.body.body]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'You have already reviewed this gig'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Review posted',
+      data: {
+        review: result.rows[0],
+        rating: await fetchRatingSummary('gig', gig.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Create gig review error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to post review',
+      message: 'An error occurred while posting your review'
+    });
+  }
+});
+
+// POST /api/gigs/:id/reviews/:reviewId/report - Report an abusive review to the admins (private)
+/**
+ * @swagger
+ * /api/gigs/{id}/reviews/{reviewId}/report:
+ *   post:
+ *     summary: Report a review
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, abuse, harassment, misleading, fake_profile, other]
+ *               details:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Report recorded
+ *       400:
+ *         description: Validation failed or the review is the user's own
+ *       404:
+ *         description: Gig or review not found
+ *       409:
+ *         description: Already reported by this user
+ */
+router.post('/:id/reviews/:reviewId/report', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid gig ID'),
+  param('reviewId').isInt({ min: 1 }).withMessage('Invalid review ID'),
+  ...reportValidation
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const gig = await findVisibleGig(req, res);
+    if (!gig) return;
+
+    const reviewResult = await executeQuery(
+      'SELECT id, user_id FROM gig_reviews WHERE id = $1 AND gig_id = $2 AND hidden_at IS NULL',
+      [req.params.reviewId, gig.id]
+    );
+
+    if (reviewResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Review not found'
+      });
+    }
+
+    const review = reviewResult.rows[0];
+
+    if (review.user_id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: 'You can\'t report your own review'
+      });
+    }
+
+    const report = await createReport({ type: 'review', id: review.id }, req.user.id, req.body);
+
+    if (!report) {
+      return res.status(409).json({
+        success: false,
+        error: 'You have already reported this review'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Review reported - thanks, an admin will take a look',
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Report review error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to report review',
+      message: 'An error occurred while reporting the review'
+    });
+  }
+});
+
+// GET /api/gigs/:id/comments - Comment threads on a gig (public)
+/**
+ * @swagger
+ * /api/gigs/{id}/comments:
+ *   get:
+ *     summary: Get the comment threads on a gig
+ *     description: Threads are oldest first, each with its replies. Deleted comments that still have replies stay as placeholders.
+ *     tags: [Gigs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: One page of threads
+ *       404:
+ *         description: Gig not found
+ */
+router.get('/:id/comments', optionalAuth, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid gig ID'),
+  ...commentListValidation
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const offset = (page - 1) * limit;
+
+    const gig = await findVisibleGig(req, res);
+    if (!gig) return;
+
+    const { total, comments } = await listComments({ type: 'gig', id: gig.id }, { limit, offset });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        comments,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get gig comments error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch comments',
+      message: 'An error occurred while fetching comments'
+    });
+  }
+});
+
+// POST /api/gigs/:id/comments - Comment on a gig, or reply to a comment (private)
+/**
+ * @swagger
+ * /api/gigs/{id}/comments:
+ *   post:
+ *     summary: Comment on a gig
+ *     description: Pass parent_id to reply. Replies to a reply join the same thread - threads are one level deep.
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *               parent_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Comment created
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Gig or parent comment not found
+ */
+router.post('/:id/comments', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid gig ID'),
+  ...commentValidation,
+  body('parent_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Parent comment ID must be a positive integer')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const gig = await findVisibleGig(req, res);
+    if (!gig) return;
+
+    const target = { type: 'gig', id: gig.id };
+    let parent = null;
+    if (req.body.parent_id) {
+      parent = await findComment(res, target, req.body.parent_id);
+      if (!parent) return;
+    }
+
+    const comment = await createComment(target, req.user.id, req.body.body, parent);
+
+    res.status(201).json({
+      success: true,
+      message: parent ? 'Reply posted' : 'Comment posted',
+      data: comment
+    });
+
+  } catch (error) {
+    console.error('Create gig comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to post comment',
+      message: 'An error occurred while posting your comment'
+    });
+  }
+});
+
+// PUT /api/gigs/:id/comments/:commentId - Edit your comment (private)
 /**
  * @swagger
- * /api/gigs/{id}:
+ * /api/gigs/{id}/comments/{commentId}:
+ *   put:
+ *     summary: Edit a comment on a gig
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Comment updated and marked as edited
+ *       403:
+ *         description: Not the comment's author
+ *       404:
+ *         description: Gig or comment not found
+ */
+router.put('/:id/comments/:commentId', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid gig ID'),
+  commentIdValidation,
+  ...commentValidation
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const gig = await findVisibleGig(req, res);
+    if (!gig) return;
+
+    const comment = await findComment(res, { type: 'gig', id: gig.id }, req.params.commentId);
+    if (!comment) return;
+
+    if (comment.user_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only edit your own comments',
+        code: 'OWNERSHIP_REQUIRED'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment updated',
+      data: await updateComment(comment.id, req.body.body)
+    });
+
+  } catch (error) {
+    console.error('Update gig comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update comment',
+      message: 'An error occurred while updating your comment'
+    });
+  }
+});
+
+// DELETE /api/gigs/:id/comments/:commentId - Delete your comment, or remove any as an admin (private)
+/**
+ * @swagger
+ * /api/gigs/{id}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment on a gig
+ *     description: Authors delete their own comments; admins can remove anyone's (always a soft delete, recorded with the admin's ID and logged to the admin action log)
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Comment deleted
+ *       403:
+ *         description: Not the comment's author or an admin
+ *       404:
+ *         description: Gig or comment not found
+ */
+router.delete('/:id/comments/:commentId', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid gig ID'),
+  commentIdValidation
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const gig = await findVisibleGig(req, res);
+    if (!gig) return;
+
+    const comment = await findComment(res, { type: 'gig', id: gig.id }, req.params.commentId);
+    if (!comment) return;
+
+    // Anyone but the author has to be an admin, whose removal is always a soft delete
+    const asAdmin = comment.user_id !== req.user.id;
+    if (asAdmin && !isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only delete your own comments',
+        code: 'OWNERSHIP_REQUIRED'
+      });
+    }
+
+    await deleteComment(comment, { userId: req.user.id, asAdmin });
+    if (asAdmin) {
+      await logAdminAction(null, {
+        adminId: req.user.id,
+        action: 'comment_remove',
+        target: { type: 'comment', id: comment.id },
+        details: { gig_id: gig.id }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: asAdmin ? 'Comment removed by an admin' : 'Comment deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete gig comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete comment',
+      message: 'An error occurred while deleting the comment'
+    });
+  }
+});
+
+// GET /api/gigs/:id/history - Revision history of a gig (public)
+/**
+ * @swagger
+ * /api/gigs/{id}/history:
  *   get:
- *     summary: Get details of a specific gig
+ *     summary: Get the revision history of a gig
  *     tags: [Gigs]
  *     parameters:
  *       - in: path
@@ -189,79 +4001,285 @@ router.get('/', [
  *         required: true
  *         schema:
  *           type: integer
- *         description: Gig ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
  *     responses:
  *       200:
- *         description: Gig details
- *       400:
- *         description: Invalid gig ID
+ *         description: Revisions, newest first, each with its author and a field-level diff ({ field - { from, to } })
  *       404:
  *         description: Gig not found
  */
-//function: documents the GET /api/gigs/{id} endpoint for Swagger UI
-//why: allows users to view detailed information about a specific gig
-//how: defines path parameter for ID and possible response codes
-router.get('/:id', async (req, res) => {
-  // TODO: Implementation steps:
-  // 1. Validate ID parameter (must be positive integer)
-  // 2. Execute database query with JOIN to get user info
-  // 3. Check if gig exists
-  // 4. Return gig details
-  
-  const gigId = req.params.id;
-  
-  // TODO: Add ID validation
-  if (!gigId || isNaN(gigId)) {
+router.get('/:id/history', optionalAuth, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid gig ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
     return res.status(400).json({
       success: false,
-      error: 'Invalid gig ID'
+      error: 'Invalid query parameters',
+      details: errors.array()
     });
   }
 
-  // PLACEHOLDER - Add actual implementation
-});
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const offset = (page - 1) * limit;
+
+    const gigResult = await executeQuery(
+      'SELECT id, user_id, visibility, publish_at, hidden_at FROM gigs WHERE id = $1',
+      [req.params.id]
+    );
+    if (gigResult.rows.length === 0 || !canViewGig(gigResult.rows[0], req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Gig not found'
+      });
+    }
+
+    const countResult = await executeQuery(
+      'SELECT COUNT(*) FROM gig_revisions WHERE gig_id = $1',
+      [req.params.id]
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await executeQuery(
+      `SELECT r.id, r.action, r.changes, r.occurrence_date, r.reverted_to_revision_id, r.created_at,
+              r.author_id, u.name AS author_name
+       FROM gig_revisions r
+       LEFT JOIN users u ON u.id = r.author_id
+       WHERE r.gig_id = $1
+       ORDER BY r.created_at DESC, r.id DESC
+       LIMIT $2 OFFSET $3`,
+      [req.params.id, limit, offset]
+    );
 
-// GET /api/gigs/my - Get user's own gigs (private)
-router.get('/my', authenticateToken, async (req, res) => {
-  // TODO: Implementation steps:
-  // 1. Get user ID from token (req.user.id)
-  // 2. Execute query to get all gigs for this user
-  // 3. Support pagination like public endpoint
-  // 4. Return user's gigs
-  
-  // PLACEHOLDER - Add actual implementation
+    res.status(200).json({
+      success: true,
+      data: {
+        revisions: result.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get gig history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch gig history',
+      message: 'An error occurred while fetching the gig history'
+    });
+  }
 });
 
-// POST /api/gigs - Create new gig (private)
-router.post('/', authenticateToken, gigValidation, async (req, res) => {
-  // TODO: Implementation steps:
-  // 1. Check validation results
-  // 2. Get user ID from token (req.user.id)
-  // 3. Insert new gig into database
-  // 4. Fetch the created gig (with user info)
-  // 5. Return success response with created gig data
-  
+// POST /api/gigs/:id/revert/:revisionId - Restore a gig to an earlier revision (owner or admin)
+/**
+ * @swagger
+ * /api/gigs/{id}/revert/{revisionId}:
+ *   post:
+ *     summary: Restore a gig's details, lineup and ticket tiers to an earlier revision
+ *     description: The status is not reverted - use POST /api/gigs/{id}/status. Changes made to single occurrences can't be reverted.
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Gig reverted; the revert is itself recorded as a revision
+ *       400:
+ *         description: Revision can't be restored (single occurrence, or its date has passed)
+ *       403:
+ *         description: Not the gig owner or an admin
+ *       404:
+ *         description: Gig or revision not found
+ *       409:
+ *         description: The revision's venue no longer exists
+ */
+router.post('/:id/revert/:revisionId', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid gig ID'),
+  param('revisionId').isInt({ min: 1 }).withMessage('Invalid revision ID')
+], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
       success: false,
-      error: 'Validation failed',
+      error: 'Invalid parameters',
       details: errors.array()
     });
   }
 
-  // PLACEHOLDER - Add actual implementation
+  try {
+    const gig = await findGigForOwnerOrAdmin(req, res);
+    if (!gig) return;
+
+    const revisionResult = await executeQuery(
+      'SELECT * FROM gig_revisions WHERE id = $1 AND gig_id = $2',
+      [req.params.revisionId, gig.id]
+    );
+
+    if (revisionResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    const revision = revisionResult.rows[0];
+    const snapshot = revision.snapshot;
+
+    if (revision.occurrence_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot revert this revision',
+        message: 'Changes to a single occurrence can\'t be reverted - edit the occurrence instead'
+      });
+    }
+
+    if (new Date(snapshot.event_date) < new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot revert this revision',
+        message: 'The gig date in this revision has already passed'
+      });
+    }
+
+    const venueResult = await executeQuery('SELECT id FROM venues WHERE id = $1', [snapshot.venue_id]);
+    if (venueResult.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot revert this revision',
+        message: 'The venue in this revision no longer exists'
+      });
+    }
+
+    // Revisions from before gig_genres only have the primary genre
+    const { unknown: missingGenres } = await resolveGenres(requestedGigGenres(snapshot));
+    if (missingGenres.length) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot revert this revision',
+        message: `Genres in this revision no longer exist: ${missingGenres.join(', ')}`
+      });
+    }
+
+    // Artists deleted since the revision are recreated by name
+    const artistIds = snapshot.lineup.map((entry) => entry.artist_id);
+    const existingArtists = await executeQuery('SELECT id FROM artists WHERE id = ANY($1::int[])', [artistIds]);
+    const existingArtistIds = new Set(existingArtists.rows.map((row) => row.id));
+
+    await executeTransaction(async (client) => {
+      const before = await fetchGigSnapshot(client, gig.id);
+
+      await updateGig(client, gig, {
+        ...snapshot,
+        visibility: undefined,
+        date: snapshot.event_date,
+        lineup: undefined,
+        ticket_tiers: snapshot.ticket_tiers
+      });
+      await replaceLineup(client, gig.id, snapshot.lineup.map((entry) => ({
+        artist_id: existingArtistIds.has(entry.artist_id) ? entry.artist_id : undefined,
+        name: entry.name,
+        billing_order: entry.billing_order,
+        set_start: entry.set_start,
+        set_end: entry.set_end
+      })), req.user.id);
+      await replaceTicketTiers(client, gig.id, snapshot.ticket_tiers, snapshot.currency);
+
+      await recordRevision(client, gig.id, {
+        action: 'revert',
+        userId: req.user.id,
+        before,
+        revertedTo: revision.id
+      });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Gig reverted successfully',
+      data: { gig: await fetchGigDetails(gig.id) }
+    });
+
+  } catch (error) {
+    console.error('Revert gig error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revert gig',
+      message: 'An error occurred while reverting the gig'
+    });
+  }
 });
 
 // PUT /api/gigs/:id - Update gig (private)
-router.put('/:id', authenticateToken, gigValidation, async (req, res) => {
-  // TODO: Implementation steps:
-  // 1. Validate gig ID and request body
-  // 2. Check if gig exists
-  // 3. Verify user owns this gig (req.user.id === gig.user_id)
-  // 4. Update gig in database
-  // 5. Fetch updated gig and return
-  
+/**
+ * @swagger
+ * /api/gigs/{id}:
+ *   put:
+ *     summary: Update a gig, or one or more occurrences of a recurring gig
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [all, this, following]
+ *         description: For recurring gigs - the whole series (default), just this occurrence, or this and all future occurrences
+ *       - in: query
+ *         name: occurrence
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: occurrence_date of the occurrence being edited (required for this/following)
+ *     responses:
+ *       200:
+ *         description: Gig updated. A "following" edit returns the new series split off from the original
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not the gig owner
+ *       404:
+ *         description: Gig or occurrence not found
+ */
+router.put('/:id', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid gig ID'),
+  ...occurrenceScopeValidation,
+  ...gigValidation
+], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -271,32 +4289,227 @@ router.put('/:id', authenticateToken, gigValidation, async (req, res) => {
     });
   }
 
-  const gigId = req.params.id;
-  
-  // TODO: Add ID validation and ownership check
-  
-  // PLACEHOLDER - Add actual implementation
+  try {
+    const gig = await findOwnedGig(req, res);
+    if (!gig) return;
+
+    const scope = req.query.scope || 'all';
+    let slot = null;
+    if (scope !== 'all') {
+      slot = await findOccurrenceSlot(res, gig, req.query.occurrence);
+      if (!slot) return;
+    }
+
+    const gigData = await resolveGigTimes(req.body);
+    let updatedGigId = gig.id;
+
+    // A published gig may already be in people's collections, so it can't be hidden again
+    if (gigData.visibility && gigData.visibility !== 'published' && isPublished(gig)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: 'A published gig cannot be made a draft or scheduled again'
+      });
+    }
+
+    // Without a visibility the gig (and any series split off it) keeps its current one
+    if (!gigData.visibility) {
+      gigData.visibility = gig.visibility;
+      gigData.publish_at = gig.publish_at;
+    }
+
+    if (scope === 'this') {
+      // Only the fields that can differ per occurrence are stored on the override
+      const { title, description, date, price } = gigData;
+      await executeTransaction(async (client) => {
+        const occurrenceSql = `SELECT title, description, event_date, price FROM gig_occurrences
+                               WHERE id = $1 AND occurrence_date = $2`;
+        const before = await client.query(occurrenceSql, [gig.id, slot.occurrence_date]);
+
+        await client.query(
+          `INSERT INTO gig_occurrence_overrides (gig_id, occurrence_date, title, description, event_date, price)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (gig_id, occurrence_date) DO UPDATE
+           SET title = EXCLUDED.title, description = EXCLUDED.description, event_date = EXCLUDED.event_date,
+               price = EXCLUDED.price, is_excluded = FALSE, updated_at = CURRENT_TIMESTAMP`,
+          [gig.id, slot.occurrence_date, title, description || null, date, price ?? null]
+        );
+
+        // The series snapshot doesn't change, so diff the occurrence itself
+        const after = await client.query(occurrenceSql, [gig.id, slot.occurrence_date]);
+        await recordRevision(client, gig.id, {
+          action: 'update',
+          userId: req.user.id,
+          changes: diffSnapshots(before.rows[0] || {}, after.rows[0]),
+          occurrenceDate: slot.occurrence_date
+        });
+      });
+    } else if (scope === 'following' && slot.occurrence_index > 0) {
+      // Split the series: the original ends before this occurrence and a new series starts from it
+      updatedGigId = await executeTransaction(async (client) => {
+        const before = await fetchGigSnapshot(client, gig.id);
+        await truncateSeries(client, gig, slot);
+        await recordRevision(client, gig.id, { action: 'update', userId: req.user.id, before });
+
+        const body = { ...gigData };
+        if (!body.recurrence_rule) {
+          body.recurrence_rule = formatRecurrenceRule({
+            freq: gig.recurrence_freq,
+            interval: gig.recurrence_interval,
+            count: gig.recurrence_count ? gig.recurrence_count - slot.occurrence_index : null,
+            until: gig.recurrence_until
+          });
+        }
+
+        const newGigId = await insertGig(client, body, gig.user_id, gig.id);
+        await insertRecurrenceExceptions(client, newGigId, gigData.recurrence_exceptions);
+        if (gigData.lineup) {
+          await replaceLineup(client, newGigId, gigData.lineup, req.user.id);
+        } else {
+          await copyLineup(client, gig.id, newGigId);
+        }
+        if (gigData.ticket_tiers) {
+          await replaceTicketTiers(client, newGigId, gigData.ticket_tiers, gigData.currency);
+        } else {
+          await copyTicketTiers(client, gig.id, newGigId);
+        }
+        await recordRevision(client, newGigId, { action: 'create', userId: req.user.id });
+
+        // Collections that saved the series keep following it after the split
+        await client.query(
+          `INSERT INTO collection_gigs (collection_id, gig_id)
+           SELECT collection_id, $1 FROM collection_gigs WHERE gig_id = $2
+           ON CONFLICT (collection_id, gig_id) DO NOTHING`,
+          [newGigId, gig.id]
+        );
+
+        return newGigId;
+      });
+    } else {
+      await executeTransaction(async (client) => {
+        const before = await fetchGigSnapshot(client, gig.id);
+        await updateGig(client, gig, gigData);
+        await replaceLineup(client, gig.id, gigData.lineup, req.user.id);
+        await replaceTicketTiers(client, gig.id, gigData.ticket_tiers, gigData.currency);
+        await recordRevision(client, gig.id, { action: 'update', userId: req.user.id, before });
+      });
+    }
+
+    const updatedGig = await fetchGigDetails(updatedGigId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Gig updated successfully',
+      data: { gig: updatedGig }
+    });
+
+  } catch (error) {
+    console.error('Update gig error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update gig',
+      message: 'An error occurred while updating the gig'
+    });
+  }
 });
 
 // DELETE /api/gigs/:id - Delete gig (private)
-router.delete('/:id', authenticateToken, async (req, res) => {
-  // TODO: Implementation steps:
-  // 1. Validate gig ID
-  // 2. Check if gig exists
-  // 3. Verify user owns this gig (req.user.id === gig.user_id)
-  // 4. Delete gig from database
-  // 5. Return success message
-  
-  const gigId = req.params.id;
-  
-  // TODO: Add ID validation and ownership check
-  
-  // PLACEHOLDER - Add actual implementation
-});
+/**
+ * @swagger
+ * /api/gigs/{id}:
+ *   delete:
+ *     summary: Delete a gig, or one or more occurrences of a recurring gig
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [all, this, following]
+ *       - in: query
+ *         name: occurrence
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Gig or occurrences deleted
+ *       403:
+ *         description: Not the gig owner
+ *       404:
+ *         description: Gig or occurrence not found
+ */
+router.delete('/:id', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid gig ID'),
+  ...occurrenceScopeValidation
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const gig = await findOwnedGig(req, res);
+    if (!gig) return;
 
-// Additional helper routes (optional):
-// GET /api/gigs/featured - Get featured/popular gigs
-// GET /api/gigs/upcoming - Get upcoming gigs (sorted by date)
-// GET /api/gigs/:id/similar - Get similar gigs based on genre
+    const scope = req.query.scope || 'all';
+    let slot = null;
+    if (scope !== 'all') {
+      slot = await findOccurrenceSlot(res, gig, req.query.occurrence);
+      if (!slot) return;
+    }
+
+    if (scope === 'this') {
+      // Deleting one occurrence records it as a recurrence exception
+      await executeTransaction(async (client) => {
+        await client.query(
+          `INSERT INTO gig_occurrence_overrides (gig_id, occurrence_date, is_excluded)
+           VALUES ($1, $2, TRUE)
+           ON CONFLICT (gig_id, occurrence_date) DO UPDATE
+           SET is_excluded = TRUE, updated_at = CURRENT_TIMESTAMP`,
+          [gig.id, slot.occurrence_date]
+        );
+        await recordRevision(client, gig.id, {
+          action: 'update',
+          userId: req.user.id,
+          changes: { is_excluded: { from: false, to: true } },
+          occurrenceDate: slot.occurrence_date
+        });
+      });
+    } else if (scope === 'following' && slot.occurrence_index > 0) {
+      await executeTransaction(async (client) => {
+        const before = await fetchGigSnapshot(client, gig.id);
+        await truncateSeries(client, gig, slot);
+        await recordRevision(client, gig.id, { action: 'update', userId: req.user.id, before });
+      });
+    } else {
+      await executeQuery('DELETE FROM gigs WHERE id = $1', [gig.id]);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: scope === 'this' ? 'Occurrence deleted successfully' : 'Gig deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete gig error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete gig',
+      message: 'An error occurred while deleting the gig'
+    });
+  }
+});
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,134 @@
+/**
+ * REPORTS ROUTES - Content Reporting Endpoint
+ *
+ * This file contains the route users flag content with:
+ * - Report a gig, collection, user, comment or review (private)
+ *
+ * IMPLEMENTATION REQUIREMENTS:
+ *
+ * 1. DATABASE SCHEMA:
+ *    reports table: id, target_type, target_id, reporter_id, reason, details, status,
+ *                   claimed_by, claimed_at, resolved_by, resolved_at, resolution, resolution_note, created_at
+ *
+ * 2. VALIDATION RULES:
+ *    - target_type: one of REPORT_TARGET_TYPES; target_id: positive integer
+ *    - reason: one of REPORT_REASONS (utils/reports.js)
+ *    - details: optional, max 1000 characters
+ *
+ * 3. BUSINESS LOGIC:
+ *    - Users can only report content they can see, and never their own
+ *    - One report per user per item (409 on a repeat)
+ *    - Admins work through reports at /api/admin/reports (routes/admin.js)
+ *    - Reviews can also be reported at POST /api/gigs/:id/reviews/:reviewId/report
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { REPORT_TARGET_TYPES, reportValidation, fetchReportTarget, createReport } = require('../utils/reports');
+
+const router = express.Router();
+
+// POST /api/reports - Report content to the admins (private)
+/**
+ * @swagger
+ * /api/reports:
+ *   post:
+ *     summary: Report a gig, collection, user, comment or review
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [target_type, target_id, reason]
+ *             properties:
+ *               target_type:
+ *                 type: string
+ *                 enum: [gig, collection, user, comment, review]
+ *               target_id:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, abuse, harassment, misleading, fake_profile, other]
+ *               details:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Report recorded
+ *       400:
+ *         description: Validation failed or the content is the user's own
+ *       404:
+ *         description: Content not found
+ *       409:
+ *         description: Already reported by this user
+ */
+router.post('/', authenticateToken, [
+  body('target_type')
+    .isIn(REPORT_TARGET_TYPES)
+    .withMessage(`target_type must be one of ${REPORT_TARGET_TYPES.join(', ')}`),
+  body('target_id')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('target_id must be a positive integer'),
+  ...reportValidation
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const target = { type: req.body.target_type, id: req.body.target_id };
+    const found = await fetchReportTarget(target, req.user.id);
+
+    // Content the user can't see looks the same as content that doesn't exist
+    if (!found || !found.is_visible) {
+      return res.status(404).json({
+        success: false,
+        error: 'Content not found'
+      });
+    }
+
+    if (found.owner_id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: target.type === 'user' ? 'You can\'t report yourself' : 'You can\'t report your own content'
+      });
+    }
+
+    const report = await createReport(target, req.user.id, req.body);
+
+    if (!report) {
+      return res.status(409).json({
+        success: false,
+        error: 'You have already reported this'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Report received - thanks, an admin will take a look',
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Create report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit report',
+      message: 'An error occurred while submitting your report'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,15 +4,16 @@
  * This file contains user-related routes:
  * - List all users (public)
  * - Get user profile details (public)
- * - Get user's gigs (public)
+ * - Get user's gigs, upcoming and/or past (public)
  * - Get user's collections (public)
- * - Update user profile (private)
+ * - Get the gigs a user is going to (public unless they made it private)
+ * - Update user profile and privacy settings (private)
  * 
  * IMPLEMENTATION REQUIREMENTS:
  * 
  * 1. DATABASE SCHEMA:
  *    users table: id, name, email, password_hash, bio, avatar_url, 
- *                location, website_url, social_links, role, created_at, updated_at
+ *                location, website_url, social_links, role, going_public, created_at, updated_at
  * 
  * 2. BUSINESS LOGIC:
  *    - Public user data includes: name, bio, avatar, location, website
@@ -20,18 +21,34 @@
  *    - Users can view other users' public information
  *    - Only the user themselves can update their profile
  *    - Don't expose sensitive information like email addresses publicly
+ *    - A user's RSVPs are only listed for others while going_public is set
  * 
  * 3. FEATURES TO IMPLEMENT:
  *    - User profiles with avatar, bio, location
  *    - Social media links (Instagram, Twitter, etc.)
- *    - User statistics (total gigs, collections, etc.)
+ *    - User statistics (total gigs, collections, etc.) and the average rating the user's gigs received
  *    - Public user discovery
  *    - User following system (optional feature)
+ *    - Personal iCalendar feed of gigs in the user's collections
+ *      (public collections only, unless the secret feed token is supplied)
  */
 
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { executeQuery } = require('../config/database');
+const { localiseTimes } = require('../utils/timezones');
+const { publishedSql } = require('../utils/publishing');
+const { GIG_WHEN, whenSql } = require('../utils/archiving');
+const { fetchRatingSummary } = require('../utils/reviews');
+const {
+  buildCalendar,
+  feedTokenMatches,
+  fetchCalendarGigs,
+  generateFeedToken,
+  requestBaseUrl,
+  sendCalendar
+} = require('../utils/ical');
 
 const router = express.Router();
 
@@ -91,20 +108,54 @@ router.get('/:id', [
 });
 
 // GET /api/users/:id/gigs - Get user's gigs (public)
+/**
+ * @swagger
+ * /api/users/{id}/gigs:
+ *   get:
+ *     summary: Get the published gigs a user has posted
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: when
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, past, all]
+ *           default: all
+ *         description: Gigs that haven't ended yet, ones that have, or both (same rules as GET /api/gigs)
+ *       - in: query
+ *         name: upcoming
+ *         schema:
+ *           type: boolean
+ *         description: upcoming=true is the same as when=upcoming
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Upcoming gigs soonest first (next occurrence of recurring ones), then past gigs most recent first, each with is_past
+ *       404:
+ *         description: User not found
+ */
 router.get('/:id/gigs', [
-  // TODO: Add validation for user ID and query parameters
   param('id').isInt({ min: 1 }).withMessage('Invalid user ID'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-  query('upcoming').optional().isBoolean().withMessage('upcoming must be boolean')
+  query('upcoming').optional().isBoolean().toBoolean().withMessage('upcoming must be boolean'),
+  query('when').optional().isIn(GIG_WHEN).withMessage(`When must be one of ${GIG_WHEN.join(', ')}`)
 ], async (req, res) => {
-  // TODO: Implementation steps:
-  // 1. Validate user ID and query parameters
-  // 2. Get gigs for this specific user
-  // 3. Support filtering for upcoming gigs
-  // 4. Join with user table to verify user exists
-  // 5. Handle pagination
-  
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -114,9 +165,71 @@ router.get('/:id/gigs', [
     });
   }
 
-  const userId = req.params.id;
+  try {
+    const userId = parseInt(req.params.id);
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const offset = (page - 1) * limit;
+    const when = req.query.when || (req.query.upcoming === true ? 'upcoming' : 'all');
 
-  // PLACEHOLDER - Add actual implementation
+    const userResult = await executeQuery('SELECT id, name FROM users WHERE id = $1', [userId]);
+    const user = userResult.rows[0];
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // Each gig is listed once: at its next occurrence while it has one, otherwise its latest
+    const gigsSql = `
+      SELECT DISTINCT ON (g.id) g.id, g.occurrence_date, g.title, g.doors_at, g.event_date, g.ends_at, g.timezone,
+             g.genre, g.min_price, g.max_price, g.currency, g.image_url, g.status, g.venue_id, g.is_recurring,
+             ${whenSql('g', 'past')} AS is_past
+      FROM gig_occurrences g
+      WHERE g.user_id = $1 AND ${publishedSql('g')} AND ${whenSql('g', when)}
+      ORDER BY g.id, is_past ASC, CASE WHEN ${whenSql('g', 'upcoming')} THEN g.event_date END ASC, g.event_date DESC`;
+
+    const countResult = await executeQuery(`SELECT COUNT(*) FROM (${gigsSql}) gigs`, [userId]);
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await executeQuery(
+      `SELECT gigs.*, v.name AS venue_name, v.city AS venue_city
+       FROM (${gigsSql}) gigs
+       JOIN venues v ON v.id = gigs.venue_id
+       ORDER BY gigs.is_past ASC,
+                CASE WHEN NOT gigs.is_past THEN gigs.event_date END ASC,
+                gigs.event_date DESC
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, offset]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: { id: user.id, name: user.name },
+        when,
+        gigs: result.rows.map((row) => localiseTimes(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user gigs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch gigs',
+      message: 'An error occurred while fetching this user\'s gigs'
+    });
+  }
 });
 
 // GET /api/users/:id/collections - Get user's public collections (public)
@@ -147,6 +260,134 @@ router.get('/:id/collections', [
   // PLACEHOLDER - Add actual implementation
 });
 
+// GET /api/users/:id/going - Upcoming gigs the user is going to (public unless private)
+/**
+ * @swagger
+ * /api/users/{id}/going:
+ *   get:
+ *     summary: Get the upcoming gigs a user has RSVP'd to
+ *     description: Only the user themselves and admins can see it when the user has made their plans private
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [going, interested]
+ *         description: Which RSVPs to list (default going)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Upcoming gigs (next occurrence of recurring ones) sorted by date
+ *       403:
+ *         description: The user's plans are private
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/going', optionalAuth, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid user ID'),
+  query('status').optional().isIn(['going', 'interested']).withMessage('Status must be going or interested'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const userId = parseInt(req.params.id);
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const offset = (page - 1) * limit;
+    const status = req.query.status || 'going';
+
+    const userResult = await executeQuery('SELECT id, name, going_public FROM users WHERE id = $1', [userId]);
+    const user = userResult.rows[0];
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const isSelfOrAdmin = req.user && (req.user.id === userId || req.user.role === 'admin');
+    if (!user.going_public && !isSelfOrAdmin) {
+      return res.status(403).json({
+        success: false,
+        error: 'This user\'s plans are private',
+        code: 'PLANS_PRIVATE'
+      });
+    }
+
+    // Recurring gigs are listed once, at their next occurrence
+    const plansSql = `
+      SELECT DISTINCT ON (g.id) g.id, g.occurrence_date, g.title, g.doors_at, g.event_date, g.ends_at, g.timezone,
+             g.genre, g.min_price, g.max_price, g.currency, g.image_url, g.status, g.venue_id,
+             r.status AS rsvp_status, r.updated_at AS rsvp_updated_at
+      FROM gig_rsvps r
+      JOIN gig_occurrences g ON g.id = r.gig_id
+      WHERE r.user_id = $1 AND r.status = $2 AND ${whenSql('g', 'upcoming')} AND ${publishedSql('g')}
+      ORDER BY g.id, g.event_date ASC`;
+
+    const countResult = await executeQuery(`SELECT COUNT(*) FROM (${plansSql}) plans`, [userId, status]);
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await executeQuery(
+      `SELECT plans.*, v.name AS venue_name, v.city AS venue_city
+       FROM (${plansSql}) plans
+       JOIN venues v ON v.id = plans.venue_id
+       ORDER BY plans.event_date ASC
+       LIMIT $3 OFFSET $4`,
+      [userId, status, limit, offset]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: { id: user.id, name: user.name },
+        gigs: result.rows.map((row) => localiseTimes(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user plans error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch plans',
+      message: 'An error occurred while fetching the gigs this user is going to'
+    });
+  }
+});
+
 // PUT /api/users/:id - Update user profile (private)
 router.put('/:id', authenticateToken, [
   // TODO: Add validation for user ID and profile updates
@@ -181,6 +422,84 @@ router.put('/:id', authenticateToken, [
   // PLACEHOLDER - Add actual implementation
 });
 
+// PUT /api/users/:id/privacy - Update privacy settings (private)
+/**
+ * @swagger
+ * /api/users/{id}/privacy:
+ *   put:
+ *     summary: Choose whether other people can see the gigs you're going to
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [going_public]
+ *             properties:
+ *               going_public:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Settings saved
+ *       403:
+ *         description: Not your account
+ */
+router.put('/:id/privacy', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid user ID'),
+  body('going_public').isBoolean().toBoolean().withMessage('going_public must be boolean')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const userId = parseInt(req.params.id);
+
+  if (userId !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      error: 'You can only change your own privacy settings',
+      code: 'OWNERSHIP_REQUIRED'
+    });
+  }
+
+  try {
+    const result = await executeQuery(
+      `UPDATE users SET going_public = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING going_public`,
+      [req.body.going_public, userId]
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Privacy settings saved',
+      data: { settings: result.rows[0] }
+    });
+
+  } catch (error) {
+    console.error('Update privacy settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save privacy settings',
+      message: 'An error occurred while saving your privacy settings'
+    });
+  }
+});
+
 // POST /api/users/:id/avatar - Upload/update avatar (private)
 router.post('/:id/avatar', authenticateToken, [
   // TODO: Add validation for file upload
@@ -202,23 +521,195 @@ router.post('/:id/avatar', authenticateToken, [
 });
 
 // GET /api/users/:id/stats - Get user statistics (public)
+// Counts only cover what anyone can see: published gigs and public collections
+// rating is the organiser rollup - reviews of every gig the user created (utils/reviews.js)
 router.get('/:id/stats', [
-  // TODO: Add validation for user ID
   param('id').isInt({ min: 1 }).withMessage('Invalid user ID')
 ], async (req, res) => {
-  // TODO: Implementation steps:
-  // 1. Validate user ID
-  // 2. Get user statistics:
-  //    - Total gigs created
-  //    - Total collections
-  //    - Total gigs in collections
-  //    - Member since date
-  //    - Last activity date
-  // 3. Return statistics object
-  
-  const userId = req.params.id;
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid user ID',
+      details: errors.array()
+    });
+  }
 
-  // PLACEHOLDER - Add actual implementation
+  try {
+    const userId = parseInt(req.params.id);
+
+    const result = await executeQuery(
+      `SELECT u.id, u.created_at AS member_since,
+              (SELECT COUNT(*)::int FROM gigs g WHERE g.user_id = u.id AND ${publishedSql('g')}) AS total_gigs,
+              (SELECT COUNT(*)::int FROM collections c
+               WHERE c.user_id = u.id AND c.is_public = TRUE AND c.hidden_at IS NULL) AS total_collections,
+              (SELECT COUNT(DISTINCT cg.gig_id)::int
+               FROM collection_gigs cg
+               JOIN collections c ON c.id = cg.collection_id
+               WHERE c.user_id = u.id AND c.is_public = TRUE AND c.hidden_at IS NULL) AS total_gigs_in_collections,
+              GREATEST(
+                u.updated_at,
+                (SELECT MAX(g.updated_at) FROM gigs g WHERE g.user_id = u.id AND ${publishedSql('g')}),
+                (SELECT MAX(c.updated_at) FROM collections c
+                 WHERE c.user_id = u.id AND c.is_public = TRUE AND c.hidden_at IS NULL)
+              ) AS last_activity
+       FROM users u
+       WHERE u.id = $1`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const { id, ...stats } = result.rows[0];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user_id: id,
+        ...stats,
+        rating: await fetchRatingSummary('organiser', id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user statistics',
+      message: 'An error occurred while fetching user statistics'
+    });
+  }
+});
+
+// GET /api/users/:id/calendar.ics - Subscribable feed of the user's gig plans (public/tokenised)
+/**
+ * @swagger
+ * /api/users/{id}/calendar.ics:
+ *   get:
+ *     summary: Subscribable iCalendar feed of the gigs in a user's collections
+ *     tags: [Users]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Secret feed token - includes gigs from private collections
+ *     responses:
+ *       200:
+ *         description: RFC 5545 calendar feed of gigs from the last 12 months and upcoming
+ *         content:
+ *           text/calendar: {}
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/calendar.ics', [
+  param('id').isInt({ min: 1 }).withMessage('Invalid user ID'),
+  query('token').optional().isString().withMessage('Invalid feed token')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const userResult = await executeQuery(
+      'SELECT id, name, calendar_token FROM users WHERE id = $1',
+      [req.params.id]
+    );
+    const user = userResult.rows[0];
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // Without the secret token only gigs from public collections are included
+    const includePrivate = feedTokenMatches(req.query.token, user.calendar_token);
+    const gigIds = await executeQuery(
+      `SELECT DISTINCT cg.gig_id
+       FROM collection_gigs cg
+       JOIN collections c ON c.id = cg.collection_id
+       WHERE c.user_id = $1 AND ((c.is_public = TRUE AND c.hidden_at IS NULL) OR $2)`,
+      [user.id, includePrivate]
+    );
+    const gigs = await fetchCalendarGigs(gigIds.rows.map((row) => row.gig_id), { feed: true });
+
+    const calendar = buildCalendar({ name: `${user.name}'s gigs`, gigs, baseUrl: requestBaseUrl(req) });
+    sendCalendar(res, calendar, `user-${user.id}.ics`);
+
+  } catch (error) {
+    console.error('User calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build calendar feed',
+      message: 'An error occurred while building the calendar feed'
+    });
+  }
+});
+
+// POST /api/users/:id/calendar-token - Create or rotate the personal feed URL (private)
+router.post('/:id/calendar-token', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid user ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid user ID',
+      details: errors.array()
+    });
+  }
+
+  const userId = parseInt(req.params.id);
+
+  if (userId !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      error: 'You can only manage your own calendar feed',
+      code: 'OWNERSHIP_REQUIRED'
+    });
+  }
+
+  try {
+    const token = generateFeedToken();
+    await executeQuery('UPDATE users SET calendar_token = $1 WHERE id = $2', [token, userId]);
+
+    const feedUrl = `${requestBaseUrl(req)}/api/users/${userId}/calendar.ics?token=${token}`;
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed URL generated',
+      data: {
+        feed_url: feedUrl,
+        webcal_url: feedUrl.replace(/^https?:/, 'webcal:')
+      }
+    });
+
+  } catch (error) {
+    console.error('User calendar token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate calendar feed URL',
+      message: 'An error occurred while generating the calendar feed URL'
+    });
+  }
 });
 
 // Additional helper routes (optional):
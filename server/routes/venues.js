@@ -0,0 +1,543 @@
+/**
+ * VENUES ROUTES - Venue Management Endpoints
+ *
+ * This file contains all venue-related routes:
+ * - Browse all venues (public)
+ * - View specific venue details with its rating and upcoming gigs (public)
+ * - Create new venue (private)
+ * - Update venue (private)
+ * - Delete venue (private)
+ *
+ * IMPLEMENTATION REQUIREMENTS:
+ *
+ * 1. DATABASE SCHEMA:
+ *    venues table: id, name, address, city, latitude, longitude, timezone, capacity, website_url,
+ *                  venue_type, created_by, created_at, updated_at
+ *    gigs.venue_id references venues.id
+ *
+ * 2. VALIDATION RULES:
+ *    - name: required, 2-100 characters
+ *    - address: optional, max 255 characters
+ *    - city: required, 2-100 characters
+ *    - latitude/longitude: optional, provided together, valid coordinates
+ *      (used by the "near me" filter on GET /api/gigs)
+ *    - timezone: optional IANA timezone (defaults to Europe/London); gig times entered
+ *      without an offset are read as local time here (see utils/timezones.js)
+ *    - capacity: optional, positive integer
+ *    - website_url: optional, valid URL format
+ *    - venue_type: optional, from predefined list (VENUE_TYPES in src/constants.js)
+ *
+ * 3. BUSINESS LOGIC:
+ *    - Venues are shared between all users, so a name can only exist once per city
+ *    - Only the user who created a venue (or an admin) can modify it
+ *    - A venue that still has gigs cannot be deleted
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { executeQuery } = require('../config/database');
+const { DEFAULT_TIMEZONE, isValidTimeZone, localiseTimes } = require('../utils/timezones');
+const { fetchRatingSummary } = require('../utils/reviews');
+const { publishedSql } = require('../utils/publishing');
+const { whenSql } = require('../utils/archiving');
+
+const router = express.Router();
+
+// Keep in sync with VENUE_TYPES in src/constants.js
+const VENUE_TYPES = [
+  'Club', 'Bar', 'Concert Hall', 'Outdoor', 'Festival',
+  'Theater', 'Arena', 'Small Venue', 'Café', 'Warehouse'
+];
+
+// Validation middleware for venue creation/update
+const venueValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Venue name must be between 2 and 100 characters'),
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Address must not exceed 255 characters'),
+  body('city')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('City must be between 2 and 100 characters'),
+  body('latitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('longitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('latitude')
+    .custom((value, { req }) => {
+      if ((value == null) !== (req.body.longitude == null)) {
+        throw new Error('Latitude and longitude must be provided together');
+      }
+      return true;
+    }),
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Timezone must be an IANA timezone name (e.g. Europe/London)'),
+  body('capacity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Capacity must be a positive integer'),
+  body('website_url')
+    .optional()
+    .isURL()
+    .withMessage('Please provide a valid website URL'),
+  body('venue_type')
+    .optional()
+    .isIn(VENUE_TYPES)
+    .withMessage('Please select a valid venue type')
+];
+
+// Fetch a venue and check the current user may modify it
+// Returns the venue row, or sends the error response and returns null
+const findEditableVenue = async (req, res) => {
+  const result = await executeQuery('SELECT * FROM venues WHERE id = $1', [req.params.id]);
+
+  if (result.rows.length === 0) {
+    res.status(404).json({
+      success: false,
+      error: 'Venue not found'
+    });
+    return null;
+  }
+
+  const venue = result.rows[0];
+  if (venue.created_by !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      error: 'You can only modify venues you created',
+      code: 'OWNERSHIP_REQUIRED'
+    });
+    return null;
+  }
+
+  return venue;
+};
+
+/**
+ * @swagger
+ * /api/venues:
+ *   get:
+ *     summary: Get all venues with optional filtering and pagination
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search in venue name
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: venue_type
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of venues with pagination metadata
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('search').optional().isString().withMessage('Search must be a string'),
+  query('city').optional().isString().withMessage('City must be a string'),
+  query('venue_type').optional().isIn(VENUE_TYPES).withMessage('Invalid venue type')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const offset = (page - 1) * limit;
+    const { search, city, venue_type } = req.query;
+
+    const conditions = [];
+    const params = [];
+
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`v.name ILIKE $${params.length}`);
+    }
+    if (city) {
+      params.push(city);
+      conditions.push(`LOWER(v.city) = LOWER($${params.length})`);
+    }
+    if (venue_type) {
+      params.push(venue_type);
+      conditions.push(`v.venue_type = $${params.length}`);
+    }
+
+    const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) FROM venues v ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await executeQuery(
+      `SELECT v.*,
+              (SELECT COUNT(DISTINCT g.id) FROM gig_occurrences g
+               WHERE g.venue_id = v.id AND ${whenSql('g', 'upcoming')} AND ${publishedSql('g')})::int AS upcoming_gigs_count
+       FROM venues v
+       ${whereClause}
+       ORDER BY v.name ASC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        venues: result.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get venues error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch venues',
+      message: 'An error occurred while fetching venues'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/venues/{id}:
+ *   get:
+ *     summary: Get venue details and its upcoming gigs
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Venue details with its rating across all its gigs' reviews and upcoming gigs sorted by date
+ *       400:
+ *         description: Invalid venue ID
+ *       404:
+ *         description: Venue not found
+ */
+router.get('/:id', [
+  param('id').isInt({ min: 1 }).withMessage('Invalid venue ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid venue ID',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const venueResult = await executeQuery('SELECT * FROM venues WHERE id = $1', [req.params.id]);
+
+    if (venueResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Venue not found'
+      });
+    }
+
+    // Each gig is listed once, at its next occurrence
+    const gigsResult = await executeQuery(
+      `SELECT gigs.*, u.name AS user_name
+       FROM (
+         SELECT DISTINCT ON (g.id) g.id, g.occurrence_date, g.title, g.doors_at, g.event_date, g.ends_at,
+                g.genre, g.price, g.image_url, g.status, g.timezone, g.user_id, g.is_recurring
+         FROM gig_occurrences g
+         WHERE g.venue_id = $1 AND ${whenSql('g', 'upcoming')} AND ${publishedSql('g')}
+         ORDER BY g.id, g.event_date ASC
+       ) gigs
+       JOIN users u ON u.id = gigs.user_id
+       ORDER BY gigs.event_date ASC`,
+      [req.params.id]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        venue: venueResult.rows[0],
+        rating: await fetchRatingSummary('venue', venueResult.rows[0].id),
+        upcoming_gigs: gigsResult.rows.map((gig) => localiseTimes(gig))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get venue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch venue',
+      message: 'An error occurred while fetching the venue'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/venues:
+ *   post:
+ *     summary: Create a new venue
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Venue created
+ *       400:
+ *         description: Validation failed
+ *       409:
+ *         description: A venue with this name already exists in this city
+ */
+router.post('/', authenticateToken, venueValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const { name, address, city, latitude, longitude, timezone, capacity, website_url, venue_type } = req.body;
+
+    const existing = await executeQuery(
+      'SELECT id FROM venues WHERE LOWER(name) = LOWER($1) AND LOWER(city) = LOWER($2)',
+      [name, city]
+    );
+
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Venue already exists',
+        message: 'A venue with this name already exists in this city',
+        data: { venue_id: existing.rows[0].id }
+      });
+    }
+
+    const result = await executeQuery(
+      `INSERT INTO venues (name, address, city, latitude, longitude, capacity, website_url, venue_type, created_by,
+                           timezone)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [name, address || null, city, latitude ?? null, longitude ?? null, capacity || null,
+        website_url || null, venue_type || null, req.user.id, timezone || DEFAULT_TIMEZONE]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Venue created successfully',
+      data: { venue: result.rows[0] }
+    });
+
+  } catch (error) {
+    console.error('Create venue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create venue',
+      message: 'An error occurred while creating the venue'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/venues/{id}:
+ *   put:
+ *     summary: Update a venue (creator or admin only)
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Venue updated
+ *       403:
+ *         description: Not the venue creator
+ *       404:
+ *         description: Venue not found
+ *       409:
+ *         description: A venue with this name already exists in this city
+ */
+router.put('/:id', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid venue ID'),
+  ...venueValidation
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const venue = await findEditableVenue(req, res);
+    if (!venue) return;
+
+    const { name, address, city, latitude, longitude, timezone, capacity, website_url, venue_type } = req.body;
+
+    const existing = await executeQuery(
+      'SELECT id FROM venues WHERE LOWER(name) = LOWER($1) AND LOWER(city) = LOWER($2) AND id <> $3',
+      [name, city, venue.id]
+    );
+
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Venue already exists',
+        message: 'A venue with this name already exists in this city',
+        data: { venue_id: existing.rows[0].id }
+      });
+    }
+
+    const result = await executeQuery(
+      `UPDATE venues
+       SET name = $1, address = $2, city = $3, latitude = $4, longitude = $5, capacity = $6,
+           website_url = $7, venue_type = $8, timezone = $9, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $10
+       RETURNING *`,
+      [name, address || null, city, latitude ?? null, longitude ?? null, capacity || null,
+        website_url || null, venue_type || null, timezone || venue.timezone, venue.id]
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Venue updated successfully',
+      data: { venue: result.rows[0] }
+    });
+
+  } catch (error) {
+    console.error('Update venue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update venue',
+      message: 'An error occurred while updating the venue'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/venues/{id}:
+ *   delete:
+ *     summary: Delete a venue with no gigs (creator or admin only)
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Venue deleted
+ *       403:
+ *         description: Not the venue creator
+ *       404:
+ *         description: Venue not found
+ *       409:
+ *         description: Venue still has gigs
+ */
+router.delete('/:id', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid venue ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid venue ID',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const venue = await findEditableVenue(req, res);
+    if (!venue) return;
+
+    const gigCount = await executeQuery(
+      'SELECT COUNT(*) FROM gigs WHERE venue_id = $1',
+      [venue.id]
+    );
+
+    if (parseInt(gigCount.rows[0].count) > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Venue has gigs',
+        message: 'Move or delete the gigs at this venue before deleting it'
+      });
+    }
+
+    await executeQuery('DELETE FROM venues WHERE id = $1', [venue.id]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Venue deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete venue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete venue',
+      message: 'An error occurred while deleting the venue'
+    });
+  }
+});
+
+module.exports = router;
@@ -21,20 +21,42 @@
  *    - website_url: Optional personal website
  *    - social_links: JSON object for social media links
  *    - role: User role (member/admin)
+ *    - calendar_token: Secret for the personal iCalendar feed URL
+ *    - going_public: Whether others can see the gigs the user is going to (GET /api/users/:id/going)
+ *    - suspended_at/suspended_by/suspension_reason: Set while an admin has suspended the account;
+ *      authenticateToken turns suspended users away
+ *    - password_reset_required: Set by an admin; the user must choose a new password before signing in
+ *    - password_reset_token_hash/password_reset_expires_at: SHA-256 of the single-use reset token
+ *      from a forced reset, and when it expires (utils/passwords.js)
+ *    - password_changed_at: Last password change; tokens issued before it are refused
  *    - created_at/updated_at: Timestamps
  * 
  * 2. gigs table:
  *    - id: Primary key (auto-increment)
  *    - title: Gig title
  *    - description: Optional gig description
- *    - venue: Venue name/location
- *    - event_date: Date and time of the gig
- *    - genre: Music genre
- *    - price: Ticket price (0 for free)
+ *    - venue_id: Foreign key to venues table
+ *    - event_date: Start time of the gig (TIMESTAMPTZ, like every time in the schema)
+ *    - doors_at: Optional doors time, at or before event_date
+ *    - ends_at: Optional end / curfew time, after event_date
+ *    - timezone: Optional IANA timezone overriding the venue's (e.g. a touring pop-up)
+ *    - genre: Name of the primary genre (first in gig_genres, see utils/genres.js)
+ *    - price: Ticket price (0 for free) when the gig has no ticket tiers
+ *    - currency: ISO 4217 currency code for price and ticket tiers
  *    - image_url: Optional gig image
  *    - ticket_url: Optional ticket purchase URL
  *    - user_id: Foreign key to users table
- *    - status: Gig status (active/cancelled/sold_out)
+ *    - status: Gig status (active/sold_out/postponed/cancelled, or past once ended - utils/archiving.js)
+ *    - visibility: draft, scheduled or published (see utils/publishing.js); drafts are only shown to their owner
+ *    - publish_at: When a scheduled gig goes live (required while scheduled)
+ *    - published_at: When the gig was published
+ *    - hidden_at/hidden_by: Set when an admin hides the gig after a report; hidden gigs drop out
+ *      of every public query (publishedSql) but stay visible to their owner
+ *    - rescheduled_from: Postponed gig this one replaces
+ *    - recurrence_rule: Optional RFC 5545 RRULE subset (see utils/recurrence.js)
+ *    - recurrence_freq/interval/count/until: Parsed recurrence parts used to expand occurrences in SQL
+ *    - series_parent_id: Series this one was split from by an "all future occurrences" edit
+ *    - search_vector: Weighted full-text document (title A, venue and artist names B, description C), kept in sync by trigger
  *    - created_at/updated_at: Timestamps
  * 
  * 3. collections table:
@@ -43,6 +65,8 @@
  *    - description: Optional collection description
  *    - user_id: Foreign key to users table
  *    - is_public: Whether collection is publicly visible
+ *    - calendar_token: Secret for the private iCalendar feed URL
+ *    - hidden_at/hidden_by: Set when an admin hides the collection; only its owner still sees it
  *    - created_at/updated_at: Timestamps
  * 
  * 4. collection_gigs table (junction table):
@@ -51,10 +75,88 @@
  *    - added_at: When gig was added to collection
  *    - PRIMARY KEY (collection_id, gig_id): Prevent duplicates
  * 
- * 5. genres table:
+ * 5. venues table:
+ *    - id: Primary key (auto-increment)
+ *    - name: Venue name (unique per city, case-insensitive)
+ *    - address: Optional street address
+ *    - city: City the venue is in
+ *    - latitude/longitude: Optional coordinates for "near me" radius searches
+ *    - timezone: IANA timezone of the venue (default Europe/London); gig times are shown in it
+ *    - capacity: Optional capacity
+ *    - website_url: Optional venue website
+ *    - venue_type: One of VENUE_TYPES in src/constants.js
+ *    - created_by: Foreign key to users table
+ *    - created_at/updated_at: Timestamps
+ * 
+ * 6. gig_occurrence_overrides table:
+ *    - gig_id: Foreign key to the recurring gig
+ *    - occurrence_date: Original start of the occurrence being overridden
+ *    - is_excluded: Occurrence is skipped entirely (RRULE exception / EXDATE)
+ *    - title/description/event_date/price/status: Per-occurrence changes ("edit this occurrence")
+ *    - PRIMARY KEY (gig_id, occurrence_date)
+ * 
+ * 7. gig_status_changes table:
+ *    - id: Primary key (auto-increment)
+ *    - gig_id: Foreign key to gigs table
+ *    - from_status/to_status: The transition made
+ *    - reason: Why the status changed (shown to collectors)
+ *    - occurrence_date: Set when only one occurrence of a recurring gig changed
+ *    - new_date/rescheduled_gig_id: For postponements, the new date and the gig created for it
+ *    - changed_by: Foreign key to users table
+ *    - created_at: Timestamp
+ * 
+ * 8. genres table:
  *    - id: Primary key (auto-increment)
  *    - name: Genre name (e.g., "Rock", "Jazz")
  *    - slug: URL-friendly version of name
+ *    - parent_id: Foreign key to genres table for subgenres (e.g. Doom under Metal); one level deep
+ *    - created_at/updated_at: Timestamps
+ * 
+ * 9. artists table:
+ *    - id: Primary key (auto-increment)
+ *    - name: Performer or band name
+ *    - bio: Optional artist biography
+ *    - image_url: Optional artist photo
+ *    - genres: Names of the genres the artist plays (from the genres table)
+ *    - website_url: Optional link to the artist
+ *    - social_links: JSON object keyed by platform (SOCIAL_LINKS in src/constants.js)
+ *    - created_by: Foreign key to users table
+ *    - created_at/updated_at: Timestamps
+ * 
+ * 10. gig_artists table (junction table - the lineup):
+ *    - gig_id: Foreign key to gigs table
+ *    - artist_id: Foreign key to artists table
+ *    - billing_order: Position on the bill (1 = headliner)
+ *    - set_start/set_end: Optional set times
+ *    - PRIMARY KEY (gig_id, artist_id): An artist appears once per lineup
+ * 
+ * 11. artist_follows table (junction table):
+ *    - user_id: Foreign key to users table
+ *    - artist_id: Foreign key to artists table
+ *    - created_at: When the user followed the artist
+ *    - PRIMARY KEY (user_id, artist_id)
+ * 
+ * 12. gig_ticket_tiers table:
+ *    - id: Primary key (auto-increment)
+ *    - gig_id: Foreign key to gigs table
+ *    - name: Tier name (e.g., "Early bird", "On the door", "Concession")
+ *    - price: Tier price (the suggested minimum for pay-what-you-can tiers)
+ *    - currency: ISO 4217 currency code (always the gig's currency)
+ *    - pay_what_you_can: Buyers choose what to pay
+ *    - available_from/available_until: Optional sale window
+ *    - sold_out: Tier is sold out
+ *    - sort_order: Display order
+ *    - created_at/updated_at: Timestamps
+ * 
+ * 13. gig_revisions table:
+ *    - id: Primary key (auto-increment)
+ *    - gig_id: Foreign key to gigs table
+ *    - action: create, update, status, revert, merge or publish (scheduled gigs going live)
+ *    - changes: JSON field-level diff ({ field: { from, to } }), null for create
+ *    - snapshot: JSON copy of the gig's editable fields, lineup and ticket tiers after the change
+ *    - occurrence_date: Set when only one occurrence of a recurring gig changed
+ *    - reverted_to_revision_id: For reverts, the revision that was restored
+ *    - author_id: Foreign key to users table
  *    - created_at: Timestamp
  * 
  * RELATIONSHIPS:
@@ -62,7 +164,128 @@
  * - Users have many collections
  * - Collections have many gigs (many-to-many via collection_gigs)
  * - Gigs belong to one user
+ * - Gigs take place at one venue; venues have many gigs
  * - Collections belong to one user
+ * - Recurring gigs have many occurrence overrides
+ * - Gigs have many status changes; a postponed gig can have one rescheduled gig
+ * - Gigs have many artists in billing order (many-to-many via gig_artists)
+ * - Users follow many artists (many-to-many via artist_follows)
+ * - Gigs have many ticket tiers
+ * - Gigs have many revisions
+ * - Merged gigs leave redirects pointing at the surviving gig
+ * - Users dismiss many gigs from their recommendations (many-to-many via gig_dismissals)
+ * - Gigs have many detail views, one trending score per window and many featured pins
+ * - Users RSVP to many gigs (many-to-many via gig_rsvps)
+ * - Gigs and collections have many comments; comments have many replies
+ * - Users review many gigs, once each (gig_reviews)
+ * - Users report gigs, collections, users, comments and reviews; admins work through the reports
+ * - Every admin action is logged in admin_actions, linked to its report if there is one
+ * - Gigs have many genres (many-to-many via gig_genres); genres have many subgenres
+ * 
+ * VIEWS:
+ * - gig_occurrence_slots: every occurrence slot of every gig (one row for one-off gigs)
+ * - gig_occurrences: slots with overrides applied and exceptions removed, plus min/max ticket prices,
+ *   each occurrence's doors/end times and its effective timezone; list endpoints read from this
+ *   (public ones only show published gigs - publishedSql in utils/publishing.js)
+ * 
+ * 14. gig_redirects table:
+ *    - old_gig_id: Primary key - ID of a gig that was merged away (no foreign key, the gig is gone)
+ *    - gig_id: Foreign key to the surviving gig
+ *    - merged_by: Foreign key to users table (the admin who merged)
+ *    - created_at: Timestamp
+ * 
+ * 15. gig_dismissals table ("not interested"):
+ *    - user_id: Foreign key to users table
+ *    - gig_id: Foreign key to gigs table
+ *    - created_at: When the recommendation was dismissed
+ *    - PRIMARY KEY (user_id, gig_id)
+ * 
+ * 16. gig_views table:
+ *    - id: Primary key (auto-increment)
+ *    - gig_id: Foreign key to gigs table
+ *    - viewer_key: "user:<id>" or a hash of the visitor's IP, so repeat views can be ignored
+ *    - viewed_at: Timestamp
+ *    - Pruned by the trending job once older than the longest trending window
+ * 
+ * 17. gig_trending_scores table (recalculated by utils/trending.js):
+ *    - time_window: 24h, 7d or 30d
+ *    - gig_id: Foreign key to gigs table
+ *    - score: Time-decayed activity score
+ *    - saves/views: Raw event counts inside the window
+ *    - computed_at: When the scores were last recalculated
+ *    - PRIMARY KEY (time_window, gig_id)
+ * 
+ * 18. featured_gigs table (admin pins):
+ *    - id: Primary key (auto-increment)
+ *    - gig_id: Foreign key to gigs table
+ *    - starts_at/ends_at: When the pin is shown (ends_at after starts_at)
+ *    - note: Optional admin note
+ *    - created_by: Foreign key to users table (the admin who pinned it)
+ *    - created_at: Timestamp
+ * 
+ * 19. gig_rsvps table (junction table - "going" / "interested"):
+ *    - user_id: Foreign key to users table
+ *    - gig_id: Foreign key to gigs table (a whole series for recurring gigs, like collections)
+ *    - status: going or interested
+ *    - created_at/updated_at: Timestamps
+ *    - PRIMARY KEY (user_id, gig_id): One RSVP per user per gig
+ * 
+ * 20. comments table (see utils/comments.js):
+ *    - id: Primary key (auto-increment)
+ *    - gig_id / collection_id: What the comment is on - exactly one is set
+ *    - parent_id: Thread the comment replies to (null for the first comment; threads are one level deep)
+ *    - user_id: Foreign key to users table (the author)
+ *    - body: Comment text
+ *    - edited_at: When the author last edited it
+ *    - deleted_at/deleted_by: Soft delete, kept so threads with replies still read
+ *    - created_at/updated_at: Timestamps
+ * 
+ * 21. gig_reviews table (see utils/reviews.js):
+ *    - id: Primary key (auto-increment)
+ *    - gig_id: Foreign key to gigs table (the whole series for recurring gigs)
+ *    - user_id: Foreign key to users table (the reviewer)
+ *    - rating: 1-5
+ *    - body: Review text
+ *    - hidden_at/hidden_by: Set when an admin hides the review; hidden reviews aren't listed or rated
+ *    - created_at/updated_at: Timestamps
+ *    - UNIQUE(gig_id, user_id): One review per user per gig
+ * 
+ * 22. reports table (see utils/reports.js):
+ *    - id: Primary key (auto-increment)
+ *    - target_type/target_id: What was reported - a gig, collection, user, comment or review
+ *      (no foreign key - reports outlive deleted content)
+ *    - reporter_id: Foreign key to users table
+ *    - reason: Reason code (REPORT_REASONS)
+ *    - details: Optional free text
+ *    - status: open, claimed, resolved or dismissed
+ *    - claimed_by/claimed_at: The admin working on it
+ *    - resolved_by/resolved_at: The admin who resolved or dismissed it
+ *    - resolution: hide, suspend or delete when resolving took action
+ *    - resolution_note: Optional note from the admin
+ *    - created_at: Timestamp
+ *    - UNIQUE(target_type, target_id, reporter_id): One report per user per item
+ * 
+ * 23. admin_actions table (the admin action log, see utils/moderation.js):
+ *    - id: Primary key (auto-increment)
+ *    - admin_id: Foreign key to users table (the acting admin)
+ *    - action: What was done (claim, resolve, dismiss, hide, suspend, unsuspend, delete, role_change,
+ *      force_password_reset, impersonate, merge, feature, unfeature, genre_create, genre_update,
+ *      genre_delete)
+ *    - target_type/target_id: What it was done to (a reportable type, or genre)
+ *    - report_id: Foreign key to reports table, when acting on a report
+ *    - details: Optional JSON (notes, previous values)
+ *    - created_at: Timestamp
+ * 
+ * 24. gig_genres table (junction table):
+ *    - gig_id: Foreign key to gigs table
+ *    - genre_id: Foreign key to genres table (genres in use can't be deleted)
+ *    - position: 0 for the primary genre, then in the order given
+ *    - PRIMARY KEY (gig_id, genre_id)
+ * 
+ * EXTENSIONS AND FUNCTIONS:
+ * - pg_trgm: trigram similarity for duplicate gig detection
+ * - normalise_venue_name(name): lower-cased name without a leading "The" or punctuation,
+ *   so "The Jazz Café" and "jazz cafe" count as the same venue when looking for duplicates
  * 
  * INDEXES:
  * - All foreign key columns
@@ -86,8 +309,17 @@ const createUsersTable = async () => {
       website_url VARCHAR(500),
       social_links JSONB,
       role VARCHAR(20) DEFAULT 'member',
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      calendar_token VARCHAR(64) UNIQUE,
+      going_public BOOLEAN NOT NULL DEFAULT TRUE,
+      suspended_at TIMESTAMPTZ,
+      suspended_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      suspension_reason TEXT,
+      password_reset_required BOOLEAN NOT NULL DEFAULT FALSE,
+      password_reset_token_hash VARCHAR(64) UNIQUE,
+      password_reset_expires_at TIMESTAMPTZ,
+      password_changed_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
     );
   `;
   
@@ -96,22 +328,63 @@ const createUsersTable = async () => {
   console.log('✓ Users table created');
 };
 
+const createVenuesTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS venues (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      address VARCHAR(255),
+      city VARCHAR(100) NOT NULL,
+      latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+      longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180),
+      timezone VARCHAR(64) NOT NULL DEFAULT 'Europe/London',
+      capacity INTEGER CHECK (capacity > 0),
+      website_url VARCHAR(500),
+      venue_type VARCHAR(50),
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Venues table created');
+};
+
 const createGigsTable = async () => {
   const query = `
     CREATE TABLE IF NOT EXISTS gigs (
       id SERIAL PRIMARY KEY,
       title VARCHAR(200) NOT NULL,
       description TEXT,
-      venue VARCHAR(200) NOT NULL,
-      event_date TIMESTAMP NOT NULL,
+      venue_id INTEGER NOT NULL REFERENCES venues(id) ON DELETE RESTRICT,
+      event_date TIMESTAMPTZ NOT NULL,
+      doors_at TIMESTAMPTZ CHECK (doors_at <= event_date),
+      ends_at TIMESTAMPTZ CHECK (ends_at > event_date),
+      timezone VARCHAR(64),
       genre VARCHAR(50) NOT NULL,
       price DECIMAL(10,2) DEFAULT 0,
+      currency CHAR(3) NOT NULL DEFAULT 'GBP',
       image_url VARCHAR(500),
       ticket_url VARCHAR(500),
       user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
       status VARCHAR(20) DEFAULT 'active',
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      visibility VARCHAR(20) NOT NULL DEFAULT 'published' CHECK (visibility IN ('draft', 'scheduled', 'published')),
+      publish_at TIMESTAMPTZ,
+      published_at TIMESTAMPTZ,
+      hidden_at TIMESTAMPTZ,
+      hidden_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      recurrence_rule VARCHAR(255),
+      recurrence_freq VARCHAR(10) CHECK (recurrence_freq IN ('weekly', 'monthly')),
+      recurrence_interval INTEGER DEFAULT 1 CHECK (recurrence_interval BETWEEN 1 AND 52),
+      recurrence_count INTEGER CHECK (recurrence_count BETWEEN 1 AND 520),
+      recurrence_until TIMESTAMPTZ,
+      series_parent_id INTEGER REFERENCES gigs(id) ON DELETE SET NULL,
+      rescheduled_from INTEGER REFERENCES gigs(id) ON DELETE SET NULL,
+      search_vector TSVECTOR,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      CHECK (visibility <> 'scheduled' OR publish_at IS NOT NULL)
     );
   `;
   
@@ -120,6 +393,481 @@ const createGigsTable = async () => {
   console.log('✓ Gigs table created');
 };
 
+const createGigOccurrenceOverridesTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS gig_occurrence_overrides (
+      gig_id INTEGER REFERENCES gigs(id) ON DELETE CASCADE,
+      occurrence_date TIMESTAMPTZ NOT NULL,
+      is_excluded BOOLEAN DEFAULT FALSE,
+      title VARCHAR(200),
+      description TEXT,
+      event_date TIMESTAMPTZ,
+      price DECIMAL(10,2),
+      status VARCHAR(20),
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (gig_id, occurrence_date)
+    );
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Gig_occurrence_overrides table created');
+};
+
+const createGigTicketTiersTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS gig_ticket_tiers (
+      id SERIAL PRIMARY KEY,
+      gig_id INTEGER REFERENCES gigs(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      price DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (price >= 0),
+      currency CHAR(3) NOT NULL,
+      pay_what_you_can BOOLEAN DEFAULT FALSE,
+      available_from TIMESTAMPTZ,
+      available_until TIMESTAMPTZ,
+      sold_out BOOLEAN DEFAULT FALSE,
+      sort_order INTEGER DEFAULT 0,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      CHECK (available_until IS NULL OR available_from IS NULL OR available_until > available_from)
+    );
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Gig_ticket_tiers table created');
+};
+
+const createGigRevisionsTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS gig_revisions (
+      id SERIAL PRIMARY KEY,
+      gig_id INTEGER REFERENCES gigs(id) ON DELETE CASCADE,
+      action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'status', 'revert', 'merge', 'publish')),
+      changes JSONB,
+      snapshot JSONB NOT NULL,
+      occurrence_date TIMESTAMPTZ,
+      reverted_to_revision_id INTEGER REFERENCES gig_revisions(id) ON DELETE SET NULL,
+      author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Gig_revisions table created');
+};
+
+const createGigRedirectsTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS gig_redirects (
+      old_gig_id INTEGER PRIMARY KEY,
+      gig_id INTEGER NOT NULL REFERENCES gigs(id) ON DELETE CASCADE,
+      merged_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Gig_redirects table created');
+};
+
+const createGigDismissalsTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS gig_dismissals (
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      gig_id INTEGER REFERENCES gigs(id) ON DELETE CASCADE,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, gig_id)
+    );
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Gig_dismissals table created');
+};
+
+const createGigViewsTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS gig_views (
+      id BIGSERIAL PRIMARY KEY,
+      gig_id INTEGER NOT NULL REFERENCES gigs(id) ON DELETE CASCADE,
+      viewer_key VARCHAR(100) NOT NULL,
+      viewed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Gig_views table created');
+};
+
+const createGigTrendingScoresTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS gig_trending_scores (
+      time_window VARCHAR(3) NOT NULL CHECK (time_window IN ('24h', '7d', '30d')),
+      gig_id INTEGER NOT NULL REFERENCES gigs(id) ON DELETE CASCADE,
+      score NUMERIC(12, 4) NOT NULL,
+      saves INTEGER NOT NULL DEFAULT 0,
+      views INTEGER NOT NULL DEFAULT 0,
+      computed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (time_window, gig_id)
+    );
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Gig_trending_scores table created');
+};
+
+const createFeaturedGigsTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS featured_gigs (
+      id SERIAL PRIMARY KEY,
+      gig_id INTEGER NOT NULL REFERENCES gigs(id) ON DELETE CASCADE,
+      starts_at TIMESTAMPTZ NOT NULL,
+      ends_at TIMESTAMPTZ NOT NULL,
+      note VARCHAR(255),
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      CHECK (ends_at > starts_at)
+    );
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Featured_gigs table created');
+};
+
+const createGigRsvpsTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS gig_rsvps (
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      gig_id INTEGER REFERENCES gigs(id) ON DELETE CASCADE,
+      status VARCHAR(20) NOT NULL CHECK (status IN ('going', 'interested')),
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, gig_id)
+    );
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Gig_rsvps table created');
+};
+
+const createCommentsTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS comments (
+      id SERIAL PRIMARY KEY,
+      gig_id INTEGER REFERENCES gigs(id) ON DELETE CASCADE,
+      collection_id INTEGER REFERENCES collections(id) ON DELETE CASCADE,
+      parent_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      body TEXT NOT NULL,
+      edited_at TIMESTAMPTZ,
+      deleted_at TIMESTAMPTZ,
+      deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      CHECK ((gig_id IS NULL) <> (collection_id IS NULL))
+    );
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Comments table created');
+};
+
+const createGigReviewsTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS gig_reviews (
+      id SERIAL PRIMARY KEY,
+      gig_id INTEGER REFERENCES gigs(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+      body TEXT NOT NULL,
+      hidden_at TIMESTAMPTZ,
+      hidden_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(gig_id, user_id)
+    );
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Gig_reviews table created');
+};
+
+const createReportsTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS reports (
+      id SERIAL PRIMARY KEY,
+      target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('gig', 'collection', 'user', 'comment', 'review')),
+      target_id INTEGER NOT NULL,
+      reporter_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      reason VARCHAR(30) NOT NULL,
+      details TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'claimed', 'resolved', 'dismissed')),
+      claimed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      claimed_at TIMESTAMPTZ,
+      resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      resolved_at TIMESTAMPTZ,
+      resolution VARCHAR(20) CHECK (resolution IN ('hide', 'suspend', 'delete')),
+      resolution_note TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(target_type, target_id, reporter_id)
+    );
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Reports table created');
+};
+
+const createAdminActionsTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS admin_actions (
+      id SERIAL PRIMARY KEY,
+      admin_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      action VARCHAR(30) NOT NULL,
+      target_type VARCHAR(20) NOT NULL,
+      target_id INTEGER NOT NULL,
+      report_id INTEGER REFERENCES reports(id) ON DELETE SET NULL,
+      details JSONB,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Admin_actions table created');
+};
+
+const createGigStatusChangesTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS gig_status_changes (
+      id SERIAL PRIMARY KEY,
+      gig_id INTEGER REFERENCES gigs(id) ON DELETE CASCADE,
+      from_status VARCHAR(20) NOT NULL,
+      to_status VARCHAR(20) NOT NULL,
+      reason VARCHAR(500) NOT NULL,
+      occurrence_date TIMESTAMPTZ,
+      new_date TIMESTAMPTZ,
+      rescheduled_gig_id INTEGER REFERENCES gigs(id) ON DELETE SET NULL,
+      changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Gig_status_changes table created');
+};
+
+// Expands recurring gigs into one row per occurrence so list queries can filter,
+// sort and paginate occurrences like ordinary gigs
+// Each slot is computed from the series start (start + n * step) rather than the
+// previous slot, so a monthly gig on the 31st doesn't drift to the 28th after February
+// Open-ended series are capped at 520 occurrences (10 years of weekly gigs)
+// Slots step in the gig's local time, so a 20:00 weekly gig stays at 20:00 across clock changes
+// Doors and end times keep the same distance from the start as on the first occurrence
+// min_price/max_price come from the ticket tiers, falling back to the single price for gigs without tiers
+const createGigOccurrencesViews = async () => {
+  const query = `
+    CREATE OR REPLACE VIEW gig_occurrence_slots AS
+      SELECT g.id AS gig_id, 0 AS occurrence_index, g.event_date AS occurrence_date
+      FROM gigs g
+      WHERE g.recurrence_freq IS NULL
+      UNION ALL
+      SELECT g.id, s.n, s.occurrence_date
+      FROM gigs g
+      JOIN venues v ON v.id = g.venue_id
+      CROSS JOIN LATERAL (
+        SELECT n, ((g.event_date AT TIME ZONE COALESCE(g.timezone, v.timezone)) + (n * g.recurrence_interval) *
+          CASE g.recurrence_freq WHEN 'weekly' THEN INTERVAL '1 week' ELSE INTERVAL '1 month' END)
+          AT TIME ZONE COALESCE(g.timezone, v.timezone) AS occurrence_date
+        FROM generate_series(0, COALESCE(g.recurrence_count, 520) - 1) AS n
+      ) s
+      WHERE g.recurrence_freq IS NOT NULL
+        AND (g.recurrence_until IS NULL OR s.occurrence_date <= g.recurrence_until);
+
+    CREATE OR REPLACE VIEW gig_occurrences AS
+      SELECT g.id,
+             s.occurrence_index,
+             s.occurrence_date,
+             COALESCE(o.title, g.title) AS title,
+             COALESCE(o.description, g.description) AS description,
+             g.venue_id,
+             COALESCE(o.event_date, s.occurrence_date) AS event_date,
+             COALESCE(o.event_date, s.occurrence_date) - (g.event_date - g.doors_at) AS doors_at,
+             COALESCE(o.event_date, s.occurrence_date) + (g.ends_at - g.event_date) AS ends_at,
+             COALESCE(g.timezone, v.timezone) AS timezone,
+             g.genre,
+             COALESCE(o.price, g.price) AS price,
+             COALESCE(t.min_price, o.price, g.price) AS min_price,
+             COALESCE(t.max_price, o.price, g.price) AS max_price,
+             g.currency,
+             g.image_url,
+             g.ticket_url,
+             g.user_id,
+             COALESCE(o.status, g.status) AS status,
+             g.visibility,
+             g.publish_at,
+             g.hidden_at,
+             g.recurrence_rule,
+             (g.recurrence_freq IS NOT NULL) AS is_recurring,
+             g.search_vector,
+             g.created_at,
+             g.updated_at
+      FROM gig_occurrence_slots s
+      JOIN gigs g ON g.id = s.gig_id
+      JOIN venues v ON v.id = g.venue_id
+      LEFT JOIN gig_occurrence_overrides o
+        ON o.gig_id = s.gig_id AND o.occurrence_date = s.occurrence_date
+      LEFT JOIN LATERAL (
+        SELECT MIN(price) AS min_price, MAX(price) AS max_price
+        FROM gig_ticket_tiers
+        WHERE gig_id = g.id
+      ) t ON TRUE
+      WHERE o.is_excluded IS NOT TRUE;
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Gig occurrence views created');
+};
+
+// Weighted search vector for the gigs row aliased alias
+// Title matches outrank venue and lineup matches, which outrank description matches
+const gigSearchVectorSql = (alias) => `
+        setweight(to_tsvector('english', COALESCE(${alias}.title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE((SELECT name FROM venues WHERE id = ${alias}.venue_id), '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE((
+          SELECT string_agg(a.name, ' ')
+          FROM gig_artists ga
+          JOIN artists a ON a.id = ga.artist_id
+          WHERE ga.gig_id = ${alias}.id
+        ), '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(${alias}.description, '')), 'C')`;
+
+// Keeps gigs.search_vector in sync so GET /api/gigs?search= can rank matches
+// Renaming a venue or artist, or changing a lineup, touches the affected gigs so their vectors are rebuilt
+// Gigs created before the trigger existed are backfilled once at the end
+const createGigSearchTrigger = async () => {
+  const query = `
+    CREATE OR REPLACE FUNCTION gigs_search_vector_update() RETURNS trigger AS $$
+    BEGIN
+      NEW.search_vector := ${gigSearchVectorSql('NEW')};
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS gigs_search_vector_trigger ON gigs;
+    CREATE TRIGGER gigs_search_vector_trigger
+      BEFORE INSERT OR UPDATE OF title, venue_id, description ON gigs
+      FOR EACH ROW EXECUTE FUNCTION gigs_search_vector_update();
+
+    CREATE OR REPLACE FUNCTION venues_name_update() RETURNS trigger AS $$
+    BEGIN
+      UPDATE gigs SET venue_id = venue_id WHERE venue_id = NEW.id;
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS venues_name_trigger ON venues;
+    CREATE TRIGGER venues_name_trigger
+      AFTER UPDATE OF name ON venues
+      FOR EACH ROW WHEN (OLD.name IS DISTINCT FROM NEW.name)
+      EXECUTE FUNCTION venues_name_update();
+
+    CREATE OR REPLACE FUNCTION gig_artists_update() RETURNS trigger AS $$
+    BEGIN
+      UPDATE gigs SET venue_id = venue_id WHERE id = COALESCE(NEW.gig_id, OLD.gig_id);
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS gig_artists_search_trigger ON gig_artists;
+    CREATE TRIGGER gig_artists_search_trigger
+      AFTER INSERT OR UPDATE OR DELETE ON gig_artists
+      FOR EACH ROW EXECUTE FUNCTION gig_artists_update();
+
+    CREATE OR REPLACE FUNCTION artists_name_update() RETURNS trigger AS $$
+    BEGIN
+      UPDATE gigs SET venue_id = venue_id
+      WHERE id IN (SELECT gig_id FROM gig_artists WHERE artist_id = NEW.id);
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS artists_name_trigger ON artists;
+    CREATE TRIGGER artists_name_trigger
+      AFTER UPDATE OF name ON artists
+      FOR EACH ROW WHEN (OLD.name IS DISTINCT FROM NEW.name)
+      EXECUTE FUNCTION artists_name_update();
+
+    UPDATE gigs SET search_vector = ${gigSearchVectorSql('gigs')};
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Gig search trigger created');
+};
+
+const createArtistsTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS artists (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      bio TEXT,
+      image_url VARCHAR(500),
+      genres VARCHAR(50)[] DEFAULT '{}',
+      website_url VARCHAR(500),
+      social_links JSONB,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Artists table created');
+};
+
+const createGigArtistsTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS gig_artists (
+      gig_id INTEGER REFERENCES gigs(id) ON DELETE CASCADE,
+      artist_id INTEGER REFERENCES artists(id) ON DELETE CASCADE,
+      billing_order INTEGER NOT NULL DEFAULT 1 CHECK (billing_order > 0),
+      set_start TIMESTAMPTZ,
+      set_end TIMESTAMPTZ,
+      PRIMARY KEY (gig_id, artist_id),
+      CHECK (set_end IS NULL OR set_start IS NULL OR set_end > set_start)
+    );
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Gig_artists junction table created');
+};
+
+const createArtistFollowsTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS artist_follows (
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      artist_id INTEGER REFERENCES artists(id) ON DELETE CASCADE,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, artist_id)
+    );
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Artist_follows junction table created');
+};
+
+// Duplicate detection compares titles by trigram similarity and venues by normalised name
+// Must run before createIndexes, which builds indexes on both
+const createDuplicateDetection = async () => {
+  const query = `
+    CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+    CREATE OR REPLACE FUNCTION normalise_venue_name(name TEXT) RETURNS TEXT AS $$
+      SELECT regexp_replace(regexp_replace(LOWER(name), '^the\\s+', ''), '[^a-z0-9]', '', 'g');
+    $$ LANGUAGE sql IMMUTABLE;
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Duplicate detection extension and functions created');
+};
+
 const createCollectionsTable = async () => {
   const query = `
     CREATE TABLE IF NOT EXISTS collections (
@@ -128,8 +876,11 @@ const createCollectionsTable = async () => {
       description TEXT,
       user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
       is_public BOOLEAN DEFAULT FALSE,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      calendar_token VARCHAR(64) UNIQUE,
+      hidden_at TIMESTAMPTZ,
+      hidden_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
     );
   `;
   
@@ -143,7 +894,7 @@ const createCollectionGigsTable = async () => {
     CREATE TABLE IF NOT EXISTS collection_gigs (
       collection_id INTEGER REFERENCES collections(id) ON DELETE CASCADE,
       gig_id INTEGER REFERENCES gigs(id) ON DELETE CASCADE,
-      added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      added_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
       PRIMARY KEY (collection_id, gig_id)
     );
   `;
@@ -159,7 +910,9 @@ const createGenresTable = async () => {
       id SERIAL PRIMARY KEY,
       name VARCHAR(50) UNIQUE NOT NULL,
       slug VARCHAR(50) UNIQUE NOT NULL,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      parent_id INTEGER REFERENCES genres(id) ON DELETE RESTRICT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
     );
   `;
   
@@ -168,6 +921,20 @@ const createGenresTable = async () => {
   console.log('✓ Genres table created');
 };
 
+const createGigGenresTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS gig_genres (
+      gig_id INTEGER NOT NULL REFERENCES gigs(id) ON DELETE CASCADE,
+      genre_id INTEGER NOT NULL REFERENCES genres(id) ON DELETE RESTRICT,
+      position INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (gig_id, genre_id)
+    );
+  `;
+
+  await executeQuery(query);
+  console.log('✓ Gig_genres junction table created');
+};
+
 const createIndexes = async () => {
   const indexes = [
     // Users table indexes
@@ -176,10 +943,44 @@ const createIndexes = async () => {
     
     // Gigs table indexes
     'CREATE INDEX IF NOT EXISTS idx_gigs_user_id ON gigs(user_id);',
+    'CREATE INDEX IF NOT EXISTS idx_gigs_venue_id ON gigs(venue_id);',
+    'CREATE INDEX IF NOT EXISTS idx_gigs_rescheduled_from ON gigs(rescheduled_from);',
+    'CREATE INDEX IF NOT EXISTS idx_gig_ticket_tiers_gig_id ON gig_ticket_tiers(gig_id, sort_order);',
+    'CREATE INDEX IF NOT EXISTS idx_gig_revisions_gig_id ON gig_revisions(gig_id, created_at);',
+    'CREATE INDEX IF NOT EXISTS idx_gig_redirects_gig_id ON gig_redirects(gig_id);',
+    'CREATE INDEX IF NOT EXISTS idx_gig_views_gig_id ON gig_views(gig_id, viewer_key, viewed_at);',
+    'CREATE INDEX IF NOT EXISTS idx_gig_views_viewed_at ON gig_views(viewed_at);',
+    'CREATE INDEX IF NOT EXISTS idx_gig_trending_scores_score ON gig_trending_scores(time_window, score DESC);',
+    'CREATE INDEX IF NOT EXISTS idx_featured_gigs_dates ON featured_gigs(starts_at, ends_at);',
+    'CREATE INDEX IF NOT EXISTS idx_gig_rsvps_gig_id ON gig_rsvps(gig_id, status);',
+    'CREATE INDEX IF NOT EXISTS idx_comments_gig_id ON comments(gig_id, created_at) WHERE parent_id IS NULL;',
+    'CREATE INDEX IF NOT EXISTS idx_comments_collection_id ON comments(collection_id, created_at) WHERE parent_id IS NULL;',
+    'CREATE INDEX IF NOT EXISTS idx_comments_parent_id ON comments(parent_id);',
+    'CREATE INDEX IF NOT EXISTS idx_gig_reviews_gig_id ON gig_reviews(gig_id, created_at);',
+    'CREATE INDEX IF NOT EXISTS idx_reports_target ON reports(target_type, target_id);',
+    'CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, created_at);',
+    'CREATE INDEX IF NOT EXISTS idx_admin_actions_created_at ON admin_actions(created_at);',
+    'CREATE INDEX IF NOT EXISTS idx_admin_actions_target ON admin_actions(target_type, target_id);',
+    'CREATE INDEX IF NOT EXISTS idx_collection_gigs_added_at ON collection_gigs(added_at);',
+    'CREATE INDEX IF NOT EXISTS idx_gig_status_changes_gig_id ON gig_status_changes(gig_id, created_at);',
     'CREATE INDEX IF NOT EXISTS idx_gigs_event_date ON gigs(event_date);',
     'CREATE INDEX IF NOT EXISTS idx_gigs_genre ON gigs(genre);',
     'CREATE INDEX IF NOT EXISTS idx_gigs_status ON gigs(status);',
-    'CREATE INDEX IF NOT EXISTS idx_gigs_title ON gigs USING gin(to_tsvector(\'english\', title));',
+    "CREATE INDEX IF NOT EXISTS idx_gigs_publish_at ON gigs(publish_at) WHERE visibility = 'scheduled';",
+    'CREATE INDEX IF NOT EXISTS idx_gigs_search_vector ON gigs USING gin(search_vector);',
+    'CREATE INDEX IF NOT EXISTS idx_gigs_title_trgm ON gigs USING gin(LOWER(title) gin_trgm_ops);',
+    
+    // Venues table indexes
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_venues_name_city ON venues(LOWER(name), LOWER(city));',
+    'CREATE INDEX IF NOT EXISTS idx_venues_city ON venues(LOWER(city));',
+    'CREATE INDEX IF NOT EXISTS idx_venues_lat_lng ON venues(latitude, longitude);',
+    'CREATE INDEX IF NOT EXISTS idx_venues_normalised_name ON venues(normalise_venue_name(name), LOWER(city));',
+    
+    // Artists table indexes
+    'CREATE INDEX IF NOT EXISTS idx_artists_name ON artists(LOWER(name));',
+    'CREATE INDEX IF NOT EXISTS idx_gig_artists_artist_id ON gig_artists(artist_id);',
+    'CREATE INDEX IF NOT EXISTS idx_artists_genres ON artists USING gin(genres);',
+    'CREATE INDEX IF NOT EXISTS idx_artist_follows_artist_id ON artist_follows(artist_id);',
     
     // Collections table indexes
     'CREATE INDEX IF NOT EXISTS idx_collections_user_id ON collections(user_id);',
@@ -192,7 +993,9 @@ const createIndexes = async () => {
     
     // Genres table indexes
     'CREATE INDEX IF NOT EXISTS idx_genres_name ON genres(name);',
-    'CREATE INDEX IF NOT EXISTS idx_genres_slug ON genres(slug);'
+    'CREATE INDEX IF NOT EXISTS idx_genres_slug ON genres(slug);',
+    'CREATE INDEX IF NOT EXISTS idx_genres_parent_id ON genres(parent_id);',
+    'CREATE INDEX IF NOT EXISTS idx_gig_genres_genre_id ON gig_genres(genre_id);'
   ];
   
   // TODO: Execute all index creation queries
@@ -225,14 +1028,62 @@ const populateGenres = async () => {
     { name: 'World Music', slug: 'world-music' },
     { name: 'Experimental', slug: 'experimental' }
   ];
+
+  // Starting subgenres, keyed by their parent's slug - admins add more at /api/admin/genres
+  const subgenres = {
+    metal: [
+      { name: 'Doom', slug: 'doom' },
+      { name: 'Black Metal', slug: 'black-metal' },
+      { name: 'Death Metal', slug: 'death-metal' },
+      { name: 'Thrash', slug: 'thrash' }
+    ],
+    electronic: [
+      { name: 'House', slug: 'house' },
+      { name: 'Techno', slug: 'techno' },
+      { name: 'Drum & Bass', slug: 'drum-bass' },
+      { name: 'Ambient', slug: 'ambient' }
+    ],
+    rock: [
+      { name: 'Post-Rock', slug: 'post-rock' },
+      { name: 'Garage Rock', slug: 'garage-rock' }
+    ],
+    punk: [
+      { name: 'Hardcore', slug: 'hardcore' },
+      { name: 'Post-Punk', slug: 'post-punk' }
+    ],
+    jazz: [
+      { name: 'Bebop', slug: 'bebop' },
+      { name: 'Jazz Fusion', slug: 'jazz-fusion' }
+    ],
+    'hip-hop': [
+      { name: 'Grime', slug: 'grime' }
+    ]
+  };
   
-  // TODO: Insert genre data into database
-  // for (const genre of genres) {
-  //   await executeQuery(
-  //     'INSERT INTO genres (name, slug) VALUES ($1, $2) ON CONFLICT (name) DO NOTHING;',
-  //     [genre.name, genre.slug]
-  //   );
-  // }
+  for (const genre of genres) {
+    await executeQuery(
+      'INSERT INTO genres (name, slug) VALUES ($1, $2) ON CONFLICT (name) DO NOTHING;',
+      [genre.name, genre.slug]
+    );
+  }
+
+  for (const [parentSlug, children] of Object.entries(subgenres)) {
+    for (const genre of children) {
+      await executeQuery(
+        `INSERT INTO genres (name, slug, parent_id)
+         SELECT $1, $2, id FROM genres WHERE slug = $3
+         ON CONFLICT (name) DO NOTHING;`,
+        [genre.name, genre.slug, parentSlug]
+      );
+    }
+  }
+
+  // Gigs from before gig_genres keep their single genre as their primary one
+  await executeQuery(
+    `INSERT INTO gig_genres (gig_id, genre_id, position)
+     SELECT g.id, ge.id, 0 FROM gigs g JOIN genres ge ON ge.name = g.genre
+     ON CONFLICT (gig_id, genre_id) DO NOTHING;`
+  );
   console.log('✓ Genre data populated');
 };
 
@@ -243,10 +1094,32 @@ const runMigration = async () => {
     
     // Create tables
     // await createUsersTable();
+    // await createVenuesTable();
     // await createGigsTable();
     // await createCollectionsTable();
     // await createCollectionGigsTable();
     // await createGenresTable();
+    // await createGigGenresTable();
+    // await createGigOccurrenceOverridesTable();
+    // await createGigStatusChangesTable();
+    // await createGigTicketTiersTable();
+    // await createGigRevisionsTable();
+    // await createGigRedirectsTable();
+    // await createGigDismissalsTable();
+    // await createGigViewsTable();
+    // await createGigTrendingScoresTable();
+    // await createFeaturedGigsTable();
+    // await createGigRsvpsTable();
+    // await createCommentsTable();
+    // await createGigReviewsTable();
+    // await createReportsTable();
+    // await createAdminActionsTable();
+    // await createArtistsTable();
+    // await createGigArtistsTable();
+    // await createArtistFollowsTable();
+    // await createGigSearchTrigger();
+    // await createGigOccurrencesViews();
+    // await createDuplicateDetection();
     
     // Create indexes
     // await createIndexes();
@@ -257,10 +1130,27 @@ const runMigration = async () => {
     console.log('\n✅ Database migration completed successfully!');
     console.log('\nDatabase schema created:');
     console.log('- Users table (with authentication fields)');
-    console.log('- Gigs table (with event management)');
+    console.log('- Venues table (shared venue directory with timezones)');
+    console.log('- Gigs table (with doors/start/end times, recurrence rules, timezones and draft/scheduled visibility)');
+    console.log('- Gig_occurrence_overrides table (per-occurrence edits and exceptions)');
+    console.log('- Gig_status_changes table (status history with reasons)');
+    console.log('- Gig_ticket_tiers table (ticket tiers with prices and sale windows)');
+    console.log('- Gig_revisions table (change history with field-level diffs)');
+    console.log('- Gig_redirects table (merged gig IDs pointing at the surviving gig)');
+    console.log('- Gig_dismissals table ("not interested" recommendations)');
+    console.log('- Gig_views and gig_trending_scores tables (activity and trending scores)');
+    console.log('- Featured_gigs table (admin pins with start/end dates)');
+    console.log('- Gig_rsvps table ("going" and "interested" RSVPs)');
+    console.log('- Comments table (threaded comments on gigs and collections)');
+    console.log('- Gig_reviews table (post-gig ratings and reviews)');
+    console.log('- Reports table (content reported by users, worked through by admins)');
+    console.log('- Admin_actions table (log of every admin action)');
+    console.log('- Artists table and gig_artists junction table (lineups with set times)');
+    console.log('- Artist_follows junction table (users following artists)');
     console.log('- Collections table (with privacy settings)');
     console.log('- Collection_gigs junction table (many-to-many)');
-    console.log('- Genres table (with predefined music genres)');
+    console.log('- Genres table (with predefined music genres and subgenres)');
+    console.log('- Gig_genres junction table (several genres per gig, primary first)');
     console.log('\nYou can now start the API server.');
     
   } catch (error) {
@@ -277,10 +1167,32 @@ if (require.main === module) {
 module.exports = {
   runMigration,
   createUsersTable,
+  createVenuesTable,
   createGigsTable,
   createCollectionsTable,
   createCollectionGigsTable,
   createGenresTable,
+  createGigGenresTable,
+  createGigOccurrenceOverridesTable,
+  createGigStatusChangesTable,
+  createGigTicketTiersTable,
+  createGigRevisionsTable,
+  createGigRedirectsTable,
+  createGigDismissalsTable,
+  createGigViewsTable,
+  createGigTrendingScoresTable,
+  createFeaturedGigsTable,
+  createGigRsvpsTable,
+  createCommentsTable,
+  createGigReviewsTable,
+  createReportsTable,
+  createAdminActionsTable,
+  createArtistsTable,
+  createGigArtistsTable,
+  createArtistFollowsTable,
+  createGigOccurrencesViews,
+  createGigSearchTrigger,
+  createDuplicateDetection,
   createIndexes,
   populateGenres
 };
\ No newline at end of file
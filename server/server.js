@@ -119,30 +119,107 @@ app.listen(PORT, () => {
  // - POST /api/auth/login - User login
  // - GET  /api/auth/me - Get current user info (protected)
  // - POST /api/auth/logout - User logout
+ // - POST /api/auth/reset-password - Choose a new password (required after an admin forces a reset)
  //
  // GIGS (Public/Private):
- // - GET    /api/gigs - Get all gigs (public)
+ // - GET    /api/gigs - Get all gigs, upcoming by default, ?when=upcoming|past|all (public)
  // - GET    /api/gigs/:id - Get specific gig details (public)
- // - GET    /api/gigs/my - Get user's own gigs (private)
+ // - GET    /api/gigs/:id.ics - Download gig as iCalendar file (public)
+ // - GET    /api/gigs/my - Get user's own gigs, including drafts and scheduled gigs, ?visibility= (private)
+ // - GET    /api/gigs/following - Upcoming gigs by artists the user follows (private)
+ // - GET    /api/gigs/for-you - Personalised recommendations (private)
+ // - POST   /api/gigs/:id/not-interested - Dismiss a recommendation (private)
+ // - DELETE /api/gigs/:id/not-interested - Undo a dismissal (private)
+ // - POST   /api/gigs/:id/rsvp - RSVP as going or interested (private)
+ // - DELETE /api/gigs/:id/rsvp - Remove RSVP (private)
+ // - GET    /api/gigs/:id/reviews - Reviews and rating summary (public)
+ // - POST   /api/gigs/:id/reviews - Review a gig after it has happened (private)
+ // - POST   /api/gigs/:id/reviews/:reviewId/report - Report a review (private)
+ // - GET    /api/gigs/:id/comments - Comment threads on a gig (public)
+ // - POST   /api/gigs/:id/comments - Comment or reply (private)
+ // - PUT    /api/gigs/:id/comments/:commentId - Edit own comment (private)
+ // - DELETE /api/gigs/:id/comments/:commentId - Delete own comment, or any as admin (private)
+ // - GET    /api/gigs/trending - Trending gigs, ?window=24h|7d|30d&genre= (public)
+ // - GET    /api/gigs/featured - Admin-pinned gigs topped up with trending ones (public)
  // - POST   /api/gigs - Create new gig (private)
+ // - POST   /api/gigs/import - Bulk import gigs from CSV/JSON/.ics (private)
+ // - POST   /api/gigs/:id/status - Change gig status with a reason (private)
+ // - GET    /api/gigs/:id/similar - Similar upcoming gigs with score breakdown (public)
+ // - GET    /api/gigs/:id/duplicates - Likely duplicates of a gig (public)
+ // - GET    /api/gigs/:id/history - Gig revision history (public)
+ // - POST   /api/gigs/:id/revert/:revisionId - Revert gig to a revision (owner or admin)
  // - PUT    /api/gigs/:id - Update gig (private)
  // - DELETE /api/gigs/:id - Delete gig (private)
  //
  // COLLECTIONS:
  // - GET    /api/collections - Get all collections (public)
  // - GET    /api/collections/my - Get user's collections (private)
- // - GET    /api/collections/:id - Get specific collection
+ // - GET    /api/collections/:id - Get specific collection, upcoming and past gigs listed apart
  // - POST   /api/collections - Create new collection (private)
  // - PUT    /api/collections/:id - Update collection (private)
  // - DELETE /api/collections/:id - Delete collection (private)
  // - POST   /api/collections/:id/gigs/:gigId - Add gig to collection
  // - DELETE /api/collections/:id/gigs/:gigId - Remove gig from collection
+ // - GET    /api/collections/:id/calendar.ics - Calendar feed (public, ?token= for private)
+ // - POST   /api/collections/:id/calendar-token - Create/rotate secret feed URL (private)
+ // - GET    /api/collections/:id/comments - Comment threads on a collection
+ // - POST   /api/collections/:id/comments - Comment or reply (private)
+ // - PUT    /api/collections/:id/comments/:commentId - Edit own comment (private)
+ // - DELETE /api/collections/:id/comments/:commentId - Delete own comment, or any as admin (private)
  //
  // USERS:
  // - GET /api/users - Get all users (public)
  // - GET /api/users/:id - Get user details (public)
- // - GET /api/users/:id/gigs - Get user's gigs (public)
+ // - GET /api/users/:id/gigs - Get user's gigs, ?when=upcoming|past|all or ?upcoming=true (public)
  // - GET /api/users/:id/collections - Get user's collections (public)
+ // - GET /api/users/:id/going - Upcoming gigs the user RSVP'd to (public unless private)
+ // - PUT /api/users/:id/privacy - Choose whether RSVPs are public (private)
+ // - GET /api/users/:id/stats - User statistics, including their gigs' average rating (public)
+ // - GET /api/users/:id/calendar.ics - Personal calendar feed (public, ?token= adds private collections)
+ // - POST /api/users/:id/calendar-token - Create/rotate personal feed URL (private)
+ //
+ // VENUES:
+ // - GET    /api/venues - Get all venues (public)
+ // - GET    /api/venues/:id - Get venue details with rating and upcoming gigs (public)
+ // - POST   /api/venues - Create new venue (private)
+ // - PUT    /api/venues/:id - Update venue (private)
+ // - DELETE /api/venues/:id - Delete venue (private)
+ //
+ // ADMIN (admin role required):
+ // - POST   /api/admin/gigs/merge - Merge duplicate gigs, leaving redirects (admin)
+ // - GET    /api/admin/featured - List featured pins (admin)
+ // - POST   /api/admin/featured - Pin a gig as featured between two dates (admin)
+ // - DELETE /api/admin/featured/:id - Remove a featured pin (admin)
+ // - GET    /api/admin/reports - Moderation queue, ?status=&target_type= (admin)
+ // - POST   /api/admin/reports/:id/claim - Claim a report (admin)
+ // - POST   /api/admin/reports/:id/resolve - Resolve, optionally hiding, suspending or deleting (admin)
+ // - POST   /api/admin/reports/:id/dismiss - Dismiss a report (admin)
+ // - GET    /api/admin/actions - Admin action log (admin)
+ // - GET    /api/admin/users - Search users, ?q=&role=&status= (admin)
+ // - PUT    /api/admin/users/:id/role - Change a user's role (admin)
+ // - POST   /api/admin/users/:id/suspend - Suspend a user (admin)
+ // - POST   /api/admin/users/:id/unsuspend - Lift a suspension (admin)
+ // - POST   /api/admin/users/:id/force-password-reset - Make a user choose a new password (admin)
+ // - POST   /api/admin/users/:id/impersonate - Read-only token for a user (admin)
+ // - GET    /api/admin/stats - Site counts and signups over time, ?interval=day|week|month (admin)
+ // - POST   /api/admin/genres - Add a genre or subgenre (admin)
+ // - PUT    /api/admin/genres/:id - Rename, re-slug or move a genre (admin)
+ // - DELETE /api/admin/genres/:id - Delete a genre, ?replace_with= to move its gigs (admin)
+ //
+ // GENRES:
+ // - GET    /api/genres - Every genre with its subgenres (public)
+ //
+ // REPORTS:
+ // - POST   /api/reports - Report a gig, collection, user, comment or review (private)
+ //
+ // ARTISTS:
+ // - GET    /api/artists - Get all artists (public)
+ // - GET    /api/artists/following - Get artists the user follows (private)
+ // - GET    /api/artists/:id - Get artist profile with upcoming/past gigs (public)
+ // - POST   /api/artists - Create new artist (private)
+ // - PUT    /api/artists/:id - Update artist (private)
+ // - POST   /api/artists/:id/follow - Follow artist (private)
+ // - DELETE /api/artists/:id/follow - Unfollow artist (private)
  //
  // Example: app.use('/api/auth', authRoutes);
 
@@ -160,6 +237,8 @@ app.listen(PORT, () => {
  // Start the server
  // - Test database connection
  // - app.listen(PORT, () => { ... });
+ // - Start background jobs: startTrendingJob() from utils/trending.js,
+//   startPublishingJob() from utils/publishing.js, startArchivingJob() from utils/archiving.js
  // - Handle graceful shutdown
  //
 
@@ -0,0 +1,149 @@
+/**
+ * PAST GIGS
+ *
+ * A gig is over once it ends - at ends_at, or DEFAULT_GIG_HOURS after the start for gigs
+ * without an end time. A recurring gig is over once its last occurrence is.
+ *
+ * Queries split upcoming from past with whenSql(), which compares end times directly, so a gig
+ * leaves the upcoming lists the moment it ends even if the archiver has not run yet (a gig that
+ * is on right now still counts as upcoming). archivePastGigs() then makes it permanent: active
+ * and sold-out gigs that are over move to status past, with a "status" revision. Cancelled and
+ * postponed gigs keep their status. startArchivingJob() runs it every ARCHIVE_CHECK_SECONDS; the
+ * script can also be run directly (node utils/archiving.js).
+ *
+ * Past gigs stay in collections, listed apart from the upcoming ones (routes/collections.js).
+ */
+
+const { executeTransaction } = require('../config/database');
+const { recordRevision } = require('./revisions');
+
+// ?when= values for gig lists
+const GIG_WHEN = ['upcoming', 'past', 'all'];
+
+// Statuses the archiver moves to past
+const ARCHIVABLE_STATUSES = ['active', 'sold_out'];
+
+// Matches the event length calendar feeds assume (DEFAULT_GIG_DURATION in utils/ical.js)
+const DEFAULT_GIG_HOURS = 3;
+
+const ARCHIVE_CHECK_SECONDS = 300;
+
+/**
+ * SQL for when a gig or occurrence ends
+ * @param {string} alias - table or view alias holding event_date and ends_at
+ * @returns {string}
+ */
+const gigEndSql = (alias = 'g') =>
+  `COALESCE(${alias}.ends_at, ${alias}.event_date + make_interval(hours => ${DEFAULT_GIG_HOURS}))`;
+
+/**
+ * SQL condition picking upcoming or past occurrences (or all of them)
+ * @param {string} alias - alias of a gig_occurrences row (or a one-off gigs row)
+ * @param {'upcoming'|'past'|'all'} when
+ * @returns {string}
+ */
+const whenSql = (alias, when) => ({
+  upcoming: `${gigEndSql(alias)} >= NOW()`,
+  past: `${gigEndSql(alias)} < NOW()`,
+  all: 'TRUE'
+})[when];
+
+/**
+ * SQL condition that is true once every occurrence of a gig is over
+ * @param {string} alias - alias of a gigs row
+ * @returns {string}
+ */
+const gigIsOverSql = (alias = 'g') => `NOT EXISTS (
+  SELECT 1 FROM gig_occurrences o
+  WHERE o.id = ${alias}.id AND ${whenSql('o', 'upcoming')})`;
+
+/**
+ * Move every active or sold-out gig that is over to status past
+ * Rows are locked with SKIP LOCKED so two servers running the job never archive a gig twice
+ * @returns {Promise<number[]>} IDs of the gigs archived
+ */
+const archivePastGigs = async () => {
+  return executeTransaction(async (client) => {
+    // A gig can't be over before it starts, which rules out most rows cheaply
+    const due = await client.query(
+      `SELECT g.id, g.status FROM gigs g
+       WHERE g.status = ANY($1::text[]) AND g.event_date < NOW() AND ${gigIsOverSql('g')}
+       ORDER BY g.event_date ASC
+       FOR UPDATE OF g SKIP LOCKED`,
+      [ARCHIVABLE_STATUSES]
+    );
+
+    if (due.rows.length === 0) {
+      return [];
+    }
+
+    const gigIds = due.rows.map((row) => row.id);
+    await client.query(
+      `UPDATE gigs SET status = 'past', updated_at = CURRENT_TIMESTAMP WHERE id = ANY($1::int[])`,
+      [gigIds]
+    );
+
+    for (const gig of due.rows) {
+      await recordRevision(client, gig.id, {
+        action: 'status',
+        userId: null,
+        changes: { status: { from: gig.status, to: 'past' } }
+      });
+    }
+
+    return gigIds;
+  });
+};
+
+/**
+ * Put a past gig back to active if an edit gave it an occurrence that hasn't ended
+ * @param {Object} client - transaction client
+ * @param {number} gigId
+ */
+const unarchiveGig = async (client, gigId) => {
+  await client.query(
+    `UPDATE gigs g SET status = 'active'
+     WHERE g.id = $1 AND g.status = 'past' AND NOT ${gigIsOverSql('g')}`,
+    [gigId]
+  );
+};
+
+/**
+ * Archive gigs that are over now and then every ARCHIVE_CHECK_SECONDS
+ * The timer is unref'd so it never keeps the process alive on its own
+ * @returns {NodeJS.Timeout} pass to clearInterval to stop the job
+ */
+const startArchivingJob = () => {
+  const run = () => archivePastGigs().catch((error) => {
+    console.error('Past gig archiving error:', error);
+  });
+
+  run();
+  const timer = setInterval(run, ARCHIVE_CHECK_SECONDS * 1000);
+  timer.unref();
+  return timer;
+};
+
+// Run once if called directly
+if (require.main === module) {
+  archivePastGigs()
+    .then((gigIds) => {
+      console.log(`✓ Archived ${gigIds.length} past gig(s)`);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Past gig archiving failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  GIG_WHEN,
+  ARCHIVE_CHECK_SECONDS,
+  gigEndSql,
+  whenSql,
+  gigIsOverSql,
+  archivePastGigs,
+  unarchiveGig,
+  startArchivingJob
+};
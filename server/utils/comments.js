@@ -0,0 +1,223 @@
+/**
+ * COMMENT HELPERS
+ *
+ * Gigs and collections share the comments table. Every helper takes a target,
+ * { type: 'gig' | 'collection', id }; the routes check the target is visible to the
+ * current user before calling them, so comments are exactly as visible as what they're on.
+ *
+ * Threads are one level deep: a comment either starts a thread (parent_id null) or replies
+ * to one. Replying to a reply adds to the same thread.
+ *
+ * Authors delete their comments outright, unless the comment has replies - then it becomes a
+ * placeholder so the thread still reads. Admins always soft delete (deleted_by records who).
+ */
+
+const { body, param, query } = require('express-validator');
+const { executeQuery } = require('../config/database');
+
+const COMMENT_MAX_LENGTH = 2000;
+
+// Shared by the gig and collection comment routes
+const commentListValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+];
+
+const commentValidation = [
+  body('body')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: COMMENT_MAX_LENGTH })
+    .withMessage(`Comment must be between 1 and ${COMMENT_MAX_LENGTH} characters`)
+];
+
+const commentIdValidation = param('commentId').isInt({ min: 1 }).withMessage('Invalid comment ID');
+
+const TARGET_COLUMNS = {
+  gig: 'gig_id',
+  collection: 'collection_id'
+};
+
+const COMMENT_COLUMNS = `
+  c.id, c.parent_id, c.body, c.user_id, u.name AS user_name, u.avatar_url AS user_avatar_url,
+  c.edited_at, c.deleted_at, c.created_at`;
+
+// Deleted comments keep their place in a thread but lose their text and author
+const presentComment = (row) => (row.deleted_at
+  ? {
+    id: row.id,
+    parent_id: row.parent_id,
+    body: null,
+    user_id: null,
+    user_name: null,
+    user_avatar_url: null,
+    is_deleted: true,
+    is_edited: false,
+    created_at: row.created_at
+  }
+  : {
+    id: row.id,
+    parent_id: row.parent_id,
+    body: row.body,
+    user_id: row.user_id,
+    user_name: row.user_name,
+    user_avatar_url: row.user_avatar_url,
+    is_deleted: false,
+    is_edited: row.edited_at !== null,
+    edited_at: row.edited_at,
+    created_at: row.created_at
+  });
+
+/**
+ * One page of threads on a target, oldest first, each with all its live replies
+ * Threads whose first comment was deleted are kept while they still have replies
+ * @param {{ type: string, id: number }} target
+ * @param {{ limit: number, offset: number }} page
+ * @returns {Promise<{ total: number, comments: Object[] }>}
+ */
+const listComments = async (target, { limit, offset }) => {
+  const column = TARGET_COLUMNS[target.type];
+  const threadCondition = `
+    c.${column} = $1 AND c.parent_id IS NULL
+    AND (c.deleted_at IS NULL
+         OR EXISTS (SELECT 1 FROM comments r WHERE r.parent_id = c.id AND r.deleted_at IS NULL))`;
+
+  const countResult = await executeQuery(
+    `SELECT COUNT(*) FROM comments c WHERE ${threadCondition}`,
+    [target.id]
+  );
+
+  const threads = await executeQuery(
+    `SELECT ${COMMENT_COLUMNS}
+     FROM comments c
+     LEFT JOIN users u ON u.id = c.user_id
+     WHERE ${threadCondition}
+     ORDER BY c.created_at ASC, c.id ASC
+     LIMIT $2 OFFSET $3`,
+    [target.id, limit, offset]
+  );
+
+  const replies = await executeQuery(
+    `SELECT ${COMMENT_COLUMNS}
+     FROM comments c
+     LEFT JOIN users u ON u.id = c.user_id
+     WHERE c.parent_id = ANY($1::int[]) AND c.deleted_at IS NULL
+     ORDER BY c.created_at ASC, c.id ASC`,
+    [threads.rows.map((row) => row.id)]
+  );
+
+  return {
+    total: parseInt(countResult.rows[0].count),
+    comments: threads.rows.map((thread) => {
+      const threadReplies = replies.rows.filter((reply) => reply.parent_id === thread.id).map(presentComment);
+      return { ...presentComment(thread), reply_count: threadReplies.length, replies: threadReplies };
+    })
+  };
+};
+
+/**
+ * Fetch a live (not deleted) comment on a target
+ * @returns {Promise<Object|null>} the comment row, or null after sending a 404
+ */
+const findComment = async (res, target, commentId) => {
+  const result = await executeQuery(
+    `SELECT * FROM comments
+     WHERE id = $1 AND ${TARGET_COLUMNS[target.type]} = $2 AND deleted_at IS NULL`,
+    [commentId, target.id]
+  );
+
+  if (result.rows.length === 0) {
+    res.status(404).json({
+      success: false,
+      error: 'Comment not found'
+    });
+    return null;
+  }
+
+  return result.rows[0];
+};
+
+// Fetch one comment ready to return from the API
+const fetchComment = async (commentId) => {
+  const result = await executeQuery(
+    `SELECT ${COMMENT_COLUMNS}
+     FROM comments c
+     LEFT JOIN users u ON u.id = c.user_id
+     WHERE c.id = $1`,
+    [commentId]
+  );
+  return presentComment(result.rows[0]);
+};
+
+/**
+ * Add a comment, or a reply to the thread the parent comment belongs to
+ * @param {{ type: string, id: number }} target
+ * @param {number} userId
+ * @param {string} body
+ * @param {Object|null} parent - comment row from findComment, for replies
+ * @returns {Promise<Object>} the new comment
+ */
+const createComment = async (target, userId, body, parent = null) => {
+  const threadId = parent ? parent.parent_id || parent.id : null;
+
+  const result = await executeQuery(
+    `INSERT INTO comments (${TARGET_COLUMNS[target.type]}, parent_id, user_id, body)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id`,
+    [target.id, threadId, userId, body]
+  );
+
+  return fetchComment(result.rows[0].id);
+};
+
+/**
+ * Replace a comment's text
+ * @returns {Promise<Object>} the updated comment
+ */
+const updateComment = async (commentId, body) => {
+  await executeQuery(
+    `UPDATE comments
+     SET body = $1, edited_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2`,
+    [body, commentId]
+  );
+  return fetchComment(commentId);
+};
+
+/**
+ * Delete a comment as its author (removed unless it has replies) or as an admin (always soft)
+ * @param {Object} comment - row from findComment
+ * @param {{ userId: number, asAdmin: boolean }} options
+ * @returns {Promise<boolean>} true if the comment was soft deleted
+ */
+const deleteComment = async (comment, { userId, asAdmin }) => {
+  const replies = await executeQuery(
+    'SELECT 1 FROM comments WHERE parent_id = $1 AND deleted_at IS NULL LIMIT 1',
+    [comment.id]
+  );
+
+  if (!asAdmin && replies.rows.length === 0) {
+    await executeQuery('DELETE FROM comments WHERE id = $1', [comment.id]);
+    return false;
+  }
+
+  await executeQuery(
+    `UPDATE comments
+     SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2`,
+    [userId, comment.id]
+  );
+  return true;
+};
+
+module.exports = {
+  COMMENT_MAX_LENGTH,
+  commentListValidation,
+  commentValidation,
+  commentIdValidation,
+  listComments,
+  findComment,
+  createComment,
+  updateComment,
+  deleteComment
+};
@@ -0,0 +1,188 @@
+/**
+ * GENRE HELPERS
+ *
+ * The genres table is the only list of genres: gig and artist validation, the genre filters and
+ * GET /api/genres all read it, and admins edit it at /api/admin/genres.
+ *
+ * Genres nest one level deep - a top-level genre (Metal) can have subgenres (Doom), but a
+ * subgenre can't have its own. Filtering by a genre includes its subgenres.
+ *
+ * Gigs take up to MAX_GIG_GENRES genres through gig_genres, primary first. The primary genre's
+ * name is also kept in gigs.genre, which calendar feeds, similar gigs and recommendations read.
+ * Artists keep genre names in artists.genres.
+ *
+ * Requests can name a genre by its name (any case) or its slug.
+ */
+
+const { body } = require('express-validator');
+const { executeQuery } = require('../config/database');
+const { publishedSql } = require('./publishing');
+
+const MAX_GIG_GENRES = 3;
+
+// "Drum & Bass" -> "drum-bass", "R&B" -> "rb"
+const slugifyGenre = (name) => name
+  .toLowerCase()
+  .replace(/&/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Look up genres by name or slug
+ * @param {string[]} values - names or slugs
+ * @param {Object|null} [client] - transaction client
+ * @returns {Promise<{ genres: Object[], unknown: string[] }>} genres in the order asked for
+ *   (without repeats), and the values that matched nothing
+ */
+const resolveGenres = async (values, client = null) => {
+  const run = client ? (text, params) => client.query(text, params) : executeQuery;
+  const keys = values.map((value) => String(value).trim().toLowerCase());
+
+  const result = await run(
+    `SELECT id, name, slug, parent_id FROM genres
+     WHERE LOWER(name) = ANY($1::text[]) OR slug = ANY($1::text[])`,
+    [keys]
+  );
+
+  const genres = [];
+  const unknown = [];
+  keys.forEach((key, index) => {
+    const genre = result.rows.find((row) => row.name.toLowerCase() === key || row.slug === key);
+    if (!genre) {
+      unknown.push(values[index]);
+    } else if (!genres.includes(genre)) {
+      genres.push(genre);
+    }
+  });
+
+  return { genres, unknown };
+};
+
+// express-validator check that every name or slug is in the genres table
+const checkGenresExist = async (values) => {
+  const { unknown } = await resolveGenres(values);
+  if (unknown.length) {
+    throw new Error(`Unknown genre${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+  }
+  return true;
+};
+
+// Gigs send genres (primary first) or, as before, a single genre
+const gigGenreValidation = [
+  body('genres')
+    .optional()
+    .isArray({ min: 1, max: MAX_GIG_GENRES })
+    .withMessage(`Genres must be an array of 1 to ${MAX_GIG_GENRES} genres`)
+    .bail()
+    .custom((values) => values.every((value) => typeof value === 'string'))
+    .withMessage('Genres must be genre names or slugs')
+    .bail()
+    .custom(checkGenresExist),
+  body('genre')
+    .if(body('genres').not().exists())
+    .isString()
+    .withMessage('Please select a valid genre')
+    .bail()
+    .custom((value) => checkGenresExist([value]))
+];
+
+// The genres a validated gig body (or revision snapshot) asks for, primary first
+const requestedGigGenres = (gigData) => {
+  if (gigData.genres && gigData.genres.length) return gigData.genres;
+  return gigData.genre ? [gigData.genre] : [];
+};
+
+/**
+ * Replace a gig's genres and point gigs.genre at the primary one
+ * @param {Object} client - transaction client
+ * @param {number} gigId
+ * @param {string[]} values - validated names or slugs, primary first
+ */
+const replaceGigGenres = async (client, gigId, values) => {
+  const { genres } = await resolveGenres(values, client);
+  if (!genres.length) return;
+
+  await client.query('DELETE FROM gig_genres WHERE gig_id = $1', [gigId]);
+  for (const [index, genre] of genres.entries()) {
+    await client.query(
+      'INSERT INTO gig_genres (gig_id, genre_id, position) VALUES ($1, $2, $3)',
+      [gigId, genre.id, index]
+    );
+  }
+  await client.query('UPDATE gigs SET genre = $1 WHERE id = $2', [genres[0].name, gigId]);
+};
+
+// Give one gig another gig's genres (postponed gigs, merges)
+const copyGigGenres = async (client, fromGigId, toGigId) => {
+  await client.query('DELETE FROM gig_genres WHERE gig_id = $1', [toGigId]);
+  await client.query(
+    `INSERT INTO gig_genres (gig_id, genre_id, position)
+     SELECT $2, genre_id, position FROM gig_genres WHERE gig_id = $1`,
+    [fromGigId, toGigId]
+  );
+  await client.query(
+    'UPDATE gigs SET genre = src.genre FROM gigs src WHERE gigs.id = $2 AND src.id = $1',
+    [fromGigId, toGigId]
+  );
+};
+
+// IDs of the genre named by param (a name or slug) and its subgenres
+const genreFamilySql = (param) => `
+  SELECT ge.id FROM genres ge
+  LEFT JOIN genres gp ON gp.id = ge.parent_id
+  WHERE LOWER(${param}) IN (LOWER(ge.name), ge.slug, LOWER(gp.name), gp.slug)`;
+
+// SQL condition: the gig has the genre named by param, or one of its subgenres
+const genreFilterSql = (alias, param) => `EXISTS (
+  SELECT 1 FROM gig_genres gg
+  WHERE gg.gig_id = ${alias}.id AND gg.genre_id IN (${genreFamilySql(param)}))`;
+
+// SQL condition: the artist plays the genre named by param, or one of its subgenres
+const artistGenreFilterSql = (alias, param) => `
+  ${alias}.genres && ARRAY(SELECT name FROM genres WHERE id IN (${genreFamilySql(param)}))::varchar[]`;
+
+// SQL column: a gig's genres as [{ id, name, slug, parent_id }], primary first
+const gigGenresSql = (alias) => `
+  COALESCE((
+    SELECT json_agg(json_build_object('id', ge.id, 'name', ge.name, 'slug', ge.slug, 'parent_id', ge.parent_id)
+                    ORDER BY gg.position)
+    FROM gig_genres gg
+    JOIN genres ge ON ge.id = gg.genre_id
+    WHERE gg.gig_id = ${alias}.id
+  ), '[]') AS genres`;
+
+/**
+ * Every genre as a tree: top-level genres A-Z, each with its subgenres A-Z
+ * gig_count counts published gigs tagged with the genre itself (not its subgenres)
+ * @returns {Promise<Object[]>}
+ */
+const fetchGenreTree = async () => {
+  const result = await executeQuery(
+    `SELECT ge.id, ge.name, ge.slug, ge.parent_id,
+            (SELECT COUNT(*)::int FROM gig_genres gg JOIN gigs g ON g.id = gg.gig_id
+             WHERE gg.genre_id = ge.id AND ${publishedSql('g')}) AS gig_count
+     FROM genres ge
+     ORDER BY ge.name ASC`
+  );
+
+  const parents = result.rows.filter((row) => row.parent_id === null);
+  return parents.map((parent) => ({
+    ...parent,
+    subgenres: result.rows.filter((row) => row.parent_id === parent.id)
+  }));
+};
+
+module.exports = {
+  MAX_GIG_GENRES,
+  slugifyGenre,
+  resolveGenres,
+  checkGenresExist,
+  gigGenreValidation,
+  requestedGigGenres,
+  replaceGigGenres,
+  copyGigGenres,
+  genreFilterSql,
+  artistGenreFilterSql,
+  gigGenresSql,
+  fetchGenreTree
+};
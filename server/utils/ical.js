@@ -0,0 +1,419 @@
+/**
+ * ICALENDAR HELPERS
+ *
+ * Builds RFC 5545 calendars for single-gig .ics downloads and the subscribable
+ * collection/user feeds.
+ *
+ * FEED REQUIREMENTS:
+ *    - Stable UIDs (gig-<id>@<CALENDAR_UID_DOMAIN>) so calendar apps update events in place
+ *    - Times are written in each gig's own timezone (its venue's unless the gig sets one),
+ *      with a matching VTIMEZONE per zone generated from the runtime's timezone data;
+ *      CALENDAR_TIMEZONE is the calendar's default zone and the fallback
+ *    - Subscribable feeds cover FEED_PAST_MONTHS back plus everything upcoming, and VTIMEZONEs
+ *      only cover the years events fall in, so a feed's cost doesn't grow with its history
+ *    - Recurring gigs are a single VEVENT with RRULE/EXDATE, plus one VEVENT per
+ *      edited occurrence (RECURRENCE-ID)
+ *    - Cancelled and postponed gigs/occurrences are emitted with STATUS:CANCELLED
+ */
+
+const crypto = require('crypto');
+const { executeQuery } = require('../config/database');
+const { formatUtcDateTime } = require('./recurrence');
+const { publishedSql } = require('./publishing');
+const { gigEndSql } = require('./archiving');
+const { zoneOffsetMinutes, zonedTimeToUtc, toLocalIso } = require('./timezones');
+
+const CALENDAR_TIMEZONE = process.env.CALENDAR_TIMEZONE || 'Europe/London';
+const CALENDAR_UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'gigbuddy.app';
+const PRODUCT_ID = '-//Gig Buddy//Gig Buddy API//EN';
+
+// Gigs without an end time are assumed to last a typical evening
+const DEFAULT_GIG_DURATION = 'PT3H';
+
+// How far back subscribable feeds go; past gigs stay in collections for good
+const FEED_PAST_MONTHS = 12;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const chunks = [];
+  let start = 0;
+  let limit = 75;
+  while (start < bytes.length) {
+    let end = Math.min(start + limit, bytes.length);
+    // Never split a multi-byte UTF-8 character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    chunks.push(bytes.slice(start, end).toString('utf8'));
+    start = end;
+    limit = 74; // continuation lines start with a space
+  }
+  return chunks.join('\r\n ');
+};
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+};
+
+// Local date-time in a timezone (YYYYMMDDTHHMMSS, used with TZID=)
+const formatLocalDateTime = (date, timeZone = CALENDAR_TIMEZONE) =>
+  toLocalIso(date, timeZone).slice(0, 19).replace(/[-:]/g, '');
+
+// Find the instants in [from, to) where the zone's UTC offset changes
+const findOffsetTransitions = (timeZone, from, to) => {
+  const transitions = [];
+  let previous = zoneOffsetMinutes(new Date(from), timeZone);
+
+  for (let day = from + DAY_MS; day <= to; day += DAY_MS) {
+    const current = zoneOffsetMinutes(new Date(day), timeZone);
+    if (current === previous) continue;
+
+    // Binary search within the day the offset changed; zone changes happen on whole minutes
+    let low = day - DAY_MS;
+    let high = day;
+    while (high - low > 1000) {
+      const mid = low + Math.floor((high - low) / 2);
+      if (zoneOffsetMinutes(new Date(mid), timeZone) === previous) low = mid; else high = mid;
+    }
+    transitions.push({ at: Math.floor(high / 60000) * 60000, from: previous, to: current });
+    previous = current;
+  }
+
+  return transitions;
+};
+
+// Runs of consecutive years, e.g. [2019, 2025, 2026] -> [[2019, 2019], [2025, 2026]]
+const yearRanges = (years) => [...new Set(years)].sort((a, b) => a - b).reduce((ranges, year) => {
+  const last = ranges[ranges.length - 1];
+  if (last && last[1] === year - 1) last[1] = year; else ranges.push([year, year]);
+  return ranges;
+}, []);
+
+/**
+ * Build a VTIMEZONE component covering the given years
+ * Transitions are read from the runtime's IANA data, so any zone works (including ones without DST)
+ * @param {string} timeZone - IANA zone name
+ * @param {number[]} years - years with events in the zone; gaps between them are skipped
+ * @returns {string[]} content lines
+ */
+const buildVTimezone = (timeZone, years) => {
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+  for (const [fromYear, toYear] of yearRanges(years)) {
+    const from = Date.UTC(fromYear, 0, 1);
+    const to = Date.UTC(toYear + 1, 0, 1);
+    const transitions = findOffsetTransitions(timeZone, from, to);
+
+    // Opening observance so times before the first transition in range are still defined
+    const initialOffset = zoneOffsetMinutes(new Date(from), timeZone);
+    const initialComponent = transitions.some((t) => t.to < initialOffset) ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${initialComponent}`,
+      `DTSTART:${fromYear}0101T000000`,
+      `TZOFFSETFROM:${formatOffset(initialOffset)}`,
+      `TZOFFSETTO:${formatOffset(initialOffset)}`,
+      `END:${initialComponent}`,
+      ...transitions.flatMap(observanceLines)
+    );
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+// Lines for the observance starting at an offset transition
+const observanceLines = (transition) => {
+  // DTSTART of an observance is the local time just before the change, in the old offset
+  const local = new Date(transition.at + transition.from * 60000);
+  const component = transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD';
+  return [
+    `BEGIN:${component}`,
+    `DTSTART:${local.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, '')}`,
+    `TZOFFSETFROM:${formatOffset(transition.from)}`,
+    `TZOFFSETTO:${formatOffset(transition.to)}`,
+    `END:${component}`
+  ];
+};
+
+const gigUid = (gigId) => `gig-${gigId}@${CALENDAR_UID_DOMAIN}`;
+
+// DURATION value for a gig, from its end time when it has one
+// A duration rather than DTEND keeps edited occurrences the same length as the series
+const gigDuration = (gig) => {
+  if (!gig.ends_at) return DEFAULT_GIG_DURATION;
+  const minutes = Math.round((new Date(gig.ends_at) - new Date(gig.event_date)) / 60000);
+  if (!(minutes > 0)) return DEFAULT_GIG_DURATION;
+  return `PT${Math.floor(minutes / 60) ? `${Math.floor(minutes / 60)}H` : ''}${minutes % 60 ? `${minutes % 60}M` : ''}`;
+};
+
+// A postponed gig won't happen on its original date; the rescheduled gig is its own event
+const icalStatus = (status) => (['cancelled', 'postponed'].includes(status) ? 'CANCELLED' : 'CONFIRMED');
+
+// Lines for a single VEVENT
+const buildEvent = (gig, { baseUrl, recurrenceId, override } = {}) => {
+  const source = override ? { ...gig, ...override } : gig;
+  const timeZone = gig.timezone || CALENDAR_TIMEZONE;
+  const location = [gig.venue_name, gig.venue_address, gig.venue_city].filter(Boolean).join(', ');
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${gigUid(gig.id)}`,
+    `DTSTAMP:${formatUtcDateTime(new Date(source.updated_at || gig.updated_at))}`,
+    `LAST-MODIFIED:${formatUtcDateTime(new Date(source.updated_at || gig.updated_at))}`
+  ];
+
+  if (recurrenceId) {
+    lines.push(`RECURRENCE-ID;TZID=${timeZone}:${formatLocalDateTime(recurrenceId, timeZone)}`);
+  }
+
+  lines.push(
+    `DTSTART;TZID=${timeZone}:${formatLocalDateTime(source.event_date, timeZone)}`,
+    `DURATION:${gigDuration(gig)}`,
+    `SUMMARY:${escapeText(source.title)}`,
+    `STATUS:${icalStatus(source.status)}`
+  );
+
+  if (source.description) lines.push(`DESCRIPTION:${escapeText(source.description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (gig.genre) lines.push(`CATEGORIES:${escapeText(gig.genre)}`);
+  if (baseUrl) lines.push(`URL:${baseUrl}/api/gigs/${gig.id}`);
+
+  if (!recurrenceId && gig.recurrence_rule) {
+    lines.push(`RRULE:${gig.recurrence_rule}`);
+    for (const exception of gig.recurrence_exceptions || []) {
+      lines.push(`EXDATE;TZID=${timeZone}:${formatLocalDateTime(exception, timeZone)}`);
+    }
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {Object} options
+ * @param {string} options.name - Calendar display name (X-WR-CALNAME)
+ * @param {Object[]} options.gigs - Rows from fetchCalendarGigs()
+ * @param {string} [options.baseUrl] - Public API origin for event URLs
+ * @returns {string} CRLF-delimited iCalendar text
+ */
+const buildCalendar = ({ name, gigs, baseUrl }) => {
+  // Years each zone needs; recurring series run on, so they also need this year and next
+  const currentYear = new Date().getUTCFullYear();
+  const zoneYears = new Map([[CALENDAR_TIMEZONE, [currentYear, currentYear + 1]]]);
+  for (const gig of gigs) {
+    const timeZone = gig.timezone || CALENDAR_TIMEZONE;
+    const dates = [
+      gig.event_date,
+      ...(gig.recurrence_exceptions || []),
+      ...(gig.occurrence_overrides || []).flatMap((override) => [override.occurrence_date, override.event_date])
+    ];
+    const years = dates.map((date) => Number(formatLocalDateTime(date, timeZone).slice(0, 4)));
+    if (gig.recurrence_rule) years.push(currentYear, currentYear + 1);
+    zoneYears.set(timeZone, [...(zoneYears.get(timeZone) || []), ...years]);
+  }
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${CALENDAR_TIMEZONE}`,
+    ...[...zoneYears].flatMap(([timeZone, years]) => buildVTimezone(timeZone, years))
+  ];
+
+  for (const gig of gigs) {
+    lines.push(...buildEvent(gig, { baseUrl }));
+    for (const override of gig.occurrence_overrides || []) {
+      lines.push(...buildEvent(gig, { baseUrl, recurrenceId: override.occurrence_date, override }));
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Load gigs (with venue, exceptions and edited occurrences) for a calendar
+ * Unpublished gigs are left out, since calendar files and feeds can be shared
+ * @param {number[]} gigIds
+ * @param {Object} [options]
+ * @param {boolean} [options.feed] - only gigs with an occurrence ending in the last
+ *   FEED_PAST_MONTHS or later, and only their exceptions and edits from then on
+ * @returns {Promise<Object[]>}
+ */
+const fetchCalendarGigs = async (gigIds, { feed = false } = {}) => {
+  if (gigIds.length === 0) return [];
+
+  const feedStart = `NOW() - make_interval(months => ${FEED_PAST_MONTHS})`;
+
+  const gigsResult = await executeQuery(
+    `SELECT g.id, g.title, g.description, g.event_date, g.ends_at, g.genre, g.status, g.recurrence_rule,
+            COALESCE(g.timezone, v.timezone) AS timezone,
+            g.updated_at, v.name AS venue_name, v.address AS venue_address, v.city AS venue_city
+     FROM gigs g
+     JOIN venues v ON v.id = g.venue_id
+     WHERE g.id = ANY($1::int[]) AND ${publishedSql('g')}
+       AND (NOT $2 OR EXISTS (
+         SELECT 1 FROM gig_occurrences o WHERE o.id = g.id AND ${gigEndSql('o')} >= ${feedStart}))
+     ORDER BY g.event_date ASC`,
+    [gigIds, feed]
+  );
+
+  const overridesResult = await executeQuery(
+    `SELECT gig_id, occurrence_date, is_excluded, title, description, event_date, price, status, updated_at
+     FROM gig_occurrence_overrides
+     WHERE gig_id = ANY($1::int[]) AND (NOT $2 OR occurrence_date >= ${feedStart})
+     ORDER BY occurrence_date ASC`,
+    [gigsResult.rows.map((gig) => gig.id), feed]
+  );
+
+  return gigsResult.rows.map((gig) => {
+    const overrides = overridesResult.rows.filter((row) => row.gig_id === gig.id);
+    return {
+      ...gig,
+      recurrence_exceptions: overrides.filter((row) => row.is_excluded).map((row) => row.occurrence_date),
+      occurrence_overrides: overrides
+        .filter((row) => !row.is_excluded)
+        .map((row) => ({
+          occurrence_date: row.occurrence_date,
+          event_date: row.event_date || row.occurrence_date,
+          title: row.title || gig.title,
+          description: row.description || gig.description,
+          status: row.status || gig.status,
+          updated_at: row.updated_at
+        }))
+    };
+  });
+};
+
+// Undo TEXT escaping in a single pass so an escaped backslash before "n" stays literal
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (
+  char === 'n' || char === 'N' ? '\n' : char
+));
+
+// Parse a DATE or DATE-TIME property value (with optional TZID/VALUE parameters) to a Date
+const parseIcalDate = (value, params) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) return null;
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0', utc] = match;
+  const parts = {
+    year: Number(year), month: Number(month), day: Number(day),
+    hour: Number(hour), minute: Number(minute), second: Number(second)
+  };
+
+  if (utc) {
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+  }
+  // Floating times and all-day dates are read in the calendar timezone
+  return zonedTimeToUtc(parts, params.TZID || CALENDAR_TIMEZONE);
+};
+
+/**
+ * Parse the VEVENTs of an iCalendar file into plain objects
+ * Only the properties gigs can use are read; everything else is ignored
+ * @param {string} text - iCalendar file contents
+ * @returns {Object[]} { uid, summary, description, location, categories, url, dtstart, dtend, rrule, exdates }
+ */
+const parseCalendarEvents = (text) => {
+  // Unfold continuation lines (RFC 5545 section 3.1)
+  const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const events = [];
+  let event = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = { exdates: [] };
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (event) events.push(event);
+      event = null;
+      continue;
+    }
+    if (!event) continue;
+
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+
+    const [name, ...paramList] = line.slice(0, colon).split(';');
+    const value = line.slice(colon + 1);
+    const params = {};
+    for (const param of paramList) {
+      const [key, paramValue = ''] = param.split('=');
+      params[key.toUpperCase()] = paramValue.replace(/^"|"$/g, '');
+    }
+
+    switch (name.toUpperCase()) {
+      case 'UID': event.uid = value; break;
+      case 'SUMMARY': event.summary = unescapeText(value); break;
+      case 'DESCRIPTION': event.description = unescapeText(value); break;
+      case 'LOCATION': event.location = unescapeText(value); break;
+      case 'CATEGORIES': event.categories = unescapeText(value).split(',').map((c) => c.trim()); break;
+      case 'URL': event.url = value; break;
+      case 'STATUS': event.status = value.toUpperCase(); break;
+      case 'DTSTART': event.dtstart = parseIcalDate(value, params); break;
+      case 'DTEND': event.dtend = parseIcalDate(value, params); break;
+      case 'RRULE': event.rrule = value; break;
+      case 'EXDATE':
+        for (const exdate of value.split(',')) {
+          const parsed = parseIcalDate(exdate, params);
+          if (parsed) event.exdates.push(parsed);
+        }
+        break;
+      default: break;
+    }
+  }
+
+  return events;
+};
+
+// Origin the API was reached on, for links inside feeds
+const requestBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+// Send an iCalendar response; inline for subscriptions, attachment for downloads
+const sendCalendar = (res, body, filename, { download = false } = {}) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `${download ? 'attachment' : 'inline'}; filename="${filename}"`);
+  res.status(200).send(body);
+};
+
+// Secret for tokenised feed URLs (private collections, personal feeds)
+const generateFeedToken = () => crypto.randomBytes(24).toString('hex');
+
+// Constant-time comparison of a presented feed token against the stored one
+const feedTokenMatches = (presented, stored) => {
+  if (typeof presented !== 'string' || typeof stored !== 'string') return false;
+  const a = Buffer.from(presented);
+  const b = Buffer.from(stored);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+module.exports = {
+  FEED_PAST_MONTHS,
+  buildCalendar,
+  buildVTimezone,
+  feedTokenMatches,
+  fetchCalendarGigs,
+  generateFeedToken,
+  parseCalendarEvents,
+  requestBaseUrl,
+  sendCalendar
+};
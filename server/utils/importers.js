@@ -0,0 +1,164 @@
+/**
+ * GIG IMPORT PARSERS
+ *
+ * Turns an uploaded CSV, JSON or iCalendar file into plain gig rows for
+ * POST /api/gigs/import. Rows use the same field names as POST /api/gigs
+ * (title, description, venue_id, date, doors_at, ends_at, timezone, genre or genres, price, currency, image_url,
+ * ticket_url, recurrence_rule, lineup, ticket_tiers, visibility, publish_at), plus venue/venue_city as an
+ * alternative to venue_id. Rows without a visibility are published, as in POST /api/gigs.
+ * Times without a UTC offset are read as local time at the venue, as in POST /api/gigs.
+ * In CSV files the lineup and genres columns list names separated by semicolons.
+ *
+ * Parsers only reshape data - validation is left to gigValidation so imported
+ * gigs follow exactly the same rules as gigs created one at a time.
+ */
+
+const { parseCalendarEvents } = require('./ical');
+
+const MAX_IMPORT_ROWS = 500;
+
+const GIG_FIELDS = [
+  'title', 'description', 'venue_id', 'venue', 'venue_city', 'date', 'doors_at', 'ends_at', 'timezone', 'genre',
+  'genres', 'price', 'currency', 'image_url', 'ticket_url', 'recurrence_rule', 'lineup', 'ticket_tiers',
+  'visibility', 'publish_at'
+];
+
+// Parse RFC 4180 CSV (quoted fields, escaped quotes, newlines inside quotes)
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+};
+
+// CSV with a header row naming the gig fields
+const csvToRows = (text) => {
+  const [header, ...records] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+
+  const columns = header.map((name) => name.trim().toLowerCase());
+  return records.map((cells) => Object.fromEntries(columns.map((column, i) => [column, cells[i]])));
+};
+
+// JSON array of gig objects (or { gigs: [...] })
+const jsonToRows = (text) => {
+  const parsed = JSON.parse(text);
+  const rows = Array.isArray(parsed) ? parsed : parsed && parsed.gigs;
+  if (!Array.isArray(rows)) {
+    throw new Error('JSON import must be an array of gigs');
+  }
+  return rows.map((row) => (row && typeof row === 'object' && !Array.isArray(row) ? row : {}));
+};
+
+// VEVENTs become gigs; LOCATION is matched against venue names ("Venue, City")
+const icsToRows = (text) => parseCalendarEvents(text)
+  .filter((event) => event.status !== 'CANCELLED')
+  .map((event) => {
+    const [venue, ...rest] = (event.location || '').split(',').map((part) => part.trim());
+    return {
+      title: event.summary,
+      description: event.description,
+      venue,
+      venue_city: rest.length ? rest[rest.length - 1] : undefined,
+      date: event.dtstart ? event.dtstart.toISOString() : undefined,
+      ends_at: event.dtend ? event.dtend.toISOString() : undefined,
+      genre: event.categories ? event.categories[0] : undefined,
+      ticket_url: event.url,
+      recurrence_rule: event.rrule,
+      recurrence_exceptions: event.exdates.length ? event.exdates.map((d) => d.toISOString()) : undefined
+    };
+  });
+
+// Keep known fields and drop empty values so optional validators treat them as absent
+const normaliseRow = (row) => {
+  const normalised = {};
+  for (const field of [...GIG_FIELDS, 'recurrence_exceptions']) {
+    let value = row[field];
+    if (typeof value === 'string') value = value.trim();
+    if (field === 'lineup' && typeof value === 'string') {
+      value = value.split(';').map((name) => name.trim()).filter(Boolean).map((name) => ({ name }));
+      if (!value.length) value = undefined;
+    }
+    if (field === 'genres' && typeof value === 'string') {
+      value = value.split(';').map((name) => name.trim()).filter(Boolean);
+      if (!value.length) value = undefined;
+    }
+    if (value !== undefined && value !== null && value !== '') {
+      normalised[field] = value;
+    }
+  }
+  return normalised;
+};
+
+/**
+ * Detect the file format and parse it into gig rows
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {string} filename - Original file name (used for format detection)
+ * @param {string} mimetype - Uploaded MIME type
+ * @returns {{ format: string, rows: Object[] }}
+ * @throws {Error} if the format is unsupported, the file can't be parsed or has too many rows
+ */
+const parseImportFile = (buffer, filename = '', mimetype = '') => {
+  const text = buffer.toString('utf8');
+  const extension = (filename.split('.').pop() || '').toLowerCase();
+
+  let format;
+  if (extension === 'csv' || mimetype === 'text/csv') format = 'csv';
+  else if (extension === 'json' || mimetype === 'application/json') format = 'json';
+  else if (extension === 'ics' || mimetype === 'text/calendar') format = 'ics';
+  else throw new Error('Unsupported file type - upload a .csv, .json or .ics file');
+
+  const parsers = { csv: csvToRows, json: jsonToRows, ics: icsToRows };
+  const rows = parsers[format](text).map(normaliseRow);
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Import files are limited to ${MAX_IMPORT_ROWS} gigs`);
+  }
+
+  return { format, rows };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  parseImportFile
+};
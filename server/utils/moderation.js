@@ -0,0 +1,140 @@
+/**
+ * MODERATION HELPERS
+ *
+ * Reports move through open -> claimed -> resolved or dismissed. Claiming, resolving and
+ * dismissing act on every pending report about the same content at once, so three people
+ * reporting one spam gig make one piece of work, not three.
+ *
+ * Resolving can take one action on the content (MODERATION_ACTIONS):
+ *
+ *    hide     - gigs, collections and reviews get hidden_at and drop out of public view (their
+ *               owner still sees them); comments are soft deleted like an admin delete
+ *    suspend  - suspends the user who posted the content (or the reported user); suspended users
+ *               can't sign in and their tokens stop working (middleware/auth.js)
+ *    delete   - removes the content for good, or the whole account for a reported user
+ *
+ * Every admin action - here and in the rest of routes/admin.js - is written to admin_actions
+ * with the acting admin's ID.
+ */
+
+const { executeQuery } = require('../config/database');
+const { fetchReportTarget } = require('./reports');
+
+const REPORT_STATUSES = ['open', 'claimed', 'resolved', 'dismissed'];
+
+// Statuses still waiting for an admin
+const PENDING_REPORT_STATUSES = ['open', 'claimed'];
+
+// What resolving a report can do, per target type
+const MODERATION_ACTIONS = {
+  gig: ['hide', 'suspend', 'delete'],
+  collection: ['hide', 'suspend', 'delete'],
+  comment: ['hide', 'suspend', 'delete'],
+  review: ['hide', 'suspend', 'delete'],
+  user: ['suspend', 'delete']
+};
+
+// Tables behind each target type
+const TARGET_TABLES = {
+  gig: 'gigs',
+  collection: 'collections',
+  comment: 'comments',
+  review: 'gig_reviews',
+  user: 'users'
+};
+
+// Short description of a report's target for the queue (null once the content is gone)
+const TARGET_PREVIEW_SQL = `
+  CASE r.target_type
+    WHEN 'gig' THEN (SELECT x.title FROM gigs x WHERE x.id = r.target_id)
+    WHEN 'collection' THEN (SELECT x.name FROM collections x WHERE x.id = r.target_id)
+    WHEN 'user' THEN (SELECT x.name FROM users x WHERE x.id = r.target_id)
+    WHEN 'comment' THEN (SELECT LEFT(x.body, 200) FROM comments x WHERE x.id = r.target_id AND x.deleted_at IS NULL)
+    WHEN 'review' THEN (SELECT LEFT(x.body, 200) FROM gig_reviews x WHERE x.id = r.target_id)
+  END`;
+
+/**
+ * Write an entry to the admin action log
+ * @param {Object|null} client - transaction client, or null outside a transaction
+ * @param {{ adminId: number, action: string, target: { type: string, id: number },
+ *           reportId?: number, details?: Object }} entry
+ */
+const logAdminAction = async (client, { adminId, action, target, reportId = null, details = null }) => {
+  const run = client ? (text, params) => client.query(text, params) : executeQuery;
+  await run(
+    `INSERT INTO admin_actions (admin_id, action, target_type, target_id, report_id, details)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [adminId, action, target.type, target.id, reportId, details ? JSON.stringify(details) : null]
+  );
+};
+
+/**
+ * The user a suspend resolution would suspend: the content's author, or the reported user
+ * @param {{ type: string, id: number }} target
+ * @returns {Promise<number|null>} null if the content or its author is gone
+ */
+const findTargetOwner = async (target) => {
+  const found = await fetchReportTarget(target);
+  return found ? found.owner_id : null;
+};
+
+/**
+ * Carry out a resolution on the reported content
+ * @param {Object} client - transaction client
+ * @param {'hide'|'suspend'|'delete'} action
+ * @param {{ type: string, id: number }} target
+ * @param {{ adminId: number, reportId: number, ownerId?: number, reason?: string }} context
+ *   ownerId is the user to suspend (from findTargetOwner)
+ * @returns {Promise<boolean>} false if there was nothing left to act on
+ */
+const applyModerationAction = async (client, action, target, { adminId, reportId, ownerId = null, reason = null }) => {
+  let result;
+
+  if (action === 'hide' && target.type === 'comment') {
+    result = await client.query(
+      `UPDATE comments
+       SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND deleted_at IS NULL`,
+      [adminId, target.id]
+    );
+  } else if (action === 'hide') {
+    result = await client.query(
+      `UPDATE ${TARGET_TABLES[target.type]}
+       SET hidden_at = CURRENT_TIMESTAMP, hidden_by = $1
+       WHERE id = $2 AND hidden_at IS NULL`,
+      [adminId, target.id]
+    );
+  } else if (action === 'suspend') {
+    result = await client.query(
+      `UPDATE users
+       SET suspended_at = CURRENT_TIMESTAMP, suspended_by = $1, suspension_reason = $2
+       WHERE id = $3 AND suspended_at IS NULL`,
+      [adminId, reason, ownerId]
+    );
+  } else {
+    result = await client.query(`DELETE FROM ${TARGET_TABLES[target.type]} WHERE id = $1`, [target.id]);
+  }
+
+  if (result.rowCount === 0) {
+    return false;
+  }
+
+  await logAdminAction(client, {
+    adminId,
+    action,
+    target: action === 'suspend' ? { type: 'user', id: ownerId } : target,
+    reportId,
+    details: reason ? { reason } : null
+  });
+  return true;
+};
+
+module.exports = {
+  REPORT_STATUSES,
+  PENDING_REPORT_STATUSES,
+  MODERATION_ACTIONS,
+  TARGET_PREVIEW_SQL,
+  logAdminAction,
+  findTargetOwner,
+  applyModerationAction
+};
@@ -0,0 +1,53 @@
+/**
+ * FORCED PASSWORD RESETS
+ *
+ * When an admin forces a reset (POST /api/admin/users/:id/force-password-reset) the account
+ * gets a single-use reset token, valid for PASSWORD_RESET_TTL_HOURS. Only its SHA-256 hash is
+ * stored. The admin passes the token to the user, who redeems it with a new password at
+ * POST /api/auth/reset-password - the old password is never enough, since it may be the reason
+ * for the reset.
+ *
+ * Every password change sets users.password_changed_at. Tokens issued before then are refused
+ * (middleware/auth.js), so a reset also signs out every existing session.
+ */
+
+const crypto = require('crypto');
+
+const PASSWORD_RESET_TTL_HOURS = 72;
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Require a password reset and give the account a new reset token
+ * Any earlier reset token stops working
+ * @param {Object} client - transaction client
+ * @param {number} userId
+ * @returns {Promise<{ token: string, expiresAt: Date }>} the token to hand to the user
+ */
+const issueResetToken = async (client, userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const result = await client.query(
+    `UPDATE users
+     SET password_reset_required = TRUE,
+         password_reset_token_hash = $1,
+         password_reset_expires_at = NOW() + make_interval(hours => ${PASSWORD_RESET_TTL_HOURS}),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING password_reset_expires_at`,
+    [hashResetToken(token), userId]
+  );
+  return { token, expiresAt: result.rows[0].password_reset_expires_at };
+};
+
+// True if a JWT (iat in whole seconds) was issued before the account's last password change
+const issuedBeforePasswordChange = (iat, passwordChangedAt) => {
+  if (!passwordChangedAt) return false;
+  return iat < Math.floor(new Date(passwordChangedAt).getTime() / 1000);
+};
+
+module.exports = {
+  PASSWORD_RESET_TTL_HOURS,
+  hashResetToken,
+  issueResetToken,
+  issuedBeforePasswordChange
+};
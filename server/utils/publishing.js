@@ -0,0 +1,129 @@
+/**
+ * GIG PUBLISHING
+ *
+ * Every gig has a visibility:
+ *
+ *    draft      - only its owner (and admins) can see it, in GET /api/gigs/my
+ *    scheduled  - hidden until publish_at, then published automatically
+ *    published  - listed everywhere; published_at records when it went live
+ *
+ * Public queries filter with publishedSql() rather than visibility = 'published', so a
+ * scheduled gig appears the moment its publish_at passes even if the publisher has not
+ * run yet. publishScheduledGigs() then makes it permanent: it flips the gig to published
+ * and records a "publish" revision. startPublishingJob() runs it every
+ * PUBLISH_CHECK_SECONDS; the script can also be run directly (node utils/publishing.js).
+ *
+ * Published gigs can't go back to draft - they may already be in people's collections.
+ *
+ * Admins can also hide a gig after a report (hidden_at, see utils/moderation.js). Hidden gigs
+ * count as unpublished everywhere the public looks, but keep their visibility.
+ */
+
+const { executeTransaction } = require('../config/database');
+const { recordRevision } = require('./revisions');
+
+const GIG_VISIBILITIES = ['draft', 'scheduled', 'published'];
+
+const PUBLISH_CHECK_SECONDS = 60;
+
+/**
+ * SQL condition that is true for gigs the public may see: published and not hidden by an admin
+ * @param {string} alias - table or view alias holding visibility, publish_at and hidden_at
+ * @returns {string}
+ */
+const publishedSql = (alias = 'g') =>
+  `(${alias}.hidden_at IS NULL AND (${alias}.visibility = 'published' OR (${alias}.visibility = 'scheduled' AND ${alias}.publish_at <= NOW())))`;
+
+/**
+ * Whether a loaded gig row is published - by visibility alone, ignoring hidden_at
+ * @param {Object} gig - row with visibility and publish_at
+ * @returns {boolean}
+ */
+const isPublished = (gig) => gig.visibility === 'published'
+  || (gig.visibility === 'scheduled' && gig.publish_at !== null && new Date(gig.publish_at) <= new Date());
+
+/**
+ * Whether the current user may see a gig: published and not hidden, their own, or they are an admin
+ * @param {Object} gig - row with visibility, publish_at, hidden_at and user_id
+ * @param {Object} [user] - req.user, if signed in
+ * @returns {boolean}
+ */
+const canViewGig = (gig, user) => (!gig.hidden_at && isPublished(gig))
+  || Boolean(user && (user.id === gig.user_id || user.role === 'admin'));
+
+/**
+ * Publish every scheduled gig whose publish_at has passed
+ * Rows are locked with SKIP LOCKED so two servers running the job never publish a gig twice
+ * @returns {Promise<number[]>} IDs of the gigs published
+ */
+const publishScheduledGigs = async () => {
+  return executeTransaction(async (client) => {
+    const due = await client.query(
+      `SELECT id FROM gigs
+       WHERE visibility = 'scheduled' AND publish_at <= NOW()
+       ORDER BY publish_at ASC
+       FOR UPDATE SKIP LOCKED`
+    );
+    const gigIds = due.rows.map((row) => row.id);
+
+    if (gigIds.length === 0) {
+      return gigIds;
+    }
+
+    await client.query(
+      `UPDATE gigs
+       SET visibility = 'published', published_at = publish_at, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ANY($1::int[])`,
+      [gigIds]
+    );
+
+    for (const gigId of gigIds) {
+      await recordRevision(client, gigId, {
+        action: 'publish',
+        userId: null,
+        changes: { visibility: { from: 'scheduled', to: 'published' } }
+      });
+    }
+
+    return gigIds;
+  });
+};
+
+/**
+ * Publish due gigs now and then every PUBLISH_CHECK_SECONDS
+ * The timer is unref'd so it never keeps the process alive on its own
+ * @returns {NodeJS.Timeout} pass to clearInterval to stop the job
+ */
+const startPublishingJob = () => {
+  const run = () => publishScheduledGigs().catch((error) => {
+    console.error('Scheduled publishing error:', error);
+  });
+
+  run();
+  const timer = setInterval(run, PUBLISH_CHECK_SECONDS * 1000);
+  timer.unref();
+  return timer;
+};
+
+// Run once if called directly
+if (require.main === module) {
+  publishScheduledGigs()
+    .then((gigIds) => {
+      console.log(`✓ Published ${gigIds.length} scheduled gig(s)`);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Scheduled publishing failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  GIG_VISIBILITIES,
+  PUBLISH_CHECK_SECONDS,
+  publishedSql,
+  isPublished,
+  canViewGig,
+  publishScheduledGigs,
+  startPublishingJob
+};
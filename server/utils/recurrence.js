@@ -0,0 +1,110 @@
+/**
+ * RECURRENCE RULE HELPERS
+ *
+ * Parses and formats the subset of RFC 5545 RRULEs that recurring gigs support
+ * (weekly jazz nights, monthly open mics, residencies).
+ *
+ * SUPPORTED PARTS:
+ *    - FREQ: WEEKLY or MONTHLY (required)
+ *    - INTERVAL: 1-52, defaults to 1
+ *    - COUNT: 1-520 occurrences
+ *    - UNTIL: date (YYYYMMDD) or UTC date-time (YYYYMMDDTHHMMSSZ)
+ *    COUNT and UNTIL cannot be combined (RFC 5545 section 3.3.10).
+ *
+ * Expansion into individual occurrences happens in SQL (see the gig_occurrence_slots
+ * view in scripts/migrate.js) so list endpoints can filter, sort and paginate
+ * occurrences like ordinary rows.
+ */
+
+const SUPPORTED_FREQUENCIES = ['WEEKLY', 'MONTHLY'];
+const MAX_INTERVAL = 52;
+const MAX_OCCURRENCES = 520;
+
+// Parse an UNTIL value into a Date
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(value);
+  if (!match) {
+    throw new Error('UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSSZ');
+  }
+
+  const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+  const until = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  if (isNaN(until.getTime())) {
+    throw new Error('UNTIL is not a valid date');
+  }
+  return until;
+};
+
+// Format a Date as an RFC 5545 UTC date-time (YYYYMMDDTHHMMSSZ)
+const formatUtcDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Parse an RRULE string into its parts
+ * @param {string} rule - e.g. "FREQ=WEEKLY;INTERVAL=2;COUNT=10" (an "RRULE:" prefix is allowed)
+ * @returns {{ freq: string, interval: number, count: number|null, until: Date|null }}
+ * @throws {Error} with a user-facing message if the rule is invalid or unsupported
+ */
+const parseRecurrenceRule = (rule) => {
+  if (typeof rule !== 'string' || !rule.trim()) {
+    throw new Error('Recurrence rule must be a non-empty string');
+  }
+
+  const parts = {};
+  for (const part of rule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined) {
+      throw new Error(`Malformed recurrence rule part "${part}"`);
+    }
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const freq = parts.FREQ;
+  if (!SUPPORTED_FREQUENCIES.includes(freq)) {
+    throw new Error('Recurrence FREQ must be WEEKLY or MONTHLY');
+  }
+
+  const unsupported = Object.keys(parts).filter((key) => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL'].includes(key));
+  if (unsupported.length) {
+    throw new Error(`Unsupported recurrence rule part(s): ${unsupported.join(', ')}`);
+  }
+
+  const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    throw new Error(`Recurrence INTERVAL must be between 1 and ${MAX_INTERVAL}`);
+  }
+
+  if (parts.COUNT !== undefined && parts.UNTIL !== undefined) {
+    throw new Error('Recurrence rule cannot have both COUNT and UNTIL');
+  }
+
+  let count = null;
+  if (parts.COUNT !== undefined) {
+    count = Number(parts.COUNT);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES) {
+      throw new Error(`Recurrence COUNT must be between 1 and ${MAX_OCCURRENCES}`);
+    }
+  }
+
+  const until = parts.UNTIL !== undefined ? parseUntil(parts.UNTIL) : null;
+
+  return { freq: freq.toLowerCase(), interval, count, until };
+};
+
+/**
+ * Build a canonical RRULE string from parsed parts
+ * @param {{ freq: string, interval?: number, count?: number|null, until?: Date|null }} rule
+ * @returns {string} e.g. "FREQ=MONTHLY;INTERVAL=1;UNTIL=20261231T235959Z"
+ */
+const formatRecurrenceRule = ({ freq, interval = 1, count = null, until = null }) => {
+  const parts = [`FREQ=${freq.toUpperCase()}`, `INTERVAL=${interval}`];
+  if (count) parts.push(`COUNT=${count}`);
+  if (until) parts.push(`UNTIL=${formatUtcDateTime(new Date(until))}`);
+  return parts.join(';');
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  parseRecurrenceRule,
+  formatRecurrenceRule,
+  formatUtcDateTime
+};
@@ -0,0 +1,99 @@
+/**
+ * REPORT HELPERS
+ *
+ * Users flag gigs, collections, users, comments and reviews for admins with a reason code and
+ * optional details. A user can report each item once, and only items they can see - reporting
+ * a private collection looks the same as reporting one that doesn't exist. Reports carry the
+ * target's type and ID rather than a foreign key so they survive the content being deleted.
+ *
+ * Admins work through reports in GET /api/admin/reports (see utils/moderation.js).
+ */
+
+const { body } = require('express-validator');
+const { executeQuery } = require('../config/database');
+const { publishedSql } = require('./publishing');
+
+const REPORT_TARGET_TYPES = ['gig', 'collection', 'user', 'comment', 'review'];
+
+const REPORT_REASONS = ['spam', 'abuse', 'harassment', 'misleading', 'fake_profile', 'other'];
+
+const reportValidation = [
+  body('reason')
+    .isIn(REPORT_REASONS)
+    .withMessage(`Reason must be one of ${REPORT_REASONS.join(', ')}`),
+  body('details')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Details must not exceed 1000 characters')
+];
+
+// Per target type: who owns it and whether user $2 can see it
+// Deleted comments and hidden reviews count as gone; suspended users are already dealt with
+const TARGET_QUERIES = {
+  gig: `
+    SELECT g.user_id AS owner_id, (${publishedSql('g')} OR g.user_id = $2) AS is_visible
+    FROM gigs g
+    WHERE g.id = $1`,
+  collection: `
+    SELECT c.user_id AS owner_id, ((c.is_public AND c.hidden_at IS NULL) OR c.user_id = $2) AS is_visible
+    FROM collections c
+    WHERE c.id = $1`,
+  user: `
+    SELECT u.id AS owner_id, (u.suspended_at IS NULL OR u.id = $2) AS is_visible
+    FROM users u
+    WHERE u.id = $1`,
+  comment: `
+    SELECT cm.user_id AS owner_id,
+           CASE WHEN cm.gig_id IS NOT NULL THEN (${publishedSql('g')} OR g.user_id = $2)
+                ELSE ((c.is_public AND c.hidden_at IS NULL) OR c.user_id = $2)
+           END AS is_visible
+    FROM comments cm
+    LEFT JOIN gigs g ON g.id = cm.gig_id
+    LEFT JOIN collections c ON c.id = cm.collection_id
+    WHERE cm.id = $1 AND cm.deleted_at IS NULL`,
+  review: `
+    SELECT r.user_id AS owner_id, (${publishedSql('g')} OR g.user_id = $2) AS is_visible
+    FROM gig_reviews r
+    JOIN gigs g ON g.id = r.gig_id
+    WHERE r.id = $1 AND r.hidden_at IS NULL`
+};
+
+/**
+ * Look up a reportable item
+ * @param {{ type: string, id: number }} target
+ * @param {number|null} [viewerId] - user whose access decides is_visible
+ * @returns {Promise<{ owner_id: number|null, is_visible: boolean }|null>} null if it doesn't exist
+ */
+const fetchReportTarget = async (target, viewerId = null) => {
+  const result = await executeQuery(TARGET_QUERIES[target.type], [target.id, viewerId]);
+  const row = result.rows[0];
+  return row ? { owner_id: row.owner_id, is_visible: Boolean(row.is_visible) } : null;
+};
+
+/**
+ * Record a report
+ * @param {{ type: string, id: number }} target
+ * @param {number} reporterId
+ * @param {{ reason: string, details?: string }} report
+ * @returns {Promise<Object|null>} the report, or null if this user already reported the target
+ */
+const createReport = async (target, reporterId, { reason, details }) => {
+  const result = await executeQuery(
+    `INSERT INTO reports (target_type, target_id, reporter_id, reason, details)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (target_type, target_id, reporter_id) DO NOTHING
+     RETURNING id, target_type, target_id, reason, details, status, created_at`,
+    [target.type, target.id, reporterId, reason, details || null]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  REPORT_TARGET_TYPES,
+  REPORT_REASONS,
+  reportValidation,
+  fetchReportTarget,
+  createReport
+};
@@ -0,0 +1,68 @@
+/**
+ * REVIEW HELPERS
+ *
+ * Reviews are a 1-5 rating plus text, one per user per gig, written once the gig has happened
+ * (for recurring gigs, once any occurrence has). Ratings roll up three ways, all worked out
+ * from gig_reviews when asked for rather than stored:
+ *
+ *    gig        - GET /api/gigs/:id and GET /api/gigs/:id/reviews
+ *    venue      - GET /api/venues/:id, across every gig at the venue
+ *    organiser  - GET /api/users/:id/stats, across every gig the user created (gigs.user_id)
+ *
+ * Reviews an admin has hidden after a report are left out of both the lists and the ratings.
+ */
+
+const { body } = require('express-validator');
+const { executeQuery } = require('../config/database');
+
+const REVIEW_MAX_LENGTH = 2000;
+
+const reviewValidation = [
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number from 1 to 5'),
+  body('body')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: REVIEW_MAX_LENGTH })
+    .withMessage(`Review must be between 1 and ${REVIEW_MAX_LENGTH} characters`)
+];
+
+// Column of gigs (alias g) each rollup groups on
+const RATING_SCOPES = {
+  gig: 'g.id',
+  venue: 'g.venue_id',
+  organiser: 'g.user_id'
+};
+
+/**
+ * Average rating and review count for a gig, venue or organiser
+ * @param {'gig'|'venue'|'organiser'} scope
+ * @param {number} id - gig, venue or user ID
+ * @returns {Promise<{ average_rating: number|null, review_count: number, ratings: Object }>}
+ *   ratings counts reviews per star, e.g. { 1: 0, 2: 1, 3: 0, 4: 3, 5: 6 }
+ */
+const fetchRatingSummary = async (scope, id) => {
+  const result = await executeQuery(
+    `SELECT ROUND(AVG(r.rating), 2)::float AS average_rating,
+            COUNT(r.id)::int AS review_count,
+            COUNT(*) FILTER (WHERE r.rating = 1)::int AS "1",
+            COUNT(*) FILTER (WHERE r.rating = 2)::int AS "2",
+            COUNT(*) FILTER (WHERE r.rating = 3)::int AS "3",
+            COUNT(*) FILTER (WHERE r.rating = 4)::int AS "4",
+            COUNT(*) FILTER (WHERE r.rating = 5)::int AS "5"
+     FROM gig_reviews r
+     JOIN gigs g ON g.id = r.gig_id
+     WHERE ${RATING_SCOPES[scope]} = $1 AND r.hidden_at IS NULL`,
+    [id]
+  );
+
+  const { average_rating, review_count, ...ratings } = result.rows[0];
+  return { average_rating, review_count, ratings };
+};
+
+module.exports = {
+  REVIEW_MAX_LENGTH,
+  reviewValidation,
+  fetchRatingSummary
+};
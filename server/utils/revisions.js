@@ -0,0 +1,86 @@
+/**
+ * GIG REVISION HELPERS
+ *
+ * Every change to a gig is stored in gig_revisions with its author, a field-level
+ * diff ({ field: { from, to } }) and a snapshot of the gig afterwards, which
+ * POST /api/gigs/:id/revert/:revisionId can restore.
+ *
+ * All helpers take a transaction client (see executeTransaction in config/database.js)
+ * so the revision is written atomically with the change it describes.
+ */
+
+// Snapshot of everything a revision can restore, plus venue_name so diffs read well
+const fetchGigSnapshot = async (client, gigId) => {
+  const result = await client.query(
+    `SELECT g.title, g.description, g.venue_id, v.name AS venue_name, g.event_date, g.doors_at, g.ends_at,
+            g.timezone, g.genre, g.price, g.currency, g.image_url, g.ticket_url, g.status, g.visibility,
+            g.publish_at, g.recurrence_rule,
+            COALESCE((
+              SELECT json_agg(ge.name ORDER BY gg.position)
+              FROM gig_genres gg
+              JOIN genres ge ON ge.id = gg.genre_id
+              WHERE gg.gig_id = g.id
+            ), '[]') AS genres,
+            COALESCE((
+              SELECT json_agg(json_build_object(
+                'artist_id', ga.artist_id, 'name', a.name, 'billing_order', ga.billing_order,
+                'set_start', ga.set_start, 'set_end', ga.set_end
+              ) ORDER BY ga.billing_order, a.name)
+              FROM gig_artists ga
+              JOIN artists a ON a.id = ga.artist_id
+              WHERE ga.gig_id = g.id
+            ), '[]') AS lineup,
+            COALESCE((
+              SELECT json_agg(json_build_object(
+                'name', t.name, 'price', t.price, 'currency', t.currency,
+                'pay_what_you_can', t.pay_what_you_can, 'available_from', t.available_from,
+                'available_until', t.available_until, 'sold_out', t.sold_out
+              ) ORDER BY t.sort_order)
+              FROM gig_ticket_tiers t
+              WHERE t.gig_id = g.id
+            ), '[]') AS ticket_tiers
+     FROM gigs g
+     JOIN venues v ON v.id = g.venue_id
+     WHERE g.id = $1`,
+    [gigId]
+  );
+  return result.rows[0];
+};
+
+// Field-level diff between two snapshots: { field: { from, to } } for every field that changed
+const diffSnapshots = (before, after) => {
+  const changes = {};
+  for (const field of Object.keys(after)) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+    }
+  }
+  return changes;
+};
+
+// Store a revision for a gig, snapshotting its current state
+// Pass the snapshot from before the change to diff against it, or explicit changes
+// (e.g. for single occurrences, which don't show up in the series snapshot)
+// extraChanges are added to the diff for facts a snapshot can't show, like merged gig IDs
+// Updates that changed nothing are not recorded
+const recordRevision = async (client, gigId, {
+  action, userId, before = null, changes = null, extraChanges = null, occurrenceDate = null, revertedTo = null
+}) => {
+  const snapshot = await fetchGigSnapshot(client, gigId);
+  let diff = changes || (before ? diffSnapshots(before, snapshot) : null);
+  if (extraChanges) diff = { ...diff, ...extraChanges };
+
+  if (action !== 'create' && diff && Object.keys(diff).length === 0) return;
+
+  await client.query(
+    `INSERT INTO gig_revisions (gig_id, action, changes, snapshot, occurrence_date, reverted_to_revision_id, author_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [gigId, action, diff ? JSON.stringify(diff) : null, JSON.stringify(snapshot), occurrenceDate, revertedTo, userId]
+  );
+};
+
+module.exports = {
+  fetchGigSnapshot,
+  diffSnapshots,
+  recordRevision
+};
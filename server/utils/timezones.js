@@ -0,0 +1,139 @@
+/**
+ * TIMEZONE HELPERS
+ *
+ * Gig times are stored as TIMESTAMPTZ (absolute instants) and every gig has an IANA
+ * timezone: its own gigs.timezone, or else its venue's venues.timezone.
+ *
+ * Times sent without a UTC offset ("2026-11-07T19:30") are wall-clock times at the
+ * venue and are converted with zonedTimeToUtc; times with an offset or "Z" are taken
+ * as they are. Responses carry the UTC instant plus a "<field>_local" ISO string with
+ * the venue's offset (see localiseTimes), so clients never have to guess the zone.
+ *
+ * Uses only Intl, so no timezone database needs installing.
+ */
+
+const DEFAULT_TIMEZONE = 'Europe/London';
+
+// Gig fields that hold times, in the order they happen
+const GIG_TIME_FIELDS = ['doors_at', 'event_date', 'ends_at'];
+
+const formatters = new Map();
+
+const partsFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * Check a string is an IANA timezone name Intl knows (e.g. Europe/London, America/New_York)
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    partsFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Minutes the zone is ahead of UTC at the given instant (negative west of Greenwich)
+const zoneOffsetMinutes = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    partsFormatter(timeZone).formatToParts(date).map(({ type, value }) => [type, value])
+  );
+  const wallClockAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((wallClockAsUtc - wholeSeconds) / 60000);
+};
+
+// True if an ISO 8601 string names its own offset ("Z", "+01:00", "-0500")
+const hasUtcOffset = (value) => /(?:Z|[+-]\d{2}(?::?\d{2})?)$/i.test(value) && /T/i.test(value);
+
+/**
+ * Convert a time to an absolute Date. Strings without an offset and wall-clock parts
+ * (as parsed from iCalendar files) are read as local time in timeZone; in the hour
+ * skipped when clocks go forward they land an hour later
+ * @param {string|Date|Object} value - ISO 8601 string, Date, or { year, month, day, hour, minute, second }
+ * @param {string} timeZone - IANA timezone of the venue
+ * @returns {Date}
+ */
+const zonedTimeToUtc = (value, timeZone = DEFAULT_TIMEZONE) => {
+  if (value instanceof Date) return value;
+
+  let wallClock;
+  if (typeof value === 'object') {
+    const { year, month, day, hour = 0, minute = 0, second = 0 } = value;
+    wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  } else {
+    if (hasUtcOffset(value)) return new Date(value);
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/i.exec(value);
+    if (!match) return new Date(value);
+
+    const [, year, month, day, hours = 0, minutes = 0, seconds = 0, millis = '0'] = match;
+    wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds, millis.padEnd(3, '0'));
+  }
+
+  // The offset at the guessed instant can differ from the offset at the answer around a
+  // clock change, so check once more with the corrected instant
+  const firstGuess = wallClock - zoneOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+  return new Date(wallClock - zoneOffsetMinutes(new Date(firstGuess), timeZone) * 60000);
+};
+
+/**
+ * Format an instant as local ISO 8601 time with its offset, e.g. 2026-11-07T19:30:00+00:00
+ * @param {Date|string} date
+ * @param {string} timeZone - IANA timezone
+ * @returns {string|null}
+ */
+const toLocalIso = (date, timeZone = DEFAULT_TIMEZONE) => {
+  if (!date) return null;
+  const instant = new Date(date);
+  const offset = zoneOffsetMinutes(instant, timeZone);
+  const local = new Date(instant.getTime() + offset * 60000).toISOString().slice(0, 19);
+  const sign = offset < 0 ? '-' : '+';
+  return `${local}${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+};
+
+/**
+ * Add "<field>_local" next to each time field of a row
+ * @param {Object} row - e.g. a gig row with event_date and timezone
+ * @param {string[]} fields - time fields to localise
+ * @param {string} timeZone - defaults to row.timezone
+ * @returns {Object} the same row
+ */
+const localiseTimes = (row, fields = GIG_TIME_FIELDS, timeZone = row.timezone) => {
+  const zone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+  for (const field of fields) {
+    if (row[field] !== undefined) {
+      row[`${field}_local`] = toLocalIso(row[field], zone);
+    }
+  }
+  return row;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  GIG_TIME_FIELDS,
+  isValidTimeZone,
+  zoneOffsetMinutes,
+  zonedTimeToUtc,
+  toLocalIso,
+  localiseTimes
+};
@@ -0,0 +1,116 @@
+/**
+ * TRENDING SCORES
+ *
+ * A gig's trending score adds up recent activity, each event decaying exponentially
+ * with its age:
+ *
+ *    score = SUM(weight * 0.5 ^ (age_hours / half_life_hours))
+ *
+ * Events are collection saves (collection_gigs.added_at) and detail views (gig_views),
+ * counted only inside the window. Each window has its own half-life so the 24h list
+ * reacts within hours while the 30d list reflects the month.
+ *
+ * Scores are expensive to compute per request, so recalculateTrendingScores() writes
+ * them to gig_trending_scores and GET /api/gigs/trending reads from there.
+ * startTrendingJob() reruns it every TRENDING_REFRESH_MINUTES; the script can also be
+ * run directly (node utils/trending.js), e.g. from cron.
+ */
+
+const { executeTransaction } = require('../config/database');
+
+const TRENDING_WINDOWS = {
+  '24h': { hours: 24, halfLifeHours: 6 },
+  '7d': { hours: 24 * 7, halfLifeHours: 36 },
+  '30d': { hours: 24 * 30, halfLifeHours: 24 * 7 }
+};
+
+// A save says more about interest than a page view
+const TRENDING_EVENT_WEIGHTS = {
+  save: 3,
+  view: 1
+};
+
+const TRENDING_REFRESH_MINUTES = 15;
+
+// Views older than the longest window no longer affect any score
+const VIEW_RETENTION_HOURS = Math.max(...Object.values(TRENDING_WINDOWS).map((w) => w.hours));
+
+/**
+ * Recompute gig_trending_scores for every window in one transaction, so readers
+ * never see a half-written table
+ * @returns {Promise<Object>} rows written per window, e.g. { '24h': 12, '7d': 80, '30d': 210 }
+ */
+const recalculateTrendingScores = async () => {
+  return executeTransaction(async (client) => {
+    const written = {};
+
+    await client.query('DELETE FROM gig_trending_scores');
+
+    for (const [window, { hours, halfLifeHours }] of Object.entries(TRENDING_WINDOWS)) {
+      const result = await client.query(
+        `INSERT INTO gig_trending_scores (time_window, gig_id, score, saves, views, computed_at)
+         SELECT $1, gig_id,
+                SUM(weight * POWER(0.5, EXTRACT(EPOCH FROM NOW() - happened_at) / 3600 / $3)),
+                COUNT(*) FILTER (WHERE kind = 'save'),
+                COUNT(*) FILTER (WHERE kind = 'view'),
+                NOW()
+         FROM (
+           SELECT cg.gig_id, cg.added_at AS happened_at, 'save' AS kind, $4::numeric AS weight
+           FROM collection_gigs cg
+           WHERE cg.added_at >= NOW() - make_interval(hours => $2)
+           UNION ALL
+           SELECT v.gig_id, v.viewed_at, 'view', $5::numeric
+           FROM gig_views v
+           WHERE v.viewed_at >= NOW() - make_interval(hours => $2)
+         ) events
+         GROUP BY gig_id`,
+        [window, hours, halfLifeHours, TRENDING_EVENT_WEIGHTS.save, TRENDING_EVENT_WEIGHTS.view]
+      );
+      written[window] = result.rowCount;
+    }
+
+    await client.query(
+      'DELETE FROM gig_views WHERE viewed_at < NOW() - make_interval(hours => $1)',
+      [VIEW_RETENTION_HOURS]
+    );
+
+    return written;
+  });
+};
+
+/**
+ * Recalculate now and then every TRENDING_REFRESH_MINUTES
+ * The timer is unref'd so it never keeps the process alive on its own
+ * @returns {NodeJS.Timeout} pass to clearInterval to stop the job
+ */
+const startTrendingJob = () => {
+  const run = () => recalculateTrendingScores().catch((error) => {
+    console.error('Trending recalculation error:', error);
+  });
+
+  run();
+  const timer = setInterval(run, TRENDING_REFRESH_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+// Run once if called directly
+if (require.main === module) {
+  recalculateTrendingScores()
+    .then((written) => {
+      console.log('✓ Trending scores recalculated:', written);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Trending recalculation failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  TRENDING_WINDOWS,
+  TRENDING_EVENT_WEIGHTS,
+  TRENDING_REFRESH_MINUTES,
+  recalculateTrendingScores,
+  startTrendingJob
+};
@@ -74,18 +74,17 @@
     DETAILS: (id) => `/users/${id}`,
     GIGS: (id) => `/users/${id}/gigs`,
     COLLECTIONS: (id) => `/users/${id}/collections`
+  },
+  
+  // Genres
+  GENRES: {
+    LIST_ALL: '/genres'
   }
 }; */
 
 // Application Constants - TODO: Define application constants
 /* export const CONSTANTS = {
-  // Gig Categories/Genres
-  GIG_GENRES: [
-    'Rock', 'Pop', 'Jazz', 'Blues', 'Folk', 'Electronic',
-    'Hip Hop', 'Country', 'Classical', 'Punk', 'Metal',
-    'Indie', 'Alternative', 'Acoustic', 'Reggae', 'R&B',
-    'Soul', 'Funk', 'World Music', 'Experimental'
-  ],
+  // Gig genres aren't listed here - fetch them (with subgenres) from API_ENDPOINTS.GENRES.LIST_ALL
   
   // Venue Types
   VENUE_TYPES: [
@@ -104,7 +103,9 @@
     ACTIVE: 'active',
     INACTIVE: 'inactive',
     CANCELLED: 'cancelled',
-    SOLD_OUT: 'sold_out'
+    SOLD_OUT: 'sold_out',
+    POSTPONED: 'postponed',
+    PAST: 'past'
   },
   
   // Pagination